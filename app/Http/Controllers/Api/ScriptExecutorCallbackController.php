@@ -4,20 +4,42 @@ namespace App\Http\Controllers\Api;
 
 use App\Http\Controllers\Controller;
 use App\Models\ScriptExecutionLog;
+use App\Services\Scripting\Api\ValidationApiService;
+use App\Services\Scripting\ScriptApiManifest;
 use App\Services\Scripting\ScriptingApiService;
+use App\Services\Scripting\ScriptSecretService;
+use App\Services\Scripting\ScriptStorageService;
+use App\Services\Scripting\ScriptTransactionService;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Validator;
 use Illuminate\Support\Facades\Cache;
+use Illuminate\Validation\Rule;
 
 class ScriptExecutorCallbackController extends Controller
 {
     protected ScriptingApiService $apiService;
+    protected ScriptStorageService $storageService;
+    protected ScriptTransactionService $transactions;
+    protected ValidationApiService $validationApi;
+    protected ScriptApiManifest $manifest;
+    protected ScriptSecretService $secrets;
 
-    public function __construct(ScriptingApiService $apiService)
-    {
+    public function __construct(
+        ScriptingApiService $apiService,
+        ScriptStorageService $storageService,
+        ScriptTransactionService $transactions,
+        ValidationApiService $validationApi,
+        ScriptApiManifest $manifest,
+        ScriptSecretService $secrets
+    ) {
         $this->apiService = $apiService;
+        $this->storageService = $storageService;
+        $this->transactions = $transactions;
+        $this->validationApi = $validationApi;
+        $this->manifest = $manifest;
+        $this->secrets = $secrets;
     }
 
     /**
@@ -28,10 +50,9 @@ class ScriptExecutorCallbackController extends Controller
         // Validate the request
         $validator = Validator::make($request->all(), [
             'execution_id' => 'required|string',
-            'api_token' => 'required|string',
             'method' => 'required|string',
-            'type' => 'required|string|in:database,http,events',
-            'params' => 'required|array',
+            'type' => ['required', 'string', Rule::in($this->manifest->hostNamespaces())],
+            'params' => 'present|array',
         ]);
 
         if ($validator->fails()) {
@@ -42,36 +63,21 @@ class ScriptExecutorCallbackController extends Controller
             ], 400);
         }
 
-        // Verify API token
-        if (!$this->verifyApiToken($request->execution_id, $request->api_token)) {
-            Log::warning('Invalid API token for script execution', [
-                'execution_id' => $request->execution_id,
-                'ip' => $request->ip(),
-            ]);
-            
+        // Only methods declared in the shared API manifest are callable from the sandbox
+        if (!$this->manifest->isHostMethod($request->type, $request->method)) {
             return response()->json([
                 'success' => false,
-                'error' => 'Invalid API token',
-            ], 401);
+                'error' => "Unknown API method: {$request->type}.{$request->method}",
+            ], 400);
         }
 
-        // Get execution log
-        $executionLog = ScriptExecutionLog::find($request->execution_id);
-        if (!$executionLog || $executionLog->status !== 'running') {
-            return response()->json([
-                'success' => false,
-                'error' => 'Invalid or inactive execution',
-            ], 404);
+        $executionLog = $this->resolveActiveExecution($request);
+        if ($executionLog instanceof JsonResponse) {
+            return $executionLog;
         }
 
         try {
-            // Process the API call based on type
-            $result = match ($request->type) {
-                'database' => $this->handleDatabaseCall($request->method, $request->params, $executionLog),
-                'http' => $this->handleHttpCall($request->method, $request->params, $executionLog),
-                'events' => $this->handleEventCall($request->method, $request->params, $executionLog),
-                default => throw new \Exception('Unknown API type'),
-            };
+            $result = $this->dispatchCall($request->type, $request->method, $request->params, $executionLog);
 
             return response()->json([
                 'success' => true,
@@ -93,28 +99,157 @@ class ScriptExecutorCallbackController extends Controller
         }
     }
 
+    /**
+     * Handle a batch of API callbacks from the Deno executor
+     *
+     * Calls are processed strictly in the order given. A failing call is
+     * reported in its own result and does not stop the ones after it.
+     */
+    public function handleBatchCallback(Request $request): JsonResponse
+    {
+        $maxBatchSize = (int) config('scripting.deno.callback_batching.max_batch_size', 50);
+
+        $validator = Validator::make($request->all(), [
+            'execution_id' => 'required|string',
+            'calls' => "required|array|min:1|max:{$maxBatchSize}",
+            'calls.*.type' => 'required|string',
+            'calls.*.method' => 'required|string',
+            'calls.*.params' => 'present|array',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'success' => false,
+                'error' => 'Invalid request format',
+                'details' => $validator->errors(),
+            ], 400);
+        }
+
+        $executionLog = $this->resolveActiveExecution($request);
+        if ($executionLog instanceof JsonResponse) {
+            return $executionLog;
+        }
+
+        $results = [];
+        foreach ($request->calls as $call) {
+            if (!$this->manifest->isHostMethod($call['type'], $call['method'])) {
+                $results[] = [
+                    'success' => false,
+                    'error' => "Unknown API method: {$call['type']}.{$call['method']}",
+                ];
+                continue;
+            }
+
+            try {
+                $results[] = [
+                    'success' => true,
+                    'result' => $this->dispatchCall($call['type'], $call['method'], $call['params'], $executionLog),
+                ];
+            } catch (\Exception $e) {
+                Log::error('Error handling script API callback', [
+                    'execution_id' => $request->execution_id,
+                    'type' => $call['type'],
+                    'method' => $call['method'],
+                    'error' => $e->getMessage(),
+                    'batched' => true,
+                ]);
+
+                $results[] = [
+                    'success' => false,
+                    'error' => $e->getMessage(),
+                ];
+            }
+        }
+
+        return response()->json([
+            'success' => true,
+            'results' => $results,
+        ]);
+    }
+
+    /**
+     * Load the running execution a callback belongs to. VerifySidecarSignature
+     * has already checked the HMAC over the body, so execution_id is the one
+     * the sidecar signed; no second, per-execution credential is needed.
+     */
+    protected function resolveActiveExecution(Request $request): ScriptExecutionLog|JsonResponse
+    {
+        $executionLog = ScriptExecutionLog::find($request->execution_id);
+        if (!$executionLog || $executionLog->status !== 'running') {
+            return response()->json([
+                'success' => false,
+                'error' => 'Invalid or inactive execution',
+            ], 404);
+        }
+
+        return $executionLog;
+    }
+
+    /**
+     * Process a single API call based on its type
+     */
+    protected function dispatchCall(string $type, string $method, array $params, ScriptExecutionLog $executionLog): mixed
+    {
+        // The sidecar records side effects of dry runs itself; never perform one that slips through
+        if ($this->manifest->hasSideEffects($type, $method) && Cache::has("script_dry_run:{$executionLog->id}")) {
+            throw new \RuntimeException("{$type}.{$method} is not performed during a dry run");
+        }
+
+        return match ($type) {
+            'database' => $this->handleDatabaseCall($method, $params, $executionLog),
+            'http' => $this->handleHttpCall($method, $params, $executionLog),
+            'events' => $this->handleEventCall($method, $params, $executionLog),
+            'storage' => $this->handleStorageCall($method, $params, $executionLog),
+            'validate' => $this->handleValidateCall($method, $params, $executionLog),
+            'secrets' => $this->handleSecretsCall($method, $params, $executionLog),
+            default => throw new \Exception('Unknown API type'),
+        };
+    }
+
     /**
      * Handle database API calls
+     *
+     * Writes made while a transaction is open are journaled and only applied on commit.
      */
     protected function handleDatabaseCall(string $method, array $params, ScriptExecutionLog $executionLog): mixed
+    {
+        if (in_array($method, ScriptTransactionService::WRITE_METHODS, true) && $this->transactions->isOpen($executionLog)) {
+            return $this->transactions->record($executionLog, $method, $params);
+        }
+
+        return match ($method) {
+            'beginTransaction' => $this->transactions->begin($executionLog),
+            'commit' => $this->transactions->commit(
+                $executionLog,
+                fn (string $write, array $writeParams) => $this->runDatabaseMethod($write, $writeParams, $executionLog)
+            ),
+            'rollback' => $this->transactions->rollback($executionLog),
+            default => $this->runDatabaseMethod($method, $params, $executionLog),
+        };
+    }
+
+    /**
+     * Run a database API method immediately
+     */
+    protected function runDatabaseMethod(string $method, array $params, ScriptExecutionLog $executionLog): mixed
     {
         $script = $executionLog->script;
-        $api = $this->apiService->createSecureApi($script, [], $executionLog);
+        $database = $this->apiService->createSecureApi($script, [], $executionLog)->database();
 
         return match ($method) {
-            'query' => $api->database->query($params['sql'] ?? '', $params['bindings'] ?? []),
-            'select' => $api->database->select(
+            'query' => $database->query($params['sql'] ?? '', $params['bindings'] ?? []),
+            'select' => $database->select(
                 $params['table'] ?? '', 
                 $params['columns'] ?? [], 
                 $params['conditions'] ?? []
             ),
-            'insert' => $api->database->insert($params['table'] ?? '', $params['data'] ?? []),
-            'update' => $api->database->update(
+            'insert' => $database->insert($params['table'] ?? '', $params['data'] ?? []),
+            'update' => $database->update(
                 $params['table'] ?? '', 
                 $params['data'] ?? [], 
                 $params['conditions'] ?? []
             ),
-            'delete' => $api->database->delete($params['table'] ?? '', $params['conditions'] ?? []),
+            'delete' => $database->delete($params['table'] ?? '', $params['conditions'] ?? []),
             default => throw new \Exception("Unknown database method: {$method}"),
         };
     }
@@ -125,26 +260,26 @@ class ScriptExecutorCallbackController extends Controller
     protected function handleHttpCall(string $method, array $params, ScriptExecutionLog $executionLog): mixed
     {
         $script = $executionLog->script;
-        $api = $this->apiService->createSecureApi($script, [], $executionLog);
+        $http = $this->apiService->createSecureApi($script, [], $executionLog)->http();
 
         return match ($method) {
-            'get' => $api->http->get($params['url'] ?? '', $params['headers'] ?? []),
-            'post' => $api->http->post(
+            'get' => $http->get($params['url'] ?? '', $params['headers'] ?? []),
+            'post' => $http->post(
                 $params['url'] ?? '', 
                 $params['data'] ?? null, 
                 $params['headers'] ?? []
             ),
-            'put' => $api->http->put(
+            'put' => $http->put(
                 $params['url'] ?? '', 
                 $params['data'] ?? null, 
                 $params['headers'] ?? []
             ),
-            'patch' => $api->http->patch(
+            'patch' => $http->patch(
                 $params['url'] ?? '', 
                 $params['data'] ?? null, 
                 $params['headers'] ?? []
             ),
-            'delete' => $api->http->delete($params['url'] ?? '', $params['headers'] ?? []),
+            'delete' => $http->delete($params['url'] ?? '', $params['headers'] ?? []),
             default => throw new \Exception("Unknown HTTP method: {$method}"),
         };
     }
@@ -166,34 +301,52 @@ class ScriptExecutorCallbackController extends Controller
     }
 
     /**
-     * Verify API token
+     * Handle storage API calls
+     */
+    protected function handleStorageCall(string $method, array $params, ScriptExecutionLog $executionLog): mixed
+    {
+        $script = $executionLog->script;
+        $key = (string) ($params['key'] ?? '');
+
+        return match ($method) {
+            'get' => $this->storageService->get($script, $key),
+            'set' => $this->storageService->set(
+                $script,
+                $key,
+                $params['value'] ?? null,
+                isset($params['ttl']) ? (int) $params['ttl'] : null
+            ),
+            'delete' => $this->storageService->delete($script, $key),
+            default => throw new \Exception("Unknown storage method: {$method}"),
+        };
+    }
+
+    /**
+     * Handle secrets API calls; the sandbox only ever receives a handle
      */
-    protected function verifyApiToken(string $executionId, string $token): bool
+    protected function handleSecretsCall(string $method, array $params, ScriptExecutionLog $executionLog): mixed
     {
-        // Check if token exists in cache (for rate limiting)
-        $cacheKey = "script_api_token:{$executionId}";
-        $cachedToken = Cache::get($cacheKey);
-        
-        if ($cachedToken && $cachedToken === $token) {
-            return true;
+        if ($method === 'get') {
+            return $this->secrets->handle($executionLog->script, $executionLog, (string) ($params['name'] ?? ''));
         }
 
-        // Generate expected token
-        $payload = [
-            'execution_id' => $executionId,
-            'expires_at' => time() + 3600,
-            'nonce' => Cache::get("script_api_nonce:{$executionId}"),
-        ];
-        
-        $secret = config('app.key');
-        $expectedToken = hash_hmac('sha256', json_encode($payload), $secret);
-        
-        if (hash_equals($expectedToken, $token)) {
-            // Cache the token for faster verification
-            Cache::put($cacheKey, $token, 3600);
-            return true;
+        throw new \Exception("Unknown secrets method: {$method}");
+    }
+
+    /**
+     * Handle validation API calls
+     */
+    protected function handleValidateCall(string $method, array $params, ScriptExecutionLog $executionLog): mixed
+    {
+        if ($method === 'validate') {
+            return $this->validationApi->validateData(
+                (array) ($params['data'] ?? []),
+                (array) ($params['rules'] ?? []),
+                $executionLog->script,
+                $executionLog
+            );
         }
 
-        return false;
+        throw new \Exception("Unknown validate method: {$method}");
     }
-}
\ No newline at end of file
+}
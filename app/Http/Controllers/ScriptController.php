@@ -4,8 +4,12 @@ namespace App\Http\Controllers;
 
 use App\Models\Script;
 use App\Models\ScriptExecutionLog;
+use App\Services\DenoScriptingService;
 use App\Services\ScriptingService;
+use App\Services\Scripting\ScriptLibraryRegistry;
+use App\Services\Security\AstSecurityAnalyzer;
 use App\Services\Security\ScriptSecurityService;
+use App\Exceptions\SecurityViolationException;
 use App\Http\Requests\StoreScriptRequest;
 use App\Http\Requests\UpdateScriptRequest;
 use App\Http\Resources\ScriptResource;
@@ -17,6 +21,7 @@ use Illuminate\View\View;
 use Illuminate\Support\Facades\Auth;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Gate;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class ScriptController extends Controller
 {
@@ -92,7 +97,7 @@ class ScriptController extends Controller
 
         try {
             // Validate script syntax
-            $syntaxValidation = $this->scriptingService->validateScriptSyntax($request->code);
+            $syntaxValidation = $this->validateCode($request->code, $request->language ?? 'javascript');
             if (!$syntaxValidation['valid']) {
                 return back()
                     ->withErrors(['code' => 'Script syntax error: ' . $syntaxValidation['error']])
@@ -185,9 +190,11 @@ class ScriptController extends Controller
         $this->authorize('update', $script);
 
         try {
-            // Validate script syntax if code changed
-            if ($request->code !== $script->code) {
-                $syntaxValidation = $this->scriptingService->validateScriptSyntax($request->code);
+            $language = $request->language ?? $script->language;
+
+            // Validate script syntax if code or language changed
+            if ($request->code !== $script->code || $language !== $script->language) {
+                $syntaxValidation = $this->validateCode($request->code, $language);
                 if (!$syntaxValidation['valid']) {
                     return back()
                         ->withErrors(['code' => 'Script syntax error: ' . $syntaxValidation['error']])
@@ -207,6 +214,7 @@ class ScriptController extends Controller
                 'name' => $request->name,
                 'description' => $request->description,
                 'code' => $request->code,
+                'language' => $language,
                 'is_active' => $request->is_active ?? $script->is_active,
                 'updated_by' => Auth::id(),
                 'configuration' => $request->configuration ?? $script->configuration,
@@ -312,6 +320,204 @@ class ScriptController extends Controller
         }
     }
 
+    /**
+     * Dry-run the editor's current code, streaming its output as Server-Sent Events
+     *
+     * Writes, HTTP calls and event dispatches are recorded instead of performed
+     * and reported in the `result` event; `fixtures` can answer reads as well.
+     *
+     * Relays the sidecar's `log`, `api_call` and `api_result` events as they
+     * happen, then `result`. Failures before the script starts arrive as `error`.
+     * With breakpoints the run is a debug session: `paused` events wait for a
+     * command sent through debug().
+     */
+    public function test(Request $request, DenoScriptingService $denoService): StreamedResponse
+    {
+        $request->validate([
+            'script_id' => 'required|integer',
+            'code' => 'required|string|max:65535',
+            'language' => 'sometimes|string|in:' . implode(',', Script::LANGUAGES),
+            'context' => 'sometimes|array',
+            'breakpoints' => 'sometimes|array|max:200',
+            'breakpoints.*' => 'integer|min:1',
+            'fixtures' => 'sometimes|array|max:200',
+            'fixtures.*.api' => 'required|string|max:100',
+            'fixtures.*.match' => 'sometimes|array',
+            'fixtures.*.result' => 'present',
+        ]);
+
+        $script = Script::findOrFail($request->script_id);
+        $this->authorize('execute', $script);
+
+        // Run the unsaved editor code without touching the stored script
+        $testScript = clone $script;
+        $testScript->code = $request->code;
+        $testScript->language = $request->language ?? $script->language;
+        $context = $request->context ?? [];
+        $fixtures = $request->fixtures ?? [];
+        $breakpoints = $request->has('breakpoints') ? $request->breakpoints : null;
+        $userId = Auth::id();
+
+        return response()->stream(function () use ($denoService, $testScript, $context, $fixtures, $breakpoints, $userId) {
+            $send = function (string $event, array $data): void {
+                echo "event: {$event}\n";
+                echo 'data: ' . json_encode($data) . "\n\n";
+                if (ob_get_level() > 0) {
+                    ob_flush();
+                }
+                flush();
+            };
+            $finished = false;
+
+            try {
+                $denoService->testScript(
+                    $testScript,
+                    $context,
+                    $userId,
+                    function (string $event, array $data) use ($send, &$finished) {
+                        $finished = $finished || $event === 'result';
+                        $send($event, $data);
+                    },
+                    $fixtures,
+                    $breakpoints
+                );
+            } catch (\Exception $e) {
+                // A failing script has already been reported through its result event
+                if (!$finished) {
+                    $send('error', ['message' => $e->getMessage()]);
+                }
+
+                Log::info('Script test run failed', [
+                    'script_id' => $testScript->id,
+                    'error' => $e->getMessage(),
+                    'user_id' => $userId,
+                ]);
+            }
+        }, 200, [
+            'Content-Type' => 'text/event-stream',
+            'Cache-Control' => 'no-cache',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
+    /**
+     * Continue, step or update the breakpoints of the caller's own debug run
+     */
+    public function debug(Request $request, ScriptExecutionLog $executionLog, DenoScriptingService $denoService): JsonResponse
+    {
+        $request->validate([
+            'action' => 'required|string|in:continue,step,breakpoints',
+            'breakpoints' => 'required_if:action,breakpoints|array|max:200',
+            'breakpoints.*' => 'integer|min:1',
+        ]);
+
+        $this->authorize('execute', $executionLog->script);
+
+        // Debug runs only ever come from test(), which records the user who started them
+        if ($executionLog->executed_by !== Auth::id() || $executionLog->status !== 'running') {
+            return response()->json([
+                'success' => false,
+                'message' => 'No running debug session for this execution',
+            ], 404);
+        }
+
+        $result = $denoService->sendDebugCommand(
+            $executionLog->id,
+            $request->action,
+            $request->breakpoints ?? []
+        );
+
+        return response()->json($result, $result['success'] ? 200 : 409);
+    }
+
+    /**
+     * Replay a recorded execution against the editor's code and report where it diverges
+     */
+    public function replay(Request $request, ScriptExecutionLog $executionLog, DenoScriptingService $denoService): JsonResponse
+    {
+        $request->validate([
+            'code' => 'required|string|max:65535',
+        ]);
+
+        $this->authorize('execute', $executionLog->script);
+
+        if (!$executionLog->hasRecording()) {
+            return response()->json([
+                'success' => false,
+                'message' => 'This execution was not recorded',
+            ], 404);
+        }
+
+        try {
+            return response()->json($denoService->replayExecution($executionLog, $request->code));
+        } catch (SecurityViolationException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+            ], 422);
+        } catch (\Exception $e) {
+            Log::warning('Script replay failed', [
+                'execution_log_id' => $executionLog->id,
+                'error' => $e->getMessage(),
+                'user_id' => Auth::id(),
+            ]);
+
+            return response()->json([
+                'success' => false,
+                'message' => 'Replay failed: ' . $e->getMessage(),
+            ], 502);
+        }
+    }
+
+    /**
+     * Publish the script's current code as an approved library other scripts can import
+     */
+    public function publishLibrary(Request $request, Script $script, ScriptLibraryRegistry $libraries): JsonResponse
+    {
+        $request->validate([
+            'name' => 'required|string|max:100',
+        ]);
+
+        $this->authorize('manageVersions', $script);
+
+        try {
+            $library = $libraries->publish($script, $request->name, Auth::user());
+        } catch (\InvalidArgumentException|\RuntimeException $e) {
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+            ], 422);
+        }
+
+        return response()->json([
+            'success' => true,
+            'specifier' => $library->specifier,
+            'version' => $library->version->version_number,
+        ]);
+    }
+
+    /**
+     * Libraries the current client's scripts can import, with their code for editor typings
+     */
+    public function libraries(ScriptLibraryRegistry $libraries): JsonResponse
+    {
+        $this->authorize('viewAny', Script::class);
+
+        return response()->json([
+            'libraries' => $libraries->forClient(Auth::user()->client_id),
+        ]);
+    }
+
+    /**
+     * Forbidden functions and globals, so the editor can flag them while typing
+     */
+    public function securityRules(AstSecurityAnalyzer $analyzer): JsonResponse
+    {
+        $this->authorize('viewAny', Script::class);
+
+        return response()->json($analyzer->getEditorRules());
+    }
+
     /**
      * Validate script syntax
      */
@@ -319,15 +525,18 @@ class ScriptController extends Controller
     {
         $request->validate([
             'code' => 'required|string|max:65535',
+            'language' => 'sometimes|string|in:' . implode(',', Script::LANGUAGES),
         ]);
 
-        $validation = $this->scriptingService->validateScriptSyntax($request->code);
+        $validation = $this->validateCode($request->code, $request->language ?? 'javascript');
         $securityIssues = $this->securityService->validateScriptContent($request->code);
 
         return response()->json([
             'syntax_valid' => $validation['valid'],
             'syntax_error' => $validation['error'] ?? null,
             'syntax_line' => $validation['line'] ?? null,
+            // Every type error of a TypeScript script, positioned for editor markers
+            'errors' => $validation['diagnostics'] ?? [],
             'security_issues' => $securityIssues,
             'security_valid' => empty($securityIssues),
         ]);
@@ -487,7 +696,7 @@ class ScriptController extends Controller
                 'name' => 'required|string|max:255',
                 'description' => 'nullable|string|max:1000',
                 'code' => 'required|string|max:65535',
-                'language' => 'required|string|in:javascript',
+                'language' => 'required|string|in:' . implode(',', Script::LANGUAGES),
                 'configuration' => 'nullable|array',
                 'tags' => 'nullable|array',
             ]);
@@ -539,4 +748,14 @@ class ScriptController extends Controller
                 ->withInput();
         }
     }
+
+    /**
+     * Syntax check for saving and for the editor; only the Deno sidecar can type-check TypeScript
+     */
+    protected function validateCode(string $code, string $language): array
+    {
+        return $language === 'typescript'
+            ? app(DenoScriptingService::class)->validateScriptSyntax($code, $language)
+            : $this->scriptingService->validateScriptSyntax($code);
+    }
 }
\ No newline at end of file
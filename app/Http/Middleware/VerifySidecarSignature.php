@@ -0,0 +1,46 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use App\Services\Scripting\SidecarRequestSigner;
+use Closure;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Log;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Only lets through callbacks signed by the Deno sidecar
+ */
+class VerifySidecarSignature
+{
+    protected SidecarRequestSigner $signer;
+
+    public function __construct(SidecarRequestSigner $signer)
+    {
+        $this->signer = $signer;
+    }
+
+    /**
+     * Handle an incoming request.
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        $error = $this->signer->verify($request);
+
+        if ($error !== null) {
+            Log::warning('Rejected unsigned script executor callback', [
+                'path' => $request->path(),
+                'key_id' => $request->header('X-Key-Id'),
+                'error' => $error,
+                'ip' => $request->ip(),
+            ]);
+
+            return response()->json([
+                'success' => false,
+                'error' => $error,
+            ], 401);
+        }
+
+        return $next($request);
+    }
+}
@@ -13,6 +13,11 @@ class Script extends Model
 {
     use HasFactory, SoftDeletes, LogsActivity;
 
+    /**
+     * Languages scripts can be written in; TypeScript is type-checked and transpiled by the Deno sidecar
+     */
+    public const LANGUAGES = ['javascript', 'typescript'];
+
     protected $fillable = [
         'name',
         'description',
@@ -248,7 +253,7 @@ class Script extends Model
             'name' => 'required|string|max:255',
             'description' => 'nullable|string|max:1000',
             'code' => 'required|string|max:65535',
-            'language' => 'required|string|in:javascript',
+            'language' => 'required|string|in:' . implode(',', self::LANGUAGES),
             'is_active' => 'boolean',
             'client_id' => 'required|exists:clients,id',
             'configuration' => 'array',
@@ -26,6 +26,7 @@ class ScriptExecutionLog extends Model
         'completed_at',
         'resource_usage',
         'security_flags',
+        'recording',
     ];
 
     protected $casts = [
@@ -36,6 +37,7 @@ class ScriptExecutionLog extends Model
         'trigger_data' => 'array',
         'resource_usage' => 'array',
         'security_flags' => 'array',
+        'recording' => 'array',
         'created_at' => 'datetime',
         'updated_at' => 'datetime',
     ];
@@ -136,6 +138,14 @@ class ScriptExecutionLog extends Model
         return $this->status === 'running';
     }
 
+    /**
+     * Check if the sidecar recorded this execution for replay
+     */
+    public function hasRecording(): bool
+    {
+        return !empty($this->recording);
+    }
+
     /**
      * Get execution duration in seconds
      */
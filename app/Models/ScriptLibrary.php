@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class ScriptLibrary extends Model
+{
+    /**
+     * Scripts import a library as `@lib/{name}`
+     */
+    public const SPECIFIER_PREFIX = '@lib/';
+
+    protected $fillable = [
+        'client_id',
+        'name',
+        'script_id',
+        'script_version_id',
+        'approved_by',
+        'approved_at',
+    ];
+
+    protected $casts = [
+        'approved_at' => 'datetime',
+        'created_at' => 'datetime',
+        'updated_at' => 'datetime',
+    ];
+
+    /**
+     * Get the client that owns this library
+     */
+    public function client(): BelongsTo
+    {
+        return $this->belongsTo(Client::class);
+    }
+
+    /**
+     * Get the library script
+     */
+    public function script(): BelongsTo
+    {
+        return $this->belongsTo(Script::class);
+    }
+
+    /**
+     * Get the approved version that imports resolve to
+     */
+    public function version(): BelongsTo
+    {
+        return $this->belongsTo(ScriptVersion::class, 'script_version_id');
+    }
+
+    /**
+     * Get the user who approved the published version
+     */
+    public function approver(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'approved_by');
+    }
+
+    /**
+     * Get the import specifier
+     */
+    public function getSpecifierAttribute(): string
+    {
+        return self::SPECIFIER_PREFIX . $this->name;
+    }
+}
@@ -0,0 +1,77 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class ScriptStorageEntry extends Model
+{
+    protected $table = 'script_storage';
+
+    protected $fillable = [
+        'client_id',
+        'script_id',
+        'key',
+        'value',
+        'size_bytes',
+        'expires_at',
+    ];
+
+    protected $casts = [
+        'size_bytes' => 'integer',
+        'expires_at' => 'datetime',
+        'created_at' => 'datetime',
+        'updated_at' => 'datetime',
+    ];
+
+    /**
+     * Get the client that owns this entry
+     */
+    public function client(): BelongsTo
+    {
+        return $this->belongsTo(Client::class);
+    }
+
+    /**
+     * Get the script that owns this entry
+     */
+    public function script(): BelongsTo
+    {
+        return $this->belongsTo(Script::class);
+    }
+
+    /**
+     * Check if entry has expired
+     */
+    public function isExpired(): bool
+    {
+        return $this->expires_at && $this->expires_at <= now();
+    }
+
+    /**
+     * Get the decoded value
+     */
+    public function getDecodedValue(): mixed
+    {
+        return json_decode($this->value, true);
+    }
+
+    /**
+     * Scope to entries that have not expired
+     */
+    public function scopeLive($query)
+    {
+        return $query->where(function ($query) {
+            $query->whereNull('expires_at')->orWhere('expires_at', '>', now());
+        });
+    }
+
+    /**
+     * Scope to expired entries
+     */
+    public function scopeExpired($query)
+    {
+        return $query->whereNotNull('expires_at')->where('expires_at', '<=', now());
+    }
+}
@@ -9,6 +9,7 @@ use App\Services\Security\ScriptSecurityService;
 use App\Services\Security\AstSecurityAnalyzer;
 use App\Services\Scripting\ScriptingApiService;
 use App\Services\Scripting\ResourceMonitorService;
+use App\Services\Scripting\SidecarRequestSigner;
 use App\Services\Monitoring\WatchdogService;
 use App\Services\Monitoring\KillSwitchService;
 use App\Services\Monitoring\PrometheusMetricsService;
@@ -37,6 +38,7 @@ class ScriptingServiceProvider extends ServiceProvider
         $this->app->singleton(ScriptingApiService::class);
         $this->app->singleton(ResourceMonitorService::class);
         $this->app->singleton(ScriptTriggerService::class);
+        $this->app->singleton(SidecarRequestSigner::class);
         
         // Register main scripting service
         $this->app->singleton(ScriptingService::class, function ($app) {
@@ -8,13 +8,19 @@ use App\Services\Security\ScriptSecurityService;
 use App\Services\Security\AstSecurityAnalyzer;
 use App\Services\Scripting\ScriptingApiService;
 use App\Services\Scripting\ResourceMonitorService;
+use App\Services\Scripting\ScriptTransactionService;
+use App\Services\Scripting\ScriptLibraryRegistry;
+use App\Services\Scripting\ScriptSecretService;
+use App\Services\Scripting\SidecarRequestSigner;
 use App\Services\Monitoring\WatchdogService;
 use App\Exceptions\ScriptExecutionException;
 use App\Exceptions\SecurityViolationException;
 use Illuminate\Support\Facades\Http;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Cache;
+use Illuminate\Http\Client\PendingRequest;
 use Illuminate\Http\Client\RequestException;
+use Illuminate\Http\Client\Response;
 use Throwable;
 
 class DenoScriptingService
@@ -24,6 +30,10 @@ class DenoScriptingService
     protected ScriptingApiService $apiService;
     protected ResourceMonitorService $resourceMonitor;
     protected WatchdogService $watchdogService;
+    protected ScriptTransactionService $transactions;
+    protected ScriptLibraryRegistry $libraries;
+    protected SidecarRequestSigner $signer;
+    protected ScriptSecretService $secrets;
     protected string $denoServiceUrl;
 
     public function __construct(
@@ -31,13 +41,21 @@ class DenoScriptingService
         AstSecurityAnalyzer $astAnalyzer,
         ScriptingApiService $apiService,
         ResourceMonitorService $resourceMonitor,
-        WatchdogService $watchdogService
+        WatchdogService $watchdogService,
+        ScriptTransactionService $transactions,
+        ScriptLibraryRegistry $libraries,
+        SidecarRequestSigner $signer,
+        ScriptSecretService $secrets
     ) {
         $this->securityService = $securityService;
         $this->astAnalyzer = $astAnalyzer;
         $this->apiService = $apiService;
         $this->resourceMonitor = $resourceMonitor;
         $this->watchdogService = $watchdogService;
+        $this->transactions = $transactions;
+        $this->libraries = $libraries;
+        $this->signer = $signer;
+        $this->secrets = $secrets;
         $this->denoServiceUrl = config('scripting.deno.service_url', 'http://deno-executor:8080');
     }
 
@@ -49,6 +67,44 @@ class DenoScriptingService
         array $context = [],
         string $triggerType = 'manual',
         ?int $executedBy = null
+    ): ScriptExecutionLog {
+        return $this->runScript($script, $context, $triggerType, $executedBy);
+    }
+
+    /**
+     * Dry-run a script for the editor, streaming its progress to $onEvent
+     *
+     * Reads reach Laravel unless a fixture answers them; writes, HTTP calls and
+     * event dispatches are recorded by the sidecar and never performed. The
+     * recorded side effects arrive with the final `result` event. Breakpoints
+     * turn the run into a debug session.
+     *
+     * @param array<int, array{api: string, match?: array, result: mixed}> $fixtures
+     */
+    public function testScript(
+        Script $script,
+        array $context,
+        ?int $executedBy,
+        callable $onEvent,
+        array $fixtures = [],
+        ?array $breakpoints = null
+    ): ScriptExecutionLog {
+        return $this->runScript($script, $context, 'manual', $executedBy, [
+            'on_event' => $onEvent,
+            'fixtures' => $fixtures,
+            'breakpoints' => $breakpoints,
+        ]);
+    }
+
+    /**
+     * Shared execution lifecycle; $testRun is only set for editor dry runs
+     */
+    protected function runScript(
+        Script $script,
+        array $context,
+        string $triggerType,
+        ?int $executedBy,
+        ?array $testRun = null
     ): ScriptExecutionLog {
         // Create execution log
         $executionLog = ScriptExecutionLog::create([
@@ -60,6 +116,11 @@ class DenoScriptingService
             'trigger_data' => $context,
         ]);
 
+        // Lets the callback gateway refuse side effects even if the sidecar forwards one
+        if ($testRun !== null) {
+            Cache::put("script_dry_run:{$executionLog->id}", true, 3600);
+        }
+
         try {
             // Enhanced security pre-checks with AST analysis
             $this->performSecurityChecks($script, $context, $executionLog);
@@ -72,7 +133,7 @@ class DenoScriptingService
             $this->watchdogService->startBackgroundMonitoring($executionLog->id);
 
             // Execute the script in Deno sidecar
-            $output = $this->executeInDenoSidecar($script, $context, $executionLog);
+            $output = $this->executeInDenoSidecar($script, $context, $executionLog, $testRun);
 
             // Complete execution
             $resourceUsage = $this->resourceMonitor->getResourceUsage($executionLog->id);
@@ -102,42 +163,86 @@ class DenoScriptingService
             );
         } finally {
             $this->resourceMonitor->stopMonitoring($executionLog->id);
+            Cache::forget("script_dry_run:{$executionLog->id}");
+            $this->secrets->forget($executionLog);
+
+            // The executor rolls back unfinished transactions itself; this covers a lost sidecar
+            try {
+                $this->transactions->rollback($executionLog);
+            } catch (Throwable $e) {
+                Log::warning('Failed to discard script transaction', [
+                    'execution_log_id' => $executionLog->id,
+                    'error' => $e->getMessage(),
+                ]);
+            }
         }
     }
 
     /**
      * Execute script in Deno sidecar environment
+     *
+     * Test runs are dry runs whose progress the sidecar streams; each event is
+     * passed on as $testRun['on_event'](string $event, array $data).
      */
-    protected function executeInDenoSidecar(Script $script, array $context, ScriptExecutionLog $executionLog): string
-    {
+    protected function executeInDenoSidecar(
+        Script $script,
+        array $context,
+        ScriptExecutionLog $executionLog,
+        ?array $testRun = null
+    ): string {
         $startTime = microtime(true);
         
         try {
             $config = config('scripting.execution');
-            
-            // Create API callback URL
-            $apiCallbackUrl = url('/api/internal/script-executor/callback');
-            
-            // Prepare execution request
-            $executionRequest = [
-                'code' => $script->code,
-                'context' => $context,
-                'timeout' => ($script->getConfigValue('time_limit', $config['timeout']) * 1000), // Convert to milliseconds
-                'memory_limit' => ($script->getConfigValue('memory_limit', $config['memory_limit']) * 1024 * 1024), // Convert to bytes
-                'client_id' => $script->client_id,
-                'script_id' => $script->id,
-                'execution_id' => $executionLog->id,
-                'api_callback_url' => $apiCallbackUrl,
-                'api_token' => $this->generateApiToken($executionLog->id),
-            ];
+            $executionRequest = $this->buildExecutionRequest($script, $context, $executionLog);
+            $onEvent = $testRun['on_event'] ?? null;
 
-            // Make request to Deno sidecar
-            $response = Http::timeout(($config['timeout'] + 5))
+            if ($testRun !== null) {
+                // A dry run's side effects are stand-ins, so there is nothing worth replaying
+                $executionRequest['record'] = false;
+                $executionRequest['dry_run'] = ['fixtures' => array_values($testRun['fixtures'] ?? [])];
+
+                if ($testRun['breakpoints'] !== null) {
+                    $executionRequest['debug'] = ['breakpoints' => array_values(array_map('intval', $testRun['breakpoints']))];
+                }
+
+                // Editor code changes between runs, so it is not worth a cache entry
+                unset($executionRequest['script_hash']);
+            }
+
+            $send = fn (array $body): Response => $this->sidecar($config['timeout'] + 5)
                 ->withHeaders([
                     'Content-Type' => 'application/json',
+                    'Accept' => $onEvent ? 'text/event-stream' : 'application/json',
                     'X-Execution-ID' => $executionLog->id,
                 ])
-                ->post($this->denoServiceUrl . '/execute', $executionRequest);
+                ->withOptions(['stream' => $onEvent !== null])
+                ->post($this->denoServiceUrl . '/execute', $body);
+
+            // Once the sidecar has compiled this script version, its hash stands in for the code
+            $compiledKey = isset($executionRequest['script_hash'])
+                ? "deno_compiled:{$executionRequest['script_hash']}"
+                : null;
+            $response = $compiledKey !== null && Cache::has($compiledKey)
+                ? $send(array_diff_key($executionRequest, array_flip(['code', 'modules'])))
+                : null;
+
+            // 409: the sidecar restarted or evicted the script since it was last sent
+            if ($response === null || $response->status() === 409) {
+                $response = $send($executionRequest);
+
+                if ($compiledKey !== null && $response->successful()) {
+                    Cache::put($compiledKey, true, (int) config('scripting.deno.compile_cache.ttl', 3600));
+                }
+            }
+
+            // Every execution slot is busy and the sidecar's queue is full
+            if ($response->status() === 429) {
+                throw new ScriptExecutionException(
+                    'Deno sidecar is at capacity; retry after ' . ($response->header('Retry-After') ?: 1) . 's',
+                    429
+                );
+            }
 
             if (!$response->successful()) {
                 throw new ScriptExecutionException(
@@ -146,20 +251,43 @@ class DenoScriptingService
                 );
             }
 
-            $responseData = $response->json();
+            // Secret values never enter the sandbox; this catches any that came back anyway
+            $redact = fn (mixed $data) => $this->secrets->redactExecution($executionLog, $data);
+            $responseData = $redact($onEvent
+                ? $this->readEventStream($response, fn (string $event, array $data) => $onEvent($event, $redact($data)))
+                : $response->json());
             
             // Calculate execution time
             $executionTime = microtime(true) - $startTime;
             $executionLog->update([
                 'execution_time' => $executionTime,
-                'memory_used' => $responseData['memory_used'] ?? 0,
+                'memory_usage' => $responseData['memory_used'] ?? 0,
                 'output' => json_encode($responseData['output'] ?? []),
             ]);
+            $this->storeRecording($executionLog, $responseData);
+
+            if (!empty($responseData['rejected_context_keys'])) {
+                Log::warning('Script context keys are only reachable through ctx', [
+                    'script_id' => $script->id,
+                    'execution_log_id' => $executionLog->id,
+                    'trigger_type' => $executionLog->trigger_type,
+                    'rejected_context_keys' => $responseData['rejected_context_keys'],
+                ]);
+            }
+
+            // Peak heap as measured inside the sandbox, not this PHP worker's memory
+            $this->resourceMonitor->recordSandboxUsage($executionLog->id, (int) ($responseData['memory_used'] ?? 0));
 
             if (!$responseData['success']) {
+                $status = $responseData['status'] ?? 'error';
+
                 throw new ScriptExecutionException(
-                    'Script execution failed: ' . $responseData['error'],
-                    500
+                    // Timeout, stop and memory limit messages from the sidecar are already descriptive;
+                    // script errors keep their stack, mapped to the lines of the script as written
+                    in_array($status, ['timeout', 'stopped', 'memory_limit_exceeded'], true)
+                        ? $responseData['error']
+                        : 'Script execution failed: ' . ($responseData['error_details']['stack'] ?? $responseData['error']),
+                    $status === 'timeout' ? 408 : 500
                 );
             }
 
@@ -177,6 +305,161 @@ class DenoScriptingService
         }
     }
 
+    /**
+     * Build the /execute request body for the sidecar
+     */
+    protected function buildExecutionRequest(Script $script, array $context, ScriptExecutionLog $executionLog): array
+    {
+        $config = config('scripting.execution');
+        $modules = $this->resolveModules($script->code, $script->client_id);
+
+        $request = [
+            'code' => $script->code,
+            'language' => $script->language,
+            'context' => $this->encodeContext($context),
+            'context_aliases' => (bool) config('scripting.execution.context_aliases', true),
+            'modules' => $modules,
+            'timeout' => ($script->getConfigValue('time_limit', $config['timeout']) * 1000), // Convert to milliseconds
+            'memory_limit' => ($script->getConfigValue('memory_limit', $config['memory_limit']) * 1024 * 1024), // Convert to bytes
+            'client_id' => $script->client_id,
+            'script_id' => $script->id,
+            'execution_id' => $executionLog->id,
+            'api_callback_url' => url('/api/internal/script-executor/callback'),
+            'api_batch_callback_url' => config('scripting.deno.callback_batching.enabled', true)
+                ? url('/api/internal/script-executor/callback/batch')
+                : null,
+            'callback_batching' => [
+                'window_ms' => (int) config('scripting.deno.callback_batching.window_ms', 5),
+                'max_batch_size' => (int) config('scripting.deno.callback_batching.max_batch_size', 50),
+            ],
+            'record' => (bool) config('scripting.deno.recording.enabled', false),
+            'http_policy' => $this->securityService->httpPolicy($script),
+            'logging' => [
+                'max_logs_per_execution' => config('scripting.logging.max_logs_per_execution', 100),
+                'max_log_message_size' => config('scripting.logging.max_log_message_size', 1024),
+            ],
+        ];
+
+        if (config('scripting.deno.compile_cache.enabled', true)) {
+            $request['script_hash'] = $this->scriptHash($script, $modules);
+        }
+
+        return $request;
+    }
+
+    /**
+     * Key of the sidecar's compile cache: the client, the language, each
+     * library's version and source, and the code. Library names are only
+     * unique within a client, so two clients' `@lib/x` must never share an
+     * entry. Must match scriptHash() in docker/deno/compile_cache.ts.
+     */
+    protected function scriptHash(Script $script, array|object $modules): string
+    {
+        $libraries = [];
+        foreach ((array) $modules as $specifier => $module) {
+            $libraries[] = "{$specifier}@{$module['version']}:" . hash('sha256', $module['code']);
+        }
+        sort($libraries, SORT_STRING);
+
+        return hash('sha256', implode("\n", [
+            $script->client_id,
+            $script->language ?? 'javascript',
+            implode(',', $libraries),
+            $script->code,
+        ]));
+    }
+
+    /**
+     * Library code for the script's imports, keyed by specifier; an empty object when there are none
+     */
+    protected function resolveModules(string $code, int $clientId): array|object
+    {
+        try {
+            return $this->libraries->resolve($code, $clientId) ?: new \stdClass();
+        } catch (\InvalidArgumentException|\RuntimeException $e) {
+            throw new ScriptExecutionException('Module resolution failed: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Keep the sidecar's recording of a run, as configured in scripting.deno.recording
+     */
+    protected function storeRecording(ScriptExecutionLog $executionLog, array $responseData): void
+    {
+        if (empty($responseData['recording'])) {
+            return;
+        }
+
+        if (config('scripting.deno.recording.keep', 'failed') !== 'all' && !empty($responseData['success'])) {
+            return;
+        }
+
+        $size = strlen(json_encode($responseData['recording']));
+        $maxSize = (int) config('scripting.deno.recording.max_size', 1024 * 1024);
+        if ($size > $maxSize) {
+            Log::warning('Script execution recording discarded because it is too large', [
+                'execution_log_id' => $executionLog->id,
+                'size' => $size,
+                'max_size' => $maxSize,
+            ]);
+            return;
+        }
+
+        $executionLog->update(['recording' => $responseData['recording']]);
+    }
+
+    /**
+     * Relay the sidecar's Server-Sent Events and return the final `result` payload
+     */
+    protected function readEventStream(Response $response, callable $onEvent): array
+    {
+        $body = $response->toPsrResponse()->getBody();
+        $buffer = '';
+        $result = null;
+
+        while (!$body->eof()) {
+            $buffer .= $body->read(8192);
+
+            while (($end = strpos($buffer, "\n\n")) !== false) {
+                $frame = substr($buffer, 0, $end);
+                $buffer = substr($buffer, $end + 2);
+
+                $event = 'message';
+                $data = '';
+                foreach (explode("\n", $frame) as $line) {
+                    if (str_starts_with($line, 'event:')) {
+                        $event = trim(substr($line, 6));
+                    } elseif (str_starts_with($line, 'data:')) {
+                        $data .= ltrim(substr($line, 5));
+                    }
+                }
+
+                // Comment-only frames are heartbeats
+                if ($data === '') {
+                    continue;
+                }
+
+                $payload = json_decode($data, true) ?? [];
+
+                if ($event === 'error') {
+                    throw new ScriptExecutionException('Deno sidecar error: ' . ($payload['error'] ?? 'unknown error'));
+                }
+
+                $onEvent($event, $payload);
+
+                if ($event === 'result') {
+                    $result = $payload;
+                }
+            }
+        }
+
+        if ($result === null) {
+            throw new ScriptExecutionException('Deno sidecar stream ended before the execution finished');
+        }
+
+        return $result;
+    }
+
     /**
      * Perform comprehensive security checks before execution
      */
@@ -281,9 +564,10 @@ class DenoScriptingService
     }
 
     /**
-     * Validate script syntax without execution
+     * Validate script syntax without execution; TypeScript is also type-checked
+     * against the sandbox API, with every error in `diagnostics`
      */
-    public function validateScriptSyntax(string $code): array
+    public function validateScriptSyntax(string $code, string $language = 'javascript'): array
     {
         try {
             // Use AST analyzer for comprehensive syntax validation
@@ -299,19 +583,32 @@ class DenoScriptingService
             }
 
             // Try basic syntax validation via Deno
-            $response = Http::timeout(10)->post($this->denoServiceUrl . '/validate', [
+            $response = $this->sidecar(10)->post($this->denoServiceUrl . '/validate', [
                 'code' => $code,
+                'language' => $language,
             ]);
 
             if ($response->successful()) {
                 $responseData = $response->json();
+                $diagnostics = $responseData['diagnostics'] ?? [];
+
                 return [
                     'valid' => $responseData['valid'] ?? true,
                     'error' => $responseData['error'] ?? null,
+                    'line' => $diagnostics[0]['line'] ?? null,
+                    'diagnostics' => $diagnostics,
                     'ast_analysis' => $astAnalysis,
                 ];
             }
 
+            // Unchecked TypeScript must not be saved as if it were valid
+            if ($language === 'typescript') {
+                return [
+                    'valid' => false,
+                    'error' => 'TypeScript could not be checked: the Deno sidecar is unavailable',
+                ];
+            }
+
             return [
                 'valid' => true,
                 'ast_analysis' => $astAnalysis,
@@ -346,6 +643,91 @@ class DenoScriptingService
         });
     }
 
+    /**
+     * Send a debugger command (continue, step, breakpoints) to a paused debug run
+     */
+    public function sendDebugCommand(int $executionLogId, string $action, array $breakpoints = []): array
+    {
+        $response = $this->sidecar(5)->post($this->denoServiceUrl . '/debug', [
+            'execution_id' => $executionLogId,
+            'action' => $action,
+            'breakpoints' => array_values(array_map('intval', $breakpoints)),
+        ]);
+
+        return [
+            'success' => $response->successful(),
+            'status' => $response->json('status') ?? 'error',
+        ];
+    }
+
+    /**
+     * Replay a recorded execution against new code
+     *
+     * Host calls are answered from the recording inside the sidecar and never
+     * reach Laravel, so the replay has no execution log or callback URL of its own.
+     * The response carries the usual result and output plus a `replay` report
+     * of every point where the new code diverged from the recorded run.
+     */
+    public function replayExecution(ScriptExecutionLog $recordedLog, string $code): array
+    {
+        if (!$recordedLog->hasRecording()) {
+            throw new \InvalidArgumentException('This execution was not recorded');
+        }
+
+        $highSeverityIssues = array_filter(
+            $this->astAnalyzer->analyze($code)['issues'] ?? [],
+            fn (array $issue) => $issue['severity'] === 'high'
+        );
+        if (!empty($highSeverityIssues) || !empty($this->securityService->validateScriptContent($code))) {
+            throw new SecurityViolationException('Script contains security violations');
+        }
+
+        $script = $recordedLog->script;
+        $config = config('scripting.execution');
+
+        $response = $this->sidecar($config['timeout'] + 5)
+            ->withHeaders([
+                'Content-Type' => 'application/json',
+                'Accept' => 'application/json',
+                'X-Execution-ID' => $recordedLog->id,
+            ])
+            ->post($this->denoServiceUrl . '/execute', [
+                'code' => $code,
+                'language' => $script->language,
+                'context' => $recordedLog->recording['context'] ?? [],
+                'context_aliases' => (bool) config('scripting.execution.context_aliases', true),
+                'modules' => $this->resolveModules($code, $script->client_id),
+                'timeout' => ($script->getConfigValue('time_limit', $config['timeout']) * 1000),
+                'memory_limit' => ($script->getConfigValue('memory_limit', $config['memory_limit']) * 1024 * 1024),
+                'client_id' => $script->client_id,
+                'script_id' => $script->id,
+                // Never collides with a live execution, whose ids are numeric
+                'execution_id' => "replay-{$recordedLog->id}-" . bin2hex(random_bytes(4)),
+                'logging' => [
+                    'max_logs_per_execution' => config('scripting.logging.max_logs_per_execution', 100),
+                    'max_log_message_size' => config('scripting.logging.max_log_message_size', 1024),
+                ],
+                'replay' => ['recording' => $recordedLog->recording],
+            ]);
+
+        if (!$response->successful()) {
+            throw new ScriptExecutionException(
+                'Deno sidecar request failed: ' . $response->body(),
+                $response->status()
+            );
+        }
+
+        return $response->json();
+    }
+
+    /**
+     * HTTP client for the sidecar; everything but /health must be signed
+     */
+    protected function sidecar(int $timeout): PendingRequest
+    {
+        return $this->signer->attachTo(Http::timeout($timeout));
+    }
+
     /**
      * Check if Deno sidecar is available
      */
@@ -364,17 +746,25 @@ class DenoScriptingService
     }
 
     /**
-     * Generate a secure API token for the execution
+     * Prepare context for JSON transport; dates become {"$date": ISO 8601}
+     * markers that the sidecar revives into Date objects
      */
-    protected function generateApiToken(string $executionId): string
+    protected function encodeContext(mixed $value): mixed
     {
-        $payload = [
-            'execution_id' => $executionId,
-            'expires_at' => time() + 3600, // 1 hour expiry
-            'nonce' => bin2hex(random_bytes(16)),
-        ];
-        
-        $secret = config('app.key');
-        return hash_hmac('sha256', json_encode($payload), $secret);
+        if ($value instanceof \DateTimeInterface) {
+            return ['$date' => $value->format(DATE_RFC3339_EXTENDED)];
+        }
+
+        if ($value instanceof \Illuminate\Contracts\Support\Arrayable) {
+            $value = $value->toArray();
+        } elseif ($value instanceof \JsonSerializable) {
+            $value = $value->jsonSerialize();
+        }
+
+        if (is_array($value)) {
+            return array_map(fn ($item) => $this->encodeContext($item), $value);
+        }
+
+        return $value;
     }
-}
\ No newline at end of file
+}
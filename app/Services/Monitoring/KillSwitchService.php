@@ -3,6 +3,7 @@
 namespace App\Services\Monitoring;
 
 use App\Models\ScriptExecutionLog;
+use App\Services\Scripting\SidecarRequestSigner;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Http;
@@ -221,9 +222,22 @@ class KillSwitchService
         try {
             $denoServiceUrl = config('scripting.deno.service_url', 'http://deno-executor:8080');
             
-            Http::timeout(5)->post($denoServiceUrl . '/stop', [
+            $response = app(SidecarRequestSigner::class)->attachTo(Http::timeout(5))->post($denoServiceUrl . '/stop', [
                 'execution_id' => $execution->id,
             ]);
+
+            // The sidecar only reports `stopped` once the sandbox worker has been terminated
+            if ($response->successful() && $response->json('stopped') === true) {
+                Log::info('Deno execution terminated by kill switch', [
+                    'execution_id' => $execution->id,
+                ]);
+            } else {
+                Log::warning('Deno executor did not stop execution', [
+                    'execution_id' => $execution->id,
+                    'status' => $response->json('status'),
+                    'response' => $response->body(),
+                ]);
+            }
             
         } catch (\Exception $e) {
             Log::warning('Failed to stop Deno execution', [
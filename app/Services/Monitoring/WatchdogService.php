@@ -4,6 +4,7 @@ namespace App\Services\Monitoring;
 
 use App\Models\ScriptExecutionLog;
 use App\Services\Scripting\ResourceMonitorService;
+use App\Services\Scripting\SidecarRequestSigner;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Http;
@@ -126,11 +127,11 @@ class WatchdogService
         try {
             $denoServiceUrl = config('scripting.deno.service_url', 'http://deno-executor:8080');
             
-            $response = Http::timeout(5)->post($denoServiceUrl . '/stop', [
+            $response = app(SidecarRequestSigner::class)->attachTo(Http::timeout(5))->post($denoServiceUrl . '/stop', [
                 'execution_id' => $executionLog->id,
             ]);
 
-            if ($response->successful()) {
+            if ($response->successful() && $response->json('stopped') === true) {
                 Log::info('Successfully stopped Deno execution', [
                     'execution_id' => $executionLog->id,
                 ]);
@@ -66,7 +66,7 @@ class ScriptTriggerService
         $context = [
             'webhook_name' => $webhookName,
             'payload' => $payload,
-            'received_at' => now()->toISOString(),
+            'received_at' => now(),
             'user_id' => $user?->id,
         ];
 
@@ -97,7 +97,7 @@ class ScriptTriggerService
             'api_endpoint' => $apiEndpoint,
             'method' => $method,
             'data' => $data,
-            'triggered_at' => now()->toISOString(),
+            'triggered_at' => now(),
             'user_id' => $user?->id,
         ];
 
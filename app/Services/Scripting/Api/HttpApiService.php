@@ -0,0 +1,171 @@
+<?php
+
+namespace App\Services\Scripting\Api;
+
+use App\Exceptions\ApiAccessDeniedException;
+use App\Models\Script;
+use App\Models\ScriptExecutionLog;
+use App\Services\Scripting\ScriptSecretService;
+use App\Services\Security\ScriptSecurityService;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Log;
+use Psr\Http\Message\StreamInterface;
+
+/**
+ * Sends scripts' outbound HTTP requests.
+ *
+ * The host is resolved here, every address must be public, and the connection
+ * is pinned to exactly those addresses, so a DNS answer that changes between
+ * the check and the connect (DNS rebinding) cannot reach the private network.
+ * Redirects are not followed: a 3xx goes back to the script, and any request
+ * it makes to the new location is checked like the first. Response bodies are
+ * read up to the client's max_response_size and no further.
+ *
+ * Secret handles in headers and bodies are replaced with their values here,
+ * and those values are redacted from whatever goes back to the script.
+ */
+class HttpApiService
+{
+    protected ScriptSecurityService $securityService;
+    protected ScriptSecretService $secrets;
+
+    public function __construct(ScriptSecurityService $securityService, ScriptSecretService $secrets)
+    {
+        $this->securityService = $securityService;
+        $this->secrets = $secrets;
+    }
+
+    /**
+     * Send a request for a script
+     *
+     * @return array{status: int, headers: array<string, string>, body: string}
+     */
+    public function makeRequest(
+        Script $script,
+        string $method,
+        string $url,
+        mixed $data,
+        array $headers,
+        ScriptExecutionLog $executionLog
+    ): array {
+        $config = config('scripting.http');
+        $policy = $this->securityService->httpPolicy($script);
+
+        $parts = parse_url($url);
+        $host = trim($parts['host'] ?? '', '[]');
+        $port = $parts['port'] ?? (strtolower($parts['scheme'] ?? '') === 'https' ? 443 : 80);
+
+        $addresses = $this->resolve($host, $script, $executionLog);
+        if ($addresses === []) {
+            throw new ApiAccessDeniedException("Could not resolve {$host}: it has no A or AAAA records");
+        }
+
+        foreach ($addresses as $address) {
+            if (!$this->securityService->isPublicAddress($address)) {
+                Log::warning('Script HTTP request resolved to a private address', [
+                    'script_id' => $script->id,
+                    'execution_id' => $executionLog->id,
+                    'host' => $host,
+                    'address' => $address,
+                ]);
+
+                throw new ApiAccessDeniedException("HTTP access to {$host} is not allowed: it resolves to private address {$address}");
+            }
+        }
+
+        if ($this->secrets->containsHandle($url)) {
+            throw new ApiAccessDeniedException('Secrets can only be used in request headers and bodies');
+        }
+
+        $resolved = [];
+        $headers = $this->secrets->resolveHandles($headers, $script, $executionLog, $resolved);
+        $data = $this->secrets->resolveHandles($data, $script, $executionLog, $resolved);
+
+        $body = $data === null ? null : json_encode($data);
+        if ($body !== null && strlen($body) > $config['max_request_size']) {
+            throw new \InvalidArgumentException("HTTP request body exceeds the {$config['max_request_size']} byte limit");
+        }
+
+        $options = ['allow_redirects' => false, 'stream' => true];
+        if (!filter_var($host, FILTER_VALIDATE_IP)) {
+            $pinned = array_map(fn (string $address) => str_contains($address, ':') ? "[{$address}]" : $address, $addresses);
+            $options['curl'] = [CURLOPT_RESOLVE => ["{$host}:{$port}:" . implode(',', $pinned)]];
+        }
+
+        $request = Http::withOptions($options)
+            ->timeout($config['request_timeout'])
+            ->withUserAgent($config['user_agent'])
+            ->withHeaders($headers);
+
+        if ($body !== null) {
+            $request = $request->withBody($body, 'application/json');
+        }
+
+        try {
+            $response = $request->send($method, $url);
+
+            $result = [
+                'status' => $response->status(),
+                'headers' => array_change_key_case(array_map(fn (array $values) => implode(', ', $values), $response->headers())),
+                'body' => $this->readBody($response->toPsrResponse()->getBody(), $policy['max_response_size']),
+            ];
+        } catch (\Throwable $e) {
+            // Transport errors can quote the request
+            throw new \RuntimeException($this->secrets->redact($e->getMessage(), $resolved));
+        }
+
+        // An endpoint that echoes its request would otherwise hand the value to the script
+        return $this->secrets->redact($result, $resolved);
+    }
+
+    /**
+     * Every A and AAAA address of a host; an IP literal is its own address
+     */
+    protected function resolve(string $host, Script $script, ScriptExecutionLog $executionLog): array
+    {
+        if (filter_var($host, FILTER_VALIDATE_IP)) {
+            return [$host];
+        }
+
+        try {
+            $records = dns_get_record($host, DNS_A | DNS_AAAA);
+            $reason = 'DNS lookup failed';
+        } catch (\ErrorException $e) {
+            // The lookup reports why it failed as a warning, which Laravel raises
+            $records = false;
+            $reason = $e->getMessage();
+        }
+
+        if ($records === false) {
+            Log::warning('Script HTTP request host could not be resolved', [
+                'script_id' => $script->id,
+                'execution_id' => $executionLog->id,
+                'host' => $host,
+                'reason' => $reason,
+            ]);
+
+            throw new ApiAccessDeniedException("Could not resolve {$host}: {$reason}");
+        }
+
+        return array_values(array_filter(array_map(fn (array $record) => $record['ip'] ?? $record['ipv6'] ?? null, $records)));
+    }
+
+    /**
+     * Read a streamed body, giving up as soon as it is over the limit
+     */
+    protected function readBody(StreamInterface $stream, int $limit): string
+    {
+        $body = '';
+
+        while (!$stream->eof()) {
+            $body .= $stream->read(8192);
+
+            if (strlen($body) > $limit) {
+                $stream->close();
+                throw new \RuntimeException("HTTP response exceeds the {$limit} byte limit");
+            }
+        }
+
+        return $body;
+    }
+}
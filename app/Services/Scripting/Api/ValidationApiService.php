@@ -0,0 +1,87 @@
+<?php
+
+namespace App\Services\Scripting\Api;
+
+use App\Models\Script;
+use App\Models\ScriptExecutionLog;
+use Illuminate\Support\Facades\Log;
+use Illuminate\Support\Facades\Validator;
+
+class ValidationApiService
+{
+    /**
+     * Rules that would let a script query the database or the authenticated user
+     */
+    protected array $forbiddenRules = [
+        'exists',
+        'unique',
+        'current_password',
+        'password',
+    ];
+
+    /**
+     * Validate data against Laravel validation rules
+     */
+    public function validateData(array $data, array $rules, Script $script, ScriptExecutionLog $executionLog): array
+    {
+        $normalizedRules = [];
+
+        foreach ($rules as $field => $fieldRules) {
+            $fieldRules = is_string($fieldRules) ? explode('|', $fieldRules) : $fieldRules;
+
+            if (!is_array($fieldRules)) {
+                throw new \InvalidArgumentException("Rules for \"{$field}\" must be a string or an array of strings");
+            }
+
+            foreach ($fieldRules as $rule) {
+                if (!is_string($rule)) {
+                    throw new \InvalidArgumentException("Rules for \"{$field}\" must be a string or an array of strings");
+                }
+
+                $name = strtolower(trim(explode(':', $rule, 2)[0]));
+                if (in_array($name, $this->forbiddenRules, true)) {
+                    Log::warning('Script attempted to use a forbidden validation rule', [
+                        'script_id' => $script->id,
+                        'execution_id' => $executionLog->id,
+                        'rule' => $name,
+                    ]);
+
+                    throw new \InvalidArgumentException("Validation rule \"{$name}\" is not available to scripts");
+                }
+            }
+
+            $normalizedRules[$field] = $fieldRules;
+        }
+
+        $validator = Validator::make($data, $normalizedRules);
+
+        return [
+            'valid' => !$validator->fails(),
+            'errors' => $validator->errors()->toArray(),
+        ];
+    }
+
+    /**
+     * Check if email is valid
+     */
+    public function isValidEmail(string $email): bool
+    {
+        return filter_var($email, FILTER_VALIDATE_EMAIL) !== false;
+    }
+
+    /**
+     * Check if URL is valid
+     */
+    public function isValidUrl(string $url): bool
+    {
+        return filter_var($url, FILTER_VALIDATE_URL) !== false;
+    }
+
+    /**
+     * Strip tags and HTML-escape a string
+     */
+    public function sanitizeInput(string $input): string
+    {
+        return htmlspecialchars(trim(strip_tags($input)), ENT_QUOTES, 'UTF-8');
+    }
+}
@@ -53,8 +53,8 @@ class ResourceMonitorService
 
         $resourceUsage = [
             'execution_time' => $endTime - $monitor['start_time'],
-            'memory_used' => $endMemory - $monitor['start_memory'],
-            'peak_memory' => max($peakMemory, $monitor['peak_memory']),
+            'memory_used' => $monitor['sandbox_memory_used'] ?? ($endMemory - $monitor['start_memory']),
+            'peak_memory' => $monitor['sandbox_memory_used'] ?? max($peakMemory, $monitor['peak_memory']),
             'cpu_usage' => $this->getCurrentCpuUsage() - $monitor['cpu_start'],
             'memory_limit' => $this->resourceLimits['memory_limit'],
             'time_limit' => $this->resourceLimits['time_limit'],
@@ -67,6 +67,23 @@ class ResourceMonitorService
         return $resourceUsage;
     }
 
+    /**
+     * Record memory usage reported by the sandbox that actually ran the script
+     */
+    public function recordSandboxUsage(int $executionLogId, int $memoryUsed): void
+    {
+        $monitor = $this->activeMonitors[$executionLogId] ?? Cache::get("script_monitor_{$executionLogId}");
+
+        if (!$monitor) {
+            return;
+        }
+
+        $monitor['sandbox_memory_used'] = $memoryUsed;
+        $this->activeMonitors[$executionLogId] = $monitor;
+
+        Cache::put("script_monitor_{$executionLogId}", $monitor, 3600);
+    }
+
     /**
      * Get current resource usage for an execution
      */
@@ -84,8 +101,8 @@ class ResourceMonitorService
 
         return [
             'execution_time' => $currentTime - $monitor['start_time'],
-            'memory_used' => $currentMemory - $monitor['start_memory'],
-            'peak_memory' => max($peakMemory, $monitor['peak_memory']),
+            'memory_used' => $monitor['sandbox_memory_used'] ?? ($currentMemory - $monitor['start_memory']),
+            'peak_memory' => $monitor['sandbox_memory_used'] ?? max($peakMemory, $monitor['peak_memory']),
             'cpu_usage' => $this->getCurrentCpuUsage() - $monitor['cpu_start'],
             'memory_limit' => $this->resourceLimits['memory_limit'],
             'time_limit' => $this->resourceLimits['time_limit'],
@@ -0,0 +1,68 @@
+<?php
+
+namespace App\Services\Scripting;
+
+/**
+ * Read-only view of resources/scripting/api-manifest.json, the single
+ * definition of the sandbox API shared with the Deno executor and editors
+ */
+class ScriptApiManifest
+{
+    protected ?array $manifest = null;
+
+    /**
+     * Get the decoded manifest
+     */
+    public function all(): array
+    {
+        if ($this->manifest === null) {
+            $path = resource_path('scripting/api-manifest.json');
+            $this->manifest = json_decode(file_get_contents($path), true, 512, JSON_THROW_ON_ERROR);
+        }
+
+        return $this->manifest;
+    }
+
+    /**
+     * Namespaces with at least one method forwarded from the sandbox to Laravel
+     */
+    public function hostNamespaces(): array
+    {
+        $namespaces = [];
+
+        foreach ($this->all()['namespaces'] ?? [] as $name => $namespace) {
+            foreach (array_keys($namespace['methods'] ?? []) as $method) {
+                if ($this->isHostMethod($name, $method)) {
+                    $namespaces[] = $name;
+                    break;
+                }
+            }
+        }
+
+        return $namespaces;
+    }
+
+    /**
+     * Check that a callback targets a host method declared in the manifest
+     */
+    public function isHostMethod(string $namespace, string $method): bool
+    {
+        $definition = $this->all()['namespaces'][$namespace] ?? null;
+        $methodDefinition = $definition['methods'][$method] ?? null;
+
+        if ($methodDefinition === null) {
+            return false;
+        }
+
+        // Methods may override their namespace's transport
+        return ($methodDefinition['transport'] ?? $definition['transport'] ?? null) === 'host';
+    }
+
+    /**
+     * Whether a method changes data or reaches outside the application, and so must not run in a dry run
+     */
+    public function hasSideEffects(string $namespace, string $method): bool
+    {
+        return (bool) ($this->all()['namespaces'][$namespace]['methods'][$method]['side_effect'] ?? false);
+    }
+}
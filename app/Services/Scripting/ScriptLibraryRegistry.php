@@ -0,0 +1,174 @@
+<?php
+
+namespace App\Services\Scripting;
+
+use App\Models\Script;
+use App\Models\ScriptLibrary;
+use App\Models\User;
+use App\Services\Security\AstSecurityAnalyzer;
+use App\Services\Security\ScriptSecurityService;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Registry of the library scripts a client's scripts may import
+ *
+ * Publishing pins a library name to an approved version of a script. Before
+ * an execution the registry resolves the script's `@lib/...` imports, and the
+ * imports of those libraries, to the pinned code; the sidecar links modules
+ * from that set only and never fetches anything.
+ */
+class ScriptLibraryRegistry
+{
+    protected const NAME_PATTERN = '/^[a-z][a-z0-9_-]{0,99}$/';
+
+    // Static import and re-export specifiers; dynamic import() is rejected by the security checks
+    protected const IMPORT_PATTERN = '/\b(?:import|export)\s+(?:[\w$*{}\s,]+?\s+from\s+)?[\'"]([^\'"]+)[\'"]/';
+
+    public function __construct(
+        protected AstSecurityAnalyzer $astAnalyzer,
+        protected ScriptSecurityService $securityService
+    ) {
+    }
+
+    /**
+     * Publish the script's current code as the approved version of @lib/{name}
+     */
+    public function publish(Script $script, string $name, User $approver): ScriptLibrary
+    {
+        $this->ensureEnabled();
+
+        if (!preg_match(self::NAME_PATTERN, $name)) {
+            throw new \InvalidArgumentException(
+                'Library names must start with a lowercase letter and contain only lowercase letters, digits, "-" and "_"'
+            );
+        }
+
+        $existing = ScriptLibrary::where('client_id', $script->client_id)->where('name', $name)->first();
+        if ($existing && $existing->script_id !== $script->id) {
+            throw new \InvalidArgumentException("@lib/{$name} is already published from another script");
+        }
+
+        $issues = $this->securityService->validateScriptContent($script->code);
+        $highSeverityIssues = array_filter(
+            $this->astAnalyzer->analyze($script->code)['issues'] ?? [],
+            fn (array $issue) => $issue['severity'] === 'high'
+        );
+        if (!empty($issues) || !empty($highSeverityIssues)) {
+            throw new \InvalidArgumentException('Library code did not pass the security checks');
+        }
+
+        // Libraries may import each other; refuse a version whose imports cannot be resolved
+        $this->resolve($script->code, $script->client_id, [ScriptLibrary::SPECIFIER_PREFIX . $name]);
+
+        $version = $script->currentVersion;
+        if (!$version || $version->code !== $script->code) {
+            $version = $script->createVersion("Published as @lib/{$name}", $approver);
+        }
+
+        $library = ScriptLibrary::updateOrCreate(
+            ['client_id' => $script->client_id, 'name' => $name],
+            [
+                'script_id' => $script->id,
+                'script_version_id' => $version->id,
+                'approved_by' => $approver->id,
+                'approved_at' => now(),
+            ]
+        );
+
+        Log::info('Script library published', [
+            'library' => $library->specifier,
+            'script_id' => $script->id,
+            'version' => $version->version_number,
+            'approved_by' => $approver->id,
+        ]);
+
+        return $library;
+    }
+
+    /**
+     * Resolve every library the code imports, directly or through other libraries
+     *
+     * @param array<int, string> $pending Specifiers already being resolved by the caller
+     * @return array<string, array{version: string, code: string}> Keyed by specifier
+     */
+    public function resolve(string $code, int $clientId, array $pending = []): array
+    {
+        $queue = $this->importedSpecifiers($code);
+        if (empty($queue)) {
+            return [];
+        }
+
+        $this->ensureEnabled();
+        $maxModules = (int) config('scripting.libraries.max_modules', 20);
+        $modules = [];
+
+        while (($specifier = array_shift($queue)) !== null) {
+            if (isset($modules[$specifier]) || in_array($specifier, $pending, true)) {
+                continue;
+            }
+
+            if (!str_starts_with($specifier, ScriptLibrary::SPECIFIER_PREFIX)) {
+                throw new \InvalidArgumentException(
+                    "Cannot import '{$specifier}': only " . ScriptLibrary::SPECIFIER_PREFIX . '{name} libraries can be imported'
+                );
+            }
+
+            $library = ScriptLibrary::with('version')
+                ->where('client_id', $clientId)
+                ->where('name', substr($specifier, strlen(ScriptLibrary::SPECIFIER_PREFIX)))
+                ->first();
+            if (!$library || !$library->version) {
+                throw new \InvalidArgumentException("Cannot import '{$specifier}': no approved library with that name");
+            }
+
+            if (count($modules) >= $maxModules) {
+                throw new \InvalidArgumentException("A script may import at most {$maxModules} libraries");
+            }
+
+            $modules[$specifier] = [
+                'version' => $library->version->version_number,
+                'code' => $library->version->code,
+            ];
+            array_push($queue, ...$this->importedSpecifiers($library->version->code));
+        }
+
+        return $modules;
+    }
+
+    /**
+     * Every library published for the client, for editor typings and navigation
+     */
+    public function forClient(int $clientId): array
+    {
+        return ScriptLibrary::with('version')
+            ->where('client_id', $clientId)
+            ->orderBy('name')
+            ->get()
+            ->filter(fn (ScriptLibrary $library) => $library->version !== null)
+            ->map(fn (ScriptLibrary $library) => [
+                'specifier' => $library->specifier,
+                'script_id' => $library->script_id,
+                'version' => $library->version->version_number,
+                'code' => $library->version->code,
+            ])
+            ->values()
+            ->all();
+    }
+
+    /**
+     * @return array<int, string>
+     */
+    protected function importedSpecifiers(string $code): array
+    {
+        preg_match_all(self::IMPORT_PATTERN, $code, $matches);
+
+        return array_values(array_unique($matches[1]));
+    }
+
+    protected function ensureEnabled(): void
+    {
+        if (!config('scripting.libraries.enabled', true)) {
+            throw new \RuntimeException('Library scripts are disabled');
+        }
+    }
+}
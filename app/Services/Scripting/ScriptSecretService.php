@@ -0,0 +1,175 @@
+<?php
+
+namespace App\Services\Scripting;
+
+use App\Exceptions\ApiAccessDeniedException;
+use App\Models\Script;
+use App\Models\ScriptExecutionLog;
+use App\Services\Security\SecretManager;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Client secrets for scripts, without their values ever entering the sandbox.
+ *
+ * `api.secrets.get(name)` resolves to a handle, `{{secret:name:signature}}`,
+ * where the signature ties it to one execution. A script places the handle in
+ * `api.http` headers or bodies, on its own or inside a longer string such as
+ * "Bearer " + handle, and HttpApiService swaps in the value just before the
+ * request is sent. The value is then redacted from the response, and the
+ * execution's output, error and recording are redacted of every secret it
+ * was handed before they are stored or streamed.
+ */
+class ScriptSecretService
+{
+    public const HANDLE_PATTERN = '/\{\{secret:([A-Za-z0-9_.]+):([0-9a-f]{32})\}\}/';
+
+    // Shorter values would redact ordinary text
+    protected const MIN_REDACTED_LENGTH = 4;
+
+    protected SecretManager $secretManager;
+
+    public function __construct(SecretManager $secretManager)
+    {
+        $this->secretManager = $secretManager;
+    }
+
+    /**
+     * Issue a handle for one of the client's secrets. The script must list the
+     * name, or '*', in its `permissions.secrets` configuration.
+     */
+    public function handle(Script $script, ScriptExecutionLog $executionLog, string $name): string
+    {
+        if (!$this->secretManager->validateSecretKey($name)) {
+            throw new \InvalidArgumentException('Secret names may only contain letters, digits, underscores and dots');
+        }
+
+        $allowed = (array) $script->getConfigValue('permissions.secrets', []);
+        if (!in_array('*', $allowed, true) && !in_array($name, $allowed, true)) {
+            Log::warning('Script attempted to read a secret it is not permitted to use', [
+                'script_id' => $script->id,
+                'execution_id' => $executionLog->id,
+                'secret' => $name,
+            ]);
+
+            throw new ApiAccessDeniedException("Secret \"{$name}\" is not available to this script");
+        }
+
+        if (!$this->secretManager->secretExists($script->client, $name)) {
+            throw new \InvalidArgumentException("Secret \"{$name}\" does not exist");
+        }
+
+        $key = $this->issuedKey($executionLog);
+        Cache::put($key, array_values(array_unique([...Cache::get($key, []), $name])), 3600);
+
+        return "{{secret:{$name}:{$this->signature($executionLog, $name)}}}";
+    }
+
+    public function containsHandle(string $text): bool
+    {
+        return preg_match(self::HANDLE_PATTERN, $text) === 1;
+    }
+
+    /**
+     * Replace every handle in the strings of $value with the secret's value,
+     * adding the values used to $resolved by name
+     */
+    public function resolveHandles(mixed $value, Script $script, ScriptExecutionLog $executionLog, array &$resolved): mixed
+    {
+        if (is_array($value)) {
+            foreach ($value as $key => $item) {
+                $value[$key] = $this->resolveHandles($item, $script, $executionLog, $resolved);
+            }
+            return $value;
+        }
+
+        if (!is_string($value)) {
+            return $value;
+        }
+
+        return preg_replace_callback(self::HANDLE_PATTERN, function (array $match) use ($script, $executionLog, &$resolved) {
+            [, $name, $signature] = $match;
+
+            if (!hash_equals($this->signature($executionLog, $name), $signature)) {
+                throw new ApiAccessDeniedException("Secret handle for \"{$name}\" was not issued to this execution");
+            }
+
+            $secret = $this->secretManager->getSecret($script->client, $name);
+            if ($secret === null) {
+                throw new \InvalidArgumentException("Secret \"{$name}\" does not exist or has expired");
+            }
+
+            $resolved[$name] = $secret;
+            return $secret;
+        }, $value);
+    }
+
+    /**
+     * Replace secret values, keyed by name, in every string of $value
+     */
+    public function redact(mixed $value, array $secrets): mixed
+    {
+        if (is_array($value)) {
+            foreach ($value as $key => $item) {
+                $value[$key] = $this->redact($item, $secrets);
+            }
+            return $value;
+        }
+
+        if (!is_string($value)) {
+            return $value;
+        }
+
+        foreach ($secrets as $name => $secret) {
+            if (strlen($secret) < self::MIN_REDACTED_LENGTH) {
+                continue;
+            }
+
+            // Also as it appears inside JSON text, with slashes and quotes escaped
+            $forms = array_unique([$secret, substr(json_encode($secret), 1, -1)]);
+            $value = str_replace($forms, "[secret:{$name}]", $value);
+        }
+
+        return $value;
+    }
+
+    /**
+     * Redact every secret handed to the execution from what the sidecar sent back
+     */
+    public function redactExecution(ScriptExecutionLog $executionLog, mixed $value): mixed
+    {
+        $names = Cache::get($this->issuedKey($executionLog), []);
+        if ($names === []) {
+            return $value;
+        }
+
+        $client = $executionLog->script->client;
+        $secrets = [];
+        foreach ($names as $name) {
+            $secret = $this->secretManager->getSecret($client, $name);
+            if ($secret !== null) {
+                $secrets[$name] = $secret;
+            }
+        }
+
+        return $this->redact($value, $secrets);
+    }
+
+    /**
+     * Drop the execution's list of issued secrets once it has finished
+     */
+    public function forget(ScriptExecutionLog $executionLog): void
+    {
+        Cache::forget($this->issuedKey($executionLog));
+    }
+
+    protected function signature(ScriptExecutionLog $executionLog, string $name): string
+    {
+        return substr(hash_hmac('sha256', "{$executionLog->id}:{$name}", config('app.key')), 0, 32);
+    }
+
+    protected function issuedKey(ScriptExecutionLog $executionLog): string
+    {
+        return "script_secrets:{$executionLog->id}";
+    }
+}
@@ -0,0 +1,199 @@
+<?php
+
+namespace App\Services\Scripting;
+
+use App\Models\Script;
+use App\Models\ScriptStorageEntry;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+
+class ScriptStorageService
+{
+    protected array $limits;
+
+    public function __construct()
+    {
+        $this->limits = [
+            'max_key_length' => (int) config('scripting.storage.max_key_length', 255),
+            'max_value_size' => (int) config('scripting.storage.max_value_size', 65536),
+            'max_keys_per_script' => (int) config('scripting.storage.max_keys_per_script', 1000),
+            'max_bytes_per_client' => (int) config('scripting.storage.max_bytes_per_client', 10 * 1024 * 1024),
+            'default_ttl' => config('scripting.storage.default_ttl'),
+            'max_ttl' => (int) config('scripting.storage.max_ttl', 90 * 24 * 3600),
+        ];
+    }
+
+    /**
+     * Get a stored value, or null if the key is missing or expired
+     */
+    public function get(Script $script, string $key): mixed
+    {
+        $this->ensureEnabled();
+        $this->validateKey($key);
+
+        $entry = ScriptStorageEntry::where('script_id', $script->id)
+            ->where('key', $key)
+            ->live()
+            ->first();
+
+        return $entry?->getDecodedValue();
+    }
+
+    /**
+     * Store a value, optionally expiring after $ttl seconds
+     */
+    public function set(Script $script, string $key, mixed $value, ?int $ttl = null): void
+    {
+        $this->ensureEnabled();
+        $this->validateKey($key);
+
+        $encoded = json_encode($value);
+        if ($encoded === false) {
+            throw new \InvalidArgumentException('Storage value must be JSON serializable');
+        }
+
+        $size = strlen($encoded);
+        if ($size > $this->limits['max_value_size']) {
+            throw new \InvalidArgumentException(
+                "Storage value is {$size} bytes; the limit is {$this->limits['max_value_size']} bytes"
+            );
+        }
+
+        $expiresAt = $this->resolveExpiry($ttl);
+
+        DB::transaction(function () use ($script, $key, $encoded, $size, $expiresAt) {
+            $existing = ScriptStorageEntry::where('script_id', $script->id)
+                ->where('key', $key)
+                ->lockForUpdate()
+                ->first();
+
+            $this->enforceQuotas($script, $existing, $size);
+
+            ScriptStorageEntry::updateOrCreate(
+                ['script_id' => $script->id, 'key' => $key],
+                [
+                    'client_id' => $script->client_id,
+                    'value' => $encoded,
+                    'size_bytes' => $size,
+                    'expires_at' => $expiresAt,
+                ]
+            );
+        });
+    }
+
+    /**
+     * Delete a key; returns whether a live entry was removed
+     */
+    public function delete(Script $script, string $key): bool
+    {
+        $this->ensureEnabled();
+        $this->validateKey($key);
+
+        $deleted = ScriptStorageEntry::where('script_id', $script->id)
+            ->where('key', $key)
+            ->live()
+            ->delete();
+
+        // Drop an expired leftover too, so the key is free either way
+        ScriptStorageEntry::where('script_id', $script->id)->where('key', $key)->delete();
+
+        return $deleted > 0;
+    }
+
+    /**
+     * Remove expired entries
+     */
+    public function pruneExpired(): int
+    {
+        $count = ScriptStorageEntry::expired()->delete();
+
+        if ($count > 0) {
+            Log::info('Pruned expired script storage entries', ['count' => $count]);
+        }
+
+        return $count;
+    }
+
+    /**
+     * Get storage usage for a script and its client
+     */
+    public function getUsage(Script $script): array
+    {
+        return [
+            'script_keys' => ScriptStorageEntry::where('script_id', $script->id)->live()->count(),
+            'script_bytes' => (int) ScriptStorageEntry::where('script_id', $script->id)->live()->sum('size_bytes'),
+            'client_bytes' => (int) ScriptStorageEntry::where('client_id', $script->client_id)->live()->sum('size_bytes'),
+            'limits' => $this->limits,
+        ];
+    }
+
+    /**
+     * Reject a write that would push the script or client over quota
+     */
+    protected function enforceQuotas(Script $script, ?ScriptStorageEntry $existing, int $size): void
+    {
+        $replacesLive = $existing && !$existing->isExpired();
+
+        if (!$replacesLive) {
+            $keys = ScriptStorageEntry::where('script_id', $script->id)->live()->count();
+            if ($keys >= $this->limits['max_keys_per_script']) {
+                throw new \RuntimeException(
+                    "Storage quota exceeded: scripts may store at most {$this->limits['max_keys_per_script']} keys"
+                );
+            }
+        }
+
+        $clientBytes = (int) ScriptStorageEntry::where('client_id', $script->client_id)->live()->sum('size_bytes');
+        $projected = $clientBytes - ($replacesLive ? $existing->size_bytes : 0) + $size;
+
+        if ($projected > $this->limits['max_bytes_per_client']) {
+            throw new \RuntimeException(
+                "Storage quota exceeded: client storage is limited to {$this->limits['max_bytes_per_client']} bytes"
+            );
+        }
+    }
+
+    /**
+     * Turn a TTL in seconds into an expiry timestamp, applying the configured default and cap
+     */
+    protected function resolveExpiry(?int $ttl): ?\Illuminate\Support\Carbon
+    {
+        $ttl = $ttl ?? ($this->limits['default_ttl'] !== null ? (int) $this->limits['default_ttl'] : null);
+
+        if ($ttl === null) {
+            return null;
+        }
+
+        if ($ttl <= 0) {
+            throw new \InvalidArgumentException('Storage TTL must be a positive number of seconds');
+        }
+
+        return now()->addSeconds(min($ttl, $this->limits['max_ttl']));
+    }
+
+    /**
+     * Validate a storage key
+     */
+    protected function validateKey(string $key): void
+    {
+        if ($key === '') {
+            throw new \InvalidArgumentException('Storage key cannot be empty');
+        }
+
+        if (mb_strlen($key) > $this->limits['max_key_length']) {
+            throw new \InvalidArgumentException(
+                "Storage key cannot exceed {$this->limits['max_key_length']} characters"
+            );
+        }
+    }
+
+    /**
+     * Fail when storage is disabled for the installation
+     */
+    protected function ensureEnabled(): void
+    {
+        if (!config('scripting.storage.enabled', true)) {
+            throw new \RuntimeException('Script storage is disabled');
+        }
+    }
+}
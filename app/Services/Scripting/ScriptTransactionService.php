@@ -0,0 +1,159 @@
+<?php
+
+namespace App\Services\Scripting;
+
+use App\Models\ScriptExecutionLog;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Script database transactions spanning several executor callbacks
+ *
+ * Each callback is a separate HTTP request, so a real database transaction
+ * cannot stay open between them. Instead, writes issued while a transaction is
+ * open are journaled per execution and replayed inside a single
+ * DB::transaction() on commit. Reads see committed data only.
+ */
+class ScriptTransactionService
+{
+    /**
+     * Database methods that are deferred while a transaction is open
+     */
+    public const WRITE_METHODS = ['insert', 'update', 'delete'];
+
+    protected int $maxOperations;
+
+    public function __construct()
+    {
+        $this->maxOperations = (int) config('scripting.database.max_transaction_operations', 100);
+    }
+
+    /**
+     * Open a transaction for the execution
+     */
+    public function begin(ScriptExecutionLog $executionLog): array
+    {
+        return $this->withLock($executionLog, function () use ($executionLog) {
+            if ($this->journal($executionLog) !== null) {
+                throw new \RuntimeException('A transaction is already open for this execution');
+            }
+
+            $this->store($executionLog, []);
+
+            return ['open' => true];
+        });
+    }
+
+    /**
+     * Whether the execution has an open transaction
+     */
+    public function isOpen(ScriptExecutionLog $executionLog): bool
+    {
+        return $this->journal($executionLog) !== null;
+    }
+
+    /**
+     * Journal a write until the transaction commits
+     */
+    public function record(ScriptExecutionLog $executionLog, string $method, array $params): array
+    {
+        return $this->withLock($executionLog, function () use ($executionLog, $method, $params) {
+            $operations = $this->journal($executionLog);
+            if ($operations === null) {
+                throw new \RuntimeException('No transaction is open for this execution');
+            }
+
+            if (count($operations) >= $this->maxOperations) {
+                throw new \RuntimeException(
+                    "A transaction may contain at most {$this->maxOperations} write operations"
+                );
+            }
+
+            $operations[] = ['method' => $method, 'params' => $params];
+            $this->store($executionLog, $operations);
+
+            return ['queued' => true, 'operation' => count($operations)];
+        });
+    }
+
+    /**
+     * Apply every journaled write atomically and close the transaction
+     *
+     * @param callable(string, array): mixed $apply Runs one write
+     */
+    public function commit(ScriptExecutionLog $executionLog, callable $apply): array
+    {
+        return $this->withLock($executionLog, function () use ($executionLog, $apply) {
+            $operations = $this->journal($executionLog);
+            if ($operations === null) {
+                throw new \RuntimeException('No transaction is open for this execution');
+            }
+
+            // The journal is spent whether or not the writes succeed
+            $this->forget($executionLog);
+
+            $results = DB::transaction(function () use ($operations, $apply) {
+                return array_map(
+                    fn (array $operation) => $apply($operation['method'], $operation['params']),
+                    $operations
+                );
+            });
+
+            return ['committed' => true, 'results' => $results];
+        });
+    }
+
+    /**
+     * Discard the journaled writes; a no-op when no transaction is open
+     */
+    public function rollback(ScriptExecutionLog $executionLog): array
+    {
+        return $this->withLock($executionLog, function () use ($executionLog) {
+            $operations = $this->journal($executionLog);
+            if ($operations === null) {
+                return ['rolled_back' => false];
+            }
+
+            $this->forget($executionLog);
+
+            Log::info('Script transaction rolled back', [
+                'execution_id' => $executionLog->id,
+                'discarded_operations' => count($operations),
+            ]);
+
+            return ['rolled_back' => true, 'discarded_operations' => count($operations)];
+        });
+    }
+
+    protected function journal(ScriptExecutionLog $executionLog): ?array
+    {
+        return Cache::get($this->cacheKey($executionLog));
+    }
+
+    protected function store(ScriptExecutionLog $executionLog, array $operations): void
+    {
+        // Outlive the longest possible execution so a lost rollback cannot leak forever
+        $ttl = (int) config('scripting.execution.timeout', 30) * 2 + 60;
+
+        Cache::put($this->cacheKey($executionLog), $operations, $ttl);
+    }
+
+    protected function forget(ScriptExecutionLog $executionLog): void
+    {
+        Cache::forget($this->cacheKey($executionLog));
+    }
+
+    /**
+     * Serialize journal updates from concurrent callbacks of the same execution
+     */
+    protected function withLock(ScriptExecutionLog $executionLog, callable $callback): mixed
+    {
+        return Cache::lock($this->cacheKey($executionLog) . ':lock', 10)->block(5, $callback);
+    }
+
+    protected function cacheKey(ScriptExecutionLog $executionLog): string
+    {
+        return "script_transaction:{$executionLog->id}";
+    }
+}
@@ -280,47 +280,59 @@ class HttpApiNamespace
 
     /**
      * Make HTTP GET request
+     *
+     * @return array{status: int, headers: array<string, string>, body: string}
      */
-    public function get(string $url, array $headers = []): string
+    public function get(string $url, array $headers = []): array
     {
-        $this->checkHttpAccess($url);
-        return $this->httpApi->makeRequest($this->script, 'GET', $url, [], $headers, $this->executionLog);
+        return $this->request('GET', $url, null, $headers);
     }
 
     /**
      * Make HTTP POST request
      */
-    public function post(string $url, array $data = [], array $headers = []): string
+    public function post(string $url, mixed $data = null, array $headers = []): array
     {
-        $this->checkHttpAccess($url);
-        return $this->httpApi->makeRequest($this->script, 'POST', $url, $data, $headers, $this->executionLog);
+        return $this->request('POST', $url, $data, $headers);
     }
 
     /**
      * Make HTTP PUT request
      */
-    public function put(string $url, array $data = [], array $headers = []): string
+    public function put(string $url, mixed $data = null, array $headers = []): array
     {
-        $this->checkHttpAccess($url);
-        return $this->httpApi->makeRequest($this->script, 'PUT', $url, $data, $headers, $this->executionLog);
+        return $this->request('PUT', $url, $data, $headers);
+    }
+
+    /**
+     * Make HTTP PATCH request
+     */
+    public function patch(string $url, mixed $data = null, array $headers = []): array
+    {
+        return $this->request('PATCH', $url, $data, $headers);
     }
 
     /**
      * Make HTTP DELETE request
      */
-    public function delete(string $url, array $headers = []): string
+    public function delete(string $url, array $headers = []): array
+    {
+        return $this->request('DELETE', $url, null, $headers);
+    }
+
+    protected function request(string $method, string $url, mixed $data, array $headers): array
     {
-        $this->checkHttpAccess($url);
-        return $this->httpApi->makeRequest($this->script, 'DELETE', $url, [], $headers, $this->executionLog);
+        $this->checkHttpAccess($url, $method);
+        return $this->httpApi->makeRequest($this->script, $method, $url, $data, $headers, $this->executionLog);
     }
 
     /**
      * Check HTTP access permissions
      */
-    protected function checkHttpAccess(string $url): void
+    protected function checkHttpAccess(string $url, string $method): void
     {
-        if (!$this->securityService->canAccessUrl($this->script, $url)) {
-            throw new ApiAccessDeniedException('HTTP access denied for URL: ' . $url);
+        if (!$this->securityService->canAccessUrl($this->script, $url, $method)) {
+            throw new ApiAccessDeniedException("HTTP access denied for {$method} {$url}");
         }
     }
 }
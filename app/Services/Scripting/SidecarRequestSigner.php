@@ -0,0 +1,140 @@
+<?php
+
+namespace App\Services\Scripting;
+
+use Illuminate\Http\Client\PendingRequest;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Cache;
+use Psr\Http\Message\RequestInterface;
+
+/**
+ * HMAC signatures for requests between Laravel and the Deno sidecar
+ *
+ * Both directions sign "METHOD\npath\ntimestamp\nnonce\nsha256(body)" with a
+ * shared key and send it as X-Signature next to X-Key-Id, X-Timestamp and
+ * X-Nonce. A request is accepted once, within scripting.deno.signing.max_skew
+ * of its timestamp, and under any configured key, so a key is rotated by
+ * adding the new one on both sides, switching current_key, then removing the
+ * old one. Must match docker/deno/request_signing.ts.
+ */
+class SidecarRequestSigner
+{
+    /**
+     * @var array<string, string> Secrets keyed by key id
+     */
+    protected array $keys;
+
+    protected ?string $currentKey;
+
+    protected int $maxSkew;
+
+    public function __construct()
+    {
+        $this->keys = self::parseKeys((string) config('scripting.deno.signing.keys', ''));
+        $this->currentKey = config('scripting.deno.signing.current_key') ?: array_key_first($this->keys);
+        $this->maxSkew = (int) config('scripting.deno.signing.max_skew', 300);
+    }
+
+    /**
+     * Parse "key-id:secret" pairs separated by commas
+     *
+     * @return array<string, string>
+     */
+    public static function parseKeys(string $value): array
+    {
+        $keys = [];
+        foreach (array_filter(array_map('trim', explode(',', $value))) as $pair) {
+            [$id, $secret] = array_pad(explode(':', $pair, 2), 2, '');
+            if ($id !== '' && $secret !== '') {
+                $keys[$id] = $secret;
+            }
+        }
+
+        return $keys;
+    }
+
+    /**
+     * Sign every request sent through $request
+     */
+    public function attachTo(PendingRequest $request): PendingRequest
+    {
+        return $request->withRequestMiddleware(function (RequestInterface $psrRequest) {
+            $headers = $this->headers($psrRequest->getMethod(), $psrRequest->getUri()->getPath(), (string) $psrRequest->getBody());
+
+            foreach ($headers as $name => $value) {
+                $psrRequest = $psrRequest->withHeader($name, $value);
+            }
+
+            return $psrRequest;
+        });
+    }
+
+    /**
+     * Signature headers for one request
+     *
+     * @return array<string, string>
+     */
+    public function headers(string $method, string $path, string $body): array
+    {
+        if ($this->currentKey === null || !isset($this->keys[$this->currentKey])) {
+            throw new \RuntimeException('No signing key for the Deno sidecar; set DENO_SIGNING_KEYS');
+        }
+
+        $timestamp = (string) time();
+        $nonce = bin2hex(random_bytes(16));
+
+        return [
+            'X-Key-Id' => $this->currentKey,
+            'X-Timestamp' => $timestamp,
+            'X-Nonce' => $nonce,
+            'X-Signature' => $this->signature($this->keys[$this->currentKey], $method, $path, $timestamp, $nonce, $body),
+        ];
+    }
+
+    /**
+     * Why the request is not a valid signed request from the sidecar, or null when it is
+     */
+    public function verify(Request $request): ?string
+    {
+        $keyId = (string) $request->header('X-Key-Id');
+        $timestamp = (string) $request->header('X-Timestamp');
+        $nonce = (string) $request->header('X-Nonce');
+        $signature = (string) $request->header('X-Signature');
+
+        if ($keyId === '' || $timestamp === '' || $nonce === '' || $signature === '') {
+            return 'Request is not signed; X-Key-Id, X-Timestamp, X-Nonce and X-Signature are required';
+        }
+        if (!isset($this->keys[$keyId])) {
+            return "Unknown signing key: {$keyId}";
+        }
+        if (!ctype_digit($timestamp) || abs(time() - (int) $timestamp) > $this->maxSkew) {
+            return 'Signature timestamp is outside the allowed window';
+        }
+
+        $path = parse_url($request->getRequestUri(), PHP_URL_PATH) ?: '/';
+        $expected = $this->signature($this->keys[$keyId], $request->getMethod(), $path, $timestamp, $nonce, $request->getContent());
+        if (!hash_equals($expected, $signature)) {
+            return 'Invalid signature';
+        }
+
+        // Only checked for valid signatures, so nobody can burn nonces; kept until the timestamp expires either way
+        if (!Cache::add("deno_signature_nonce:{$keyId}:{$nonce}", true, $this->maxSkew * 2)) {
+            return 'Nonce has already been used';
+        }
+
+        return null;
+    }
+
+    protected function signature(
+        string $secret,
+        string $method,
+        string $path,
+        string $timestamp,
+        string $nonce,
+        string $body
+    ): string {
+        $canonical = implode("\n", [strtoupper($method), $path, $timestamp, $nonce, hash('sha256', $body)]);
+
+        return hash_hmac('sha256', $canonical, $secret);
+    }
+}
@@ -987,6 +987,22 @@ class AstSecurityAnalyzer
         return $this->blacklist;
     }
 
+    /**
+     * Rules for the editor's in-browser pre-check (resources/js/script-lint-worker.js):
+     * one list of forbidden names, made of the configured forbidden functions and
+     * the blacklist's functions. The blacklist files globals such as window and
+     * process under functions too; its patterns are not included.
+     */
+    public function getEditorRules(): array
+    {
+        return [
+            'forbidden_functions' => array_values(array_unique(array_merge(
+                config('scripting.security.forbidden_functions', []),
+                $this->blacklist['functions']
+            ))),
+        ];
+    }
+
     /**
      * Update whitelist
      */
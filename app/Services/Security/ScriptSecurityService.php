@@ -13,11 +13,35 @@ use Carbon\Carbon;
 
 class ScriptSecurityService
 {
+    /**
+     * Address ranges scripts may never reach over HTTP
+     */
+    protected const NON_PUBLIC_RANGES = [
+        '0.0.0.0/8',
+        '10.0.0.0/8',
+        '100.64.0.0/10',
+        '127.0.0.0/8',
+        '169.254.0.0/16',
+        '172.16.0.0/12',
+        '192.0.0.0/24',
+        '192.0.2.0/24',
+        '192.168.0.0/16',
+        '198.18.0.0/15',
+        '198.51.100.0/24',
+        '203.0.113.0/24',
+        '224.0.0.0/4',
+        '240.0.0.0/4',
+        '::/127',
+        'fc00::/7',
+        'fe80::/10',
+        'ff00::/8',
+        '2001:db8::/32',
+    ];
+
     protected ResourceMonitorService $resourceMonitor;
     protected AstSecurityAnalyzer $astAnalyzer;
     protected array $forbiddenPatterns;
     protected array $allowedTables;
-    protected array $allowedDomains;
 
     public function __construct(ResourceMonitorService $resourceMonitor, AstSecurityAnalyzer $astAnalyzer)
     {
@@ -82,7 +106,6 @@ class ScriptSecurityService
         ];
 
         $this->allowedTables = config('scripting.database.allowed_tables', []);
-        $this->allowedDomains = config('scripting.http.allowed_domains', []);
     }
 
     /**
@@ -269,7 +292,7 @@ class ScriptSecurityService
     /**
      * Check if script can access URL
      */
-    public function canAccessUrl(Script $script, string $url): bool
+    public function canAccessUrl(Script $script, string $url, string $method = 'GET'): bool
     {
         // Check global HTTP access permission
         if (!$this->hasClientPermission($script->client, 'http.access')) {
@@ -286,18 +309,26 @@ class ScriptSecurityService
             return false;
         }
 
+        $policy = $this->httpPolicy($script);
+
+        if (!in_array(strtoupper($method), $policy['allowed_methods'], true)) {
+            return false;
+        }
+
         // Check domain restrictions
         $parsedUrl = parse_url($url);
-        $domain = $parsedUrl['host'] ?? '';
+        $domain = trim($parsedUrl['host'] ?? '', '[]');
 
-        // Check against allowed domains
-        if (!empty($this->allowedDomains) && !$this->isDomainAllowed($domain, $this->allowedDomains)) {
+        if (!in_array(strtolower($parsedUrl['scheme'] ?? ''), ['http', 'https'], true)) {
             return false;
         }
 
-        // Check client-specific domain restrictions
-        $clientAllowedDomains = $script->client->getSetting('http.allowed_domains', []);
-        if (!empty($clientAllowedDomains) && !$this->isDomainAllowed($domain, $clientAllowedDomains)) {
+        if ($this->isDomainAllowed($domain, $policy['forbidden_domains'])) {
+            return false;
+        }
+
+        // The client's list replaces the configured one, exactly as the sidecar applies it
+        if (!empty($policy['allowed_domains']) && !$this->isDomainAllowed($domain, $policy['allowed_domains'])) {
             return false;
         }
 
@@ -309,6 +340,81 @@ class ScriptSecurityService
         return true;
     }
 
+    /**
+     * Egress rules for a script's HTTP requests: the client's settings, falling
+     * back to config('scripting.http'), with forbidden domains from both. Sent to
+     * the sidecar with each execution; must match docker/deno/http_policy.ts.
+     */
+    public function httpPolicy(Script $script): array
+    {
+        $config = config('scripting.http');
+        $client = $script->client;
+
+        return [
+            'allowed_domains' => array_values($client->getSetting('http.allowed_domains') ?: $config['allowed_domains'] ?? []),
+            'forbidden_domains' => array_values(array_unique(array_merge(
+                $config['forbidden_domains'] ?? [],
+                $client->getSetting('http.forbidden_domains', [])
+            ))),
+            'allowed_methods' => array_values(array_map(
+                'strtoupper',
+                $client->getSetting('http.allowed_methods') ?: $config['allowed_methods'] ?? []
+            )),
+            'max_response_size' => (int) $client->getSetting('http.max_response_size', $config['max_response_size'] ?? 1024 * 1024),
+        ];
+    }
+
+    /**
+     * Whether an IP address is routable on the public internet. Loopback,
+     * private, link-local, carrier-grade NAT, multicast and reserved ranges are
+     * not, nor are IPv6 addresses that embed one of them.
+     */
+    public function isPublicAddress(string $ip): bool
+    {
+        if (!filter_var($ip, FILTER_VALIDATE_IP)) {
+            return false;
+        }
+
+        $packed = inet_pton($ip);
+        if ($packed === false) {
+            return false;
+        }
+
+        // ::ffff:a.b.c.d, ::a.b.c.d and 64:ff9b::a.b.c.d reach the embedded IPv4 address
+        if (strlen($packed) === 16) {
+            $prefix = substr($packed, 0, 12);
+            if ($prefix === str_repeat("\0", 10) . "\xff\xff"
+                || ($prefix === str_repeat("\0", 12) && substr($packed, 12) !== "\0\0\0\0" && substr($packed, 12) !== "\0\0\0\1")
+                || $prefix === "\0\x64\xff\x9b" . str_repeat("\0", 8)) {
+                $packed = substr($packed, 12);
+            }
+        }
+
+        foreach (self::NON_PUBLIC_RANGES as $range) {
+            [$network, $bits] = explode('/', $range);
+            $networkPacked = inet_pton($network);
+            if (strlen($networkPacked) !== strlen($packed)) {
+                continue;
+            }
+
+            $bytes = intdiv((int) $bits, 8);
+            $remainder = (int) $bits % 8;
+            if (strncmp($packed, $networkPacked, $bytes) !== 0) {
+                continue;
+            }
+            if ($remainder === 0) {
+                return false;
+            }
+
+            $mask = (0xff << (8 - $remainder)) & 0xff;
+            if ((ord($packed[$bytes]) & $mask) === (ord($networkPacked[$bytes]) & $mask)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
     /**
      * Check if script can dispatch event
      */
@@ -352,12 +458,9 @@ class ScriptSecurityService
                 return true;
             }
             
-            // Check wildcard domains
-            if (str_starts_with($allowedDomain, '*.')) {
-                $pattern = str_replace('*.', '', $allowedDomain);
-                if (str_ends_with($domain, $pattern)) {
-                    return true;
-                }
+            // *.example.com matches subdomains only, never evilexample.com
+            if (str_starts_with($allowedDomain, '*.') && str_ends_with(strtolower($domain), strtolower(substr($allowedDomain, 1)))) {
+                return true;
             }
         }
         
@@ -375,7 +478,7 @@ class ScriptSecurityService
             return false;
         }
         
-        return !filter_var($ip, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE);
+        return !$this->isPublicAddress($ip);
     }
 
     /**
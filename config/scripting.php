@@ -31,6 +31,7 @@ return [
         'max_concurrent_executions' => env('SCRIPT_MAX_CONCURRENT', 10),
         'queue_driver' => env('SCRIPT_QUEUE_DRIVER', 'sync'),
         'queue_name' => env('SCRIPT_QUEUE_NAME', 'scripting'),
+        'context_aliases' => env('SCRIPT_CONTEXT_ALIASES', true), // top-level context keys as variables, next to ctx
     ],
 
     /*
@@ -101,6 +102,7 @@ return [
         ],
         'max_query_results' => env('SCRIPT_MAX_QUERY_RESULTS', 1000),
         'enable_write_operations' => env('SCRIPT_ENABLE_WRITES', false),
+        'max_transaction_operations' => env('SCRIPT_MAX_TRANSACTION_OPERATIONS', 100),
         'allowed_operations' => [
             'select',
             'insert',
@@ -193,6 +195,41 @@ return [
         ],
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Script Storage Settings
+    |--------------------------------------------------------------------------
+    |
+    | These settings control the key/value store exposed to scripts as
+    | api.storage. Entries are scoped to a single script of a single client.
+    |
+    */
+
+    'storage' => [
+        'enabled' => env('SCRIPT_STORAGE_ENABLED', true),
+        'max_key_length' => env('SCRIPT_STORAGE_MAX_KEY_LENGTH', 255),
+        'max_value_size' => env('SCRIPT_STORAGE_MAX_VALUE_SIZE', 65536), // bytes
+        'max_keys_per_script' => env('SCRIPT_STORAGE_MAX_KEYS', 1000),
+        'max_bytes_per_client' => env('SCRIPT_STORAGE_MAX_CLIENT_BYTES', 10 * 1024 * 1024), // bytes
+        'default_ttl' => env('SCRIPT_STORAGE_DEFAULT_TTL'), // seconds, null keeps entries until deleted
+        'max_ttl' => env('SCRIPT_STORAGE_MAX_TTL', 90 * 24 * 3600), // seconds
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Library Script Settings
+    |--------------------------------------------------------------------------
+    |
+    | These settings control the registry of approved library scripts that
+    | scripts import as `@lib/{name}`. Imports never reach the network.
+    |
+    */
+
+    'libraries' => [
+        'enabled' => env('SCRIPT_LIBRARIES_ENABLED', true),
+        'max_modules' => env('SCRIPT_LIBRARIES_MAX_MODULES', 20), // per execution, including transitive imports
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Rate Limiting Settings
@@ -344,6 +381,28 @@ return [
         'max_request_retries' => env('DENO_MAX_RETRIES', 3),
         'fallback_to_v8js' => env('DENO_FALLBACK_TO_V8JS', false),
         'enable_metrics' => env('DENO_ENABLE_METRICS', true),
+        'callback_batching' => [
+            'enabled' => env('DENO_CALLBACK_BATCHING', true),
+            'window_ms' => env('DENO_CALLBACK_BATCH_WINDOW', 5), // milliseconds
+            'max_batch_size' => env('DENO_CALLBACK_BATCH_SIZE', 50),
+        ],
+        // Record callbacks and utils values so failed runs can be replayed in the editor
+        'recording' => [
+            'enabled' => env('DENO_RECORD_EXECUTIONS', false),
+            'keep' => env('DENO_RECORDING_KEEP', 'failed'), // failed or all
+            'max_size' => env('DENO_RECORDING_MAX_SIZE', 1024 * 1024), // bytes
+        ],
+        // HMAC signatures on every request between Laravel and the sidecar, in both directions
+        'signing' => [
+            'keys' => env('DENO_SIGNING_KEYS', ''), // "key-id:secret,..."; the sidecar needs the same list
+            'current_key' => env('DENO_SIGNING_KEY_ID'), // key new requests are signed with (default: the first)
+            'max_skew' => env('DENO_SIGNING_MAX_SKEW', 300), // seconds
+        ],
+        // Send a content hash instead of the code once the sidecar has compiled a script version
+        'compile_cache' => [
+            'enabled' => env('DENO_COMPILE_CACHE', true),
+            'ttl' => env('DENO_COMPILE_CACHE_TTL', 3600), // seconds Laravel assumes the sidecar still has it
+        ],
         'resource_limits' => [
             'max_memory' => env('DENO_MAX_MEMORY', 64), // MB
             'max_cpu_time' => env('DENO_MAX_CPU_TIME', 30), // seconds
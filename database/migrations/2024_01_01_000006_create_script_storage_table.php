@@ -0,0 +1,38 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('script_storage', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('client_id')->constrained()->onDelete('cascade');
+            $table->foreignId('script_id')->constrained()->onDelete('cascade');
+            $table->string('key', 255);
+            $table->longText('value'); // JSON-encoded
+            $table->unsignedInteger('size_bytes');
+            $table->timestamp('expires_at')->nullable();
+            $table->timestamps();
+
+            // Indexes
+            $table->unique(['script_id', 'key']);
+            $table->index(['client_id', 'expires_at']);
+            $table->index(['expires_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('script_storage');
+    }
+};
@@ -451,7 +451,7 @@ orders.forEach(order => {
             currency: 'USD'
         });
         
-        const payment = JSON.parse(paymentResult);
+        const payment = paymentResult.json();
         
         if (payment.status === 'success') {
             // Update order status
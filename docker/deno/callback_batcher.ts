@@ -0,0 +1,105 @@
+/**
+ * Coalesces Laravel callbacks from one execution into batch requests.
+ *
+ * Calls that arrive within `windowMs` of each other are sent together to the
+ * batch endpoint, which processes them in order. Batches are sent one after
+ * another, so the order in which a script issued its calls is the order
+ * Laravel applies them in; calls made while a batch is in flight simply join
+ * the next one.
+ */
+
+export interface CallbackCall {
+  type: string;
+  method: string;
+  params: Record<string, any>;
+}
+
+export interface CallbackResult {
+  success: boolean;
+  result?: any;
+  error?: string;
+}
+
+export interface CallbackBatcherOptions {
+  windowMs: number;
+  maxBatchSize: number;
+}
+
+interface QueuedCall {
+  call: CallbackCall;
+  resolve: (value: any) => void;
+  reject: (error: Error) => void;
+}
+
+export const DEFAULT_BATCH_WINDOW_MS = 5;
+export const DEFAULT_MAX_BATCH_SIZE = 50;
+
+export class CallbackBatcher {
+  private queue: QueuedCall[] = [];
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private tail: Promise<void> = Promise.resolve();
+
+  constructor(
+    private readonly sendOne: (call: CallbackCall) => Promise<any>,
+    private readonly sendBatch: (calls: CallbackCall[]) => Promise<CallbackResult[]>,
+    private readonly options: CallbackBatcherOptions = {
+      windowMs: DEFAULT_BATCH_WINDOW_MS,
+      maxBatchSize: DEFAULT_MAX_BATCH_SIZE,
+    },
+  ) {}
+
+  enqueue(call: CallbackCall): Promise<any> {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ call, resolve, reject });
+
+      if (this.queue.length >= this.options.maxBatchSize) {
+        this.flush();
+      } else if (this.timer === null) {
+        this.timer = setTimeout(() => this.flush(), this.options.windowMs);
+      }
+    });
+  }
+
+  flush(): void {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const batch = this.queue.splice(0, this.options.maxBatchSize);
+    if (batch.length === 0) {
+      return;
+    }
+    if (this.queue.length > 0) {
+      this.timer = setTimeout(() => this.flush(), 0);
+    }
+
+    this.tail = this.tail.then(() => this.send(batch));
+  }
+
+  private async send(batch: QueuedCall[]): Promise<void> {
+    if (batch.length === 1) {
+      const [{ call, resolve, reject }] = batch;
+      await this.sendOne(call).then(resolve, reject);
+      return;
+    }
+
+    try {
+      const results = await this.sendBatch(batch.map(queued => queued.call));
+
+      batch.forEach((queued, index) => {
+        const result = results[index];
+        if (!result) {
+          queued.reject(new Error('Batch response is missing a result for this call'));
+        } else if (result.success) {
+          queued.resolve(result.result);
+        } else {
+          queued.reject(new Error(result.error || 'API call failed'));
+        }
+      });
+    } catch (error) {
+      const reason = error instanceof Error ? error : new Error(String(error));
+      batch.forEach(queued => queued.reject(reason));
+    }
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * LRU cache of scripts prepared for the sandbox.
+ *
+ * Preparing a script (rewriting its imports, compiling its libraries and
+ * stripping TypeScript types) depends only on its language, the libraries it
+ * imports and its code. Laravel hashes those, with the client the libraries
+ * belong to, into a `script_hash` (see scriptHash()), so once a script
+ * version has been sent with its code, later executions can send the hash
+ * alone. A hash that is not
+ * cached (never seen, or evicted) is answered with 409 and Laravel resends
+ * the code.
+ */
+
+import type { ModuleSource } from "./module_linker.ts";
+import type { CompiledScript } from "./typescript_compiler.ts";
+
+export interface PreparedScript {
+  code: string;
+  // Linked library modules as CommonJS bodies
+  modules: Record<string, string>;
+  compiled: CompiledScript | null;
+}
+
+export interface CompileCacheStats {
+  entries: number;
+  max_entries: number;
+  hits: number;
+  misses: number;
+  evictions: number;
+}
+
+export const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * sha256 of "clientId\nlanguage\nspecifier@version:sha256(source),...\ncode",
+ * with the library entries sorted as strings. The client and each library's
+ * source are part of the key because library names are only unique within a
+ * client. Must match DenoScriptingService::scriptHash().
+ */
+export async function scriptHash(
+  code: string,
+  language: string,
+  modules: Record<string, ModuleSource>,
+  clientId: string | number
+): Promise<string> {
+  const libraries = await Promise.all(
+    Object.entries(modules).map(async ([specifier, module]) => `${specifier}@${module.version}:${await sha256(module.code)}`)
+  );
+
+  return sha256(`${clientId}\n${language}\n${libraries.sort().join(',')}\n${code}`);
+}
+
+async function sha256(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class CompileCache {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  private readonly entries = new Map<string, PreparedScript>();
+  private hits = 0;
+  private misses = 0;
+  private evictions = 0;
+
+  constructor(private readonly maxEntries: number = DEFAULT_MAX_ENTRIES) {}
+
+  /**
+   * Whether a hash-only request can be served, without counting as a lookup
+   */
+  has(hash: string): boolean {
+    return this.entries.has(hash);
+  }
+
+  get(hash: string): PreparedScript | undefined {
+    const entry = this.entries.get(hash);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    this.entries.delete(hash);
+    this.entries.set(hash, entry);
+    return entry;
+  }
+
+  set(hash: string, entry: PreparedScript): void {
+    this.entries.delete(hash);
+    this.entries.set(hash, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  stats(): CompileCacheStats {
+    return {
+      entries: this.entries.size,
+      max_entries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+    };
+  }
+}
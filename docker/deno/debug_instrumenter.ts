@@ -0,0 +1,175 @@
+/**
+ * Source instrumentation for step-through debugging of test runs.
+ *
+ * Before every statement that runs in an async context (the script body or an
+ * async function), a pause point is inserted:
+ *
+ *   if (__debug.hit(12)) await __debug.pause(12, { "total": () => total });
+ *
+ * `hit` is a cheap synchronous check, so only lines with a breakpoint (or the
+ * next line while stepping) pay for the await. The getters expose the names in
+ * scope at that point and are only read while paused. Statements inside
+ * synchronous functions cannot await, so they never pause. TypeScript scripts
+ * are instrumented before they are transpiled, so pause points carry the lines
+ * of the source as written.
+ *
+ * Only the host imports this module, and only when a debug run is requested.
+ */
+
+import ts from "npm:typescript@5.3.3";
+import { scriptPosition, unwrapScript, wrapScript } from "./script_wrapper.ts";
+import type { ScriptLanguage } from "./typescript_compiler.ts";
+
+export const DEBUG_BINDING = '__debug';
+
+export interface InstrumentedScript {
+  code: string;
+  // Lines (1-based, in the original source) where execution can pause
+  breakableLines: number[];
+}
+
+function bindingNames(name: ts.BindingName, names: string[]): void {
+  if (ts.isIdentifier(name)) {
+    names.push(name.text);
+    return;
+  }
+  for (const element of name.elements) {
+    if (!ts.isOmittedExpression(element)) {
+      bindingNames(element.name, names);
+    }
+  }
+}
+
+function declaredNames(statement: ts.Statement): string[] {
+  const names: string[] = [];
+
+  if (ts.isVariableStatement(statement)) {
+    for (const declaration of statement.declarationList.declarations) {
+      bindingNames(declaration.name, names);
+    }
+  } else if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+    names.push(statement.name.text);
+  }
+
+  return names;
+}
+
+function isAsyncFunction(node: ts.FunctionLikeDeclaration): boolean {
+  const modifiers = ts.canHaveModifiers(node) ? ts.getModifiers(node) : undefined;
+  const isAsync = modifiers?.some(modifier => modifier.kind === ts.SyntaxKind.AsyncKeyword) ?? false;
+  return isAsync && !node.asteriskToken;
+}
+
+export function instrumentForDebugging(
+  code: string,
+  globals: string[] = [],
+  language: ScriptLanguage = 'javascript'
+): InstrumentedScript {
+  const source = wrapScript(code);
+  const kind = language === 'typescript' ? ts.ScriptKind.TS : ts.ScriptKind.JS;
+  const sourceFile = ts.createSourceFile('script', source, ts.ScriptTarget.ES2022, true, kind);
+  const insertions: { position: number; text: string }[] = [];
+  const breakableLines = new Set<number>();
+
+  const pausePoint = (statement: ts.Statement, scope: string[]) => {
+    const position = statement.getStart(sourceFile);
+    const line = scriptPosition(sourceFile, position).line;
+    if (breakableLines.has(line)) {
+      return;
+    }
+    breakableLines.add(line);
+
+    const getters = [...new Set(scope)]
+      .map(name => `${JSON.stringify(name)}: () => ${name}`)
+      .join(', ');
+    insertions.push({
+      position,
+      text: `if (${DEBUG_BINDING}.hit(${line})) await ${DEBUG_BINDING}.pause(${line}, { ${getters} }); `,
+    });
+  };
+
+  const visitStatements = (statements: ts.NodeArray<ts.Statement>, scope: string[], isAsync: boolean) => {
+    // Function declarations are hoisted, so they are in scope from the first statement
+    const local = [
+      ...scope,
+      ...statements.filter(ts.isFunctionDeclaration).flatMap(statement => declaredNames(statement)),
+    ];
+
+    for (const statement of statements) {
+      if (isAsync && !ts.isFunctionDeclaration(statement)) {
+        pausePoint(statement, local);
+      }
+      visit(statement, local, isAsync);
+      local.push(...declaredNames(statement));
+    }
+  };
+
+  const visitFunction = (node: ts.FunctionLikeDeclaration, scope: string[]) => {
+    const params: string[] = [];
+    for (const parameter of node.parameters) {
+      bindingNames(parameter.name, params);
+    }
+    for (const parameter of node.parameters) {
+      visit(parameter, scope, false);
+    }
+
+    if (node.body && ts.isBlock(node.body)) {
+      visitStatements(node.body.statements, [...scope, ...params], isAsyncFunction(node));
+    } else if (node.body) {
+      visit(node.body, [...scope, ...params], isAsyncFunction(node));
+    }
+  };
+
+  const visit = (node: ts.Node, scope: string[], isAsync: boolean): void => {
+    if (ts.isFunctionLike(node) && 'body' in node) {
+      visitFunction(node as ts.FunctionLikeDeclaration, scope);
+      return;
+    }
+
+    if (ts.isBlock(node)) {
+      visitStatements(node.statements, scope, isAsync);
+      return;
+    }
+
+    if (ts.isCaseClause(node) || ts.isDefaultClause(node)) {
+      visitStatements(node.statements, scope, isAsync);
+      return;
+    }
+
+    if (ts.isCatchClause(node)) {
+      const names: string[] = [];
+      if (node.variableDeclaration) {
+        bindingNames(node.variableDeclaration.name, names);
+      }
+      visitStatements(node.block.statements, [...scope, ...names], isAsync);
+      return;
+    }
+
+    if ((ts.isForStatement(node) || ts.isForInStatement(node) || ts.isForOfStatement(node))
+      && node.initializer && ts.isVariableDeclarationList(node.initializer)) {
+      const names: string[] = [];
+      for (const declaration of node.initializer.declarations) {
+        bindingNames(declaration.name, names);
+      }
+      ts.forEachChild(node, child => visit(child, [...scope, ...names], isAsync));
+      return;
+    }
+
+    ts.forEachChild(node, child => visit(child, scope, isAsync));
+  };
+
+  const wrapper = sourceFile.statements[0];
+  if (wrapper && ts.isFunctionDeclaration(wrapper) && wrapper.body) {
+    visitStatements(wrapper.body.statements, globals, true);
+  }
+
+  let instrumented = source;
+  for (const { position, text } of insertions.sort((a, b) => b.position - a.position)) {
+    instrumented = instrumented.slice(0, position) + text + instrumented.slice(position);
+  }
+
+  return {
+    code: unwrapScript(instrumented),
+    breakableLines: [...breakableLines].sort((a, b) => a - b),
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Dry runs for editor test runs.
+ *
+ * Calls to methods the manifest marks as side effects (writes, HTTP, events)
+ * are recorded and answered locally instead of being forwarded to Laravel.
+ * Reads still reach Laravel unless a fixture answers them first. Fixtures are
+ * matched in order; a fixture without `match` answers every call to its method.
+ */
+
+import { API_BINDINGS } from "./api_types.ts";
+
+export interface Fixture {
+  // "namespace.method", e.g. "database.select"
+  api: string;
+  // Params the call must have; nested objects match partially, everything else exactly
+  match?: Record<string, any>;
+  result: any;
+}
+
+export interface SideEffect {
+  sequence: number;
+  api: string;
+  params: Record<string, any>;
+  // What the script received in place of the real result
+  result: any;
+  from_fixture: boolean;
+  timestamp: string;
+}
+
+export interface DryRunReport {
+  side_effects: SideEffect[];
+  // Side effects beyond MAX_RECORDED_SIDE_EFFECTS, counted but not kept
+  dropped_side_effects: number;
+  // Reads answered from fixtures instead of Laravel
+  fixture_reads: { api: string; params: Record<string, any> }[];
+  // Fixtures for methods that are not part of the API
+  unknown_fixtures: string[];
+}
+
+type PassThrough = (type: string, method: string, params: Record<string, any>) => Promise<any>;
+
+const MAX_RECORDED_SIDE_EFFECTS = 500;
+
+const KNOWN_METHODS = new Set(
+  API_BINDINGS.filter(binding => binding.transport === 'host').map(binding => `${binding.namespace}.${binding.method}`)
+);
+const SIDE_EFFECT_METHODS = new Set(
+  API_BINDINGS.filter(binding => binding.sideEffect).map(binding => `${binding.namespace}.${binding.method}`)
+);
+
+function matches(expected: any, actual: any): boolean {
+  if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+      return false;
+    }
+    return Object.keys(expected).every(key => matches(expected[key], actual[key]));
+  }
+
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+export class DryRunRecorder {
+  private readonly fixtures: Fixture[];
+  private readonly sideEffects: SideEffect[] = [];
+  private readonly fixtureReads: { api: string; params: Record<string, any> }[] = [];
+  private droppedSideEffects = 0;
+  private sequence = 0;
+
+  constructor(fixtures: unknown, private readonly onSideEffect: (effect: SideEffect) => void = () => {}) {
+    this.fixtures = Array.isArray(fixtures)
+      ? fixtures.filter((fixture): fixture is Fixture => typeof fixture?.api === 'string' && 'result' in fixture)
+      : [];
+  }
+
+  /**
+   * Answer a host call: record side effects, serve fixtures, pass other reads through
+   */
+  async call(type: string, method: string, params: Record<string, any>, passThrough: PassThrough): Promise<any> {
+    const api = `${type}.${method}`;
+    const fixture = this.fixtures.find(candidate =>
+      candidate.api === api && (candidate.match === undefined || matches(candidate.match, params))
+    );
+
+    if (SIDE_EFFECT_METHODS.has(api)) {
+      const effect: SideEffect = {
+        sequence: ++this.sequence,
+        api,
+        params,
+        result: fixture ? fixture.result : null,
+        from_fixture: fixture !== undefined,
+        timestamp: new Date().toISOString(),
+      };
+
+      if (this.sideEffects.length < MAX_RECORDED_SIDE_EFFECTS) {
+        this.sideEffects.push(effect);
+      } else {
+        this.droppedSideEffects++;
+      }
+      this.onSideEffect(effect);
+
+      return effect.result;
+    }
+
+    if (fixture) {
+      if (this.fixtureReads.length < MAX_RECORDED_SIDE_EFFECTS) {
+        this.fixtureReads.push({ api, params });
+      }
+      return fixture.result;
+    }
+
+    return await passThrough(type, method, params);
+  }
+
+  report(): DryRunReport {
+    return {
+      side_effects: this.sideEffects,
+      dropped_side_effects: this.droppedSideEffects,
+      fixture_reads: this.fixtureReads,
+      unknown_fixtures: [...new Set(this.fixtures.map(fixture => fixture.api))].filter(api => !KNOWN_METHODS.has(api)),
+    };
+  }
+}
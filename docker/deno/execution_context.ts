@@ -0,0 +1,118 @@
+/**
+ * Execution context preparation shared by both executors.
+ *
+ * Scripts receive their context as a frozen `ctx` object. Laravel encodes dates
+ * as `{"$date": "<ISO 8601>"}`, which are revived into Date objects here so they
+ * survive the structured clone into the sandbox intact. Top-level keys that are
+ * valid identifiers are additionally exposed as `const` aliases; keys that cannot
+ * be aliased are reported back instead of being dropped silently.
+ */
+
+export interface RejectedContextKey {
+  key: string;
+  reason: string;
+}
+
+export interface PreparedContext {
+  context: Record<string, any>;
+  aliases: string[];
+  rejected: RejectedContextKey[];
+}
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Bound by the script wrapper or globals a script must not be able to shadow
+const RESERVED_NAMES = new Set([
+  'api', 'console', 'ctx', '__debug', '__require__', 'window', 'document', 'global', 'globalThis', 'self', 'process', 'Deno',
+  'undefined', 'NaN', 'Infinity', 'arguments',
+]);
+
+const KEYWORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+  'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected',
+  'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var',
+  'void', 'while', 'with', 'yield',
+]);
+
+/**
+ * Replace `{"$date": "..."}` markers with Date objects, recursively
+ */
+export function reviveContextValue(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(reviveContextValue);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    return Number.isNaN(date.getTime()) ? value.$date : date;
+  }
+
+  const revived: Record<string, any> = {};
+  for (const key of keys) {
+    revived[key] = reviveContextValue(value[key]);
+  }
+  return revived;
+}
+
+/**
+ * Why a top-level key cannot be exposed as a `const` alias, or null if it can
+ */
+export function aliasRejectionReason(key: string): string | null {
+  if (!IDENTIFIER_PATTERN.test(key)) {
+    return 'not a valid JavaScript identifier; read it as ctx[' + JSON.stringify(key) + ']';
+  }
+  if (KEYWORDS.has(key)) {
+    return 'reserved JavaScript keyword; read it as ctx.' + key;
+  }
+  if (RESERVED_NAMES.has(key)) {
+    return 'name is reserved by the sandbox; read it as ctx.' + key;
+  }
+  return null;
+}
+
+export function prepareContext(raw: unknown, withAliases = true): PreparedContext {
+  const isPlainObject = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+  const context: Record<string, any> = isPlainObject ? reviveContextValue(raw) : {};
+  const aliases: string[] = [];
+  const rejected: RejectedContextKey[] = [];
+
+  if (!isPlainObject && raw !== undefined && raw !== null) {
+    rejected.push({ key: '*', reason: 'context must be a JSON object' });
+  }
+
+  if (withAliases) {
+    for (const key of Object.keys(context)) {
+      const reason = aliasRejectionReason(key);
+      if (reason === null) {
+        aliases.push(key);
+      } else {
+        rejected.push({ key, reason });
+      }
+    }
+  }
+
+  return { context, aliases, rejected };
+}
+
+export function deepFreeze<T>(value: T): T {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    for (const key of Object.keys(value as Record<string, unknown>)) {
+      deepFreeze((value as Record<string, unknown>)[key]);
+    }
+  }
+  return value;
+}
+
+/**
+ * `const` declarations binding each alias to its ctx entry; keys are identifiers by construction
+ */
+export function renderContextAliases(aliases: string[]): string {
+  return aliases.map(key => `const ${key} = ctx[${JSON.stringify(key)}];`).join('\n');
+}
@@ -0,0 +1,274 @@
+/**
+ * Record and replay of executions, for reproducing production failures.
+ *
+ * A recording holds everything that made a run what it was: the context as
+ * Laravel sent it, every host callback with its answer, the values of the
+ * non-deterministic utils (`utils.now`, `utils.uuid`) and the outcome. A
+ * replay runs new code against a recording without reaching Laravel: host
+ * calls are answered from the recorded calls, utils values are fed back in
+ * order, and every point where the new run behaves differently is reported
+ * as a divergence.
+ */
+
+import type { LogEntry, RecordedValue } from "./sandbox_protocol.ts";
+
+export const RECORDING_VERSION = 1;
+
+export interface RecordedCall {
+  sequence: number;
+  api: string;
+  params: Record<string, any>;
+  ok: boolean;
+  result?: any;
+  error?: string;
+}
+
+export interface RecordedOutcome {
+  success: boolean;
+  status: string;
+  result?: any;
+  error?: string;
+}
+
+export interface ExecutionRecording {
+  version: number;
+  recorded_at: string;
+  context: Record<string, any>;
+  calls: RecordedCall[];
+  values: RecordedValue[];
+  output: LogEntry[];
+  outcome: RecordedOutcome;
+}
+
+export interface Divergence {
+  kind: 'call' | 'unrecorded_call' | 'missing_calls' | 'value' | 'log' | 'outcome';
+  message: string;
+  // Position in the replayed run: call number or script log number
+  sequence?: number;
+  expected?: any;
+  actual?: any;
+}
+
+export interface ReplayReport {
+  divergences: Divergence[];
+  // Divergences beyond MAX_DIVERGENCES, counted but not kept
+  dropped_divergences: number;
+  replayed_calls: number;
+  recorded_calls: number;
+}
+
+const MAX_DIVERGENCES = 50;
+
+/**
+ * Plain JSON with sorted keys. Recordings make a round trip through PHP, which
+ * encodes an empty object as `[]`, so empty objects and arrays compare equal.
+ */
+function canonical(value: any): string {
+  const normalize = (item: any): any => {
+    if (Array.isArray(item)) {
+      return item.map(normalize);
+    }
+    if (item !== null && typeof item === 'object') {
+      const keys = Object.keys(item).sort();
+      return keys.length === 0 ? [] : Object.fromEntries(keys.map(key => [key, normalize(item[key])]));
+    }
+    return item;
+  };
+
+  return JSON.stringify(normalize(JSON.parse(JSON.stringify(value ?? null))));
+}
+
+function sameValue(a: any, b: any): boolean {
+  return canonical(a) === canonical(b);
+}
+
+type CallbackDispatcher = (type: string, method: string, params: Record<string, any>) => Promise<any>;
+
+export class ExecutionRecorder {
+  private readonly calls: RecordedCall[] = [];
+  private readonly values: RecordedValue[] = [];
+  private readonly recordedAt = new Date().toISOString();
+
+  constructor(private readonly context: Record<string, any>) {}
+
+  /**
+   * Forward a host call and keep its params and answer, including failures
+   */
+  async call(type: string, method: string, params: Record<string, any>, dispatch: CallbackDispatcher): Promise<any> {
+    const call: RecordedCall = { sequence: this.calls.length + 1, api: `${type}.${method}`, params, ok: false };
+    this.calls.push(call);
+
+    try {
+      call.result = await dispatch(type, method, params);
+      call.ok = true;
+      return call.result;
+    } catch (error) {
+      call.error = error.message;
+      throw error;
+    }
+  }
+
+  recordValue(value: RecordedValue): void {
+    this.values.push(value);
+  }
+
+  finish(output: LogEntry[], outcome: RecordedOutcome): ExecutionRecording {
+    return {
+      version: RECORDING_VERSION,
+      recorded_at: this.recordedAt,
+      context: this.context,
+      calls: this.calls,
+      values: this.values,
+      output,
+      outcome,
+    };
+  }
+}
+
+export class ReplaySession {
+  private readonly consumed = new Set<number>();
+  private readonly divergences: Divergence[] = [];
+  private droppedDivergences = 0;
+  private callCount = 0;
+
+  constructor(private readonly recording: ExecutionRecording) {}
+
+  /**
+   * Utils values to feed back to the sandbox, in the order they were produced
+   */
+  get values(): RecordedValue[] {
+    return this.recording.values;
+  }
+
+  /**
+   * Answer a host call from the recording. A call that differs from the next
+   * recorded one is a divergence; it is still answered if the same call was
+   * recorded later on, and fails otherwise since Laravel is never reached.
+   */
+  async call(type: string, method: string, params: Record<string, any>): Promise<any> {
+    const api = `${type}.${method}`;
+    const sequence = ++this.callCount;
+    const pending = this.recording.calls.filter((_call, index) => !this.consumed.has(index));
+    const expected = pending[0];
+    const index = this.recording.calls.findIndex((call, position) =>
+      !this.consumed.has(position) && call.api === api && sameValue(call.params, params)
+    );
+    const match = index === -1 ? undefined : this.recording.calls[index];
+
+    if (!match) {
+      this.diverge({
+        kind: 'unrecorded_call',
+        sequence,
+        message: `${api} was not called with these params in the recorded run`,
+        expected: expected ? { api: expected.api, params: expected.params } : null,
+        actual: { api, params },
+      });
+      throw new Error(`Replay has no recorded response for ${api}`);
+    }
+
+    if (match !== expected) {
+      this.diverge({
+        kind: 'call',
+        sequence,
+        message: `Expected ${expected.api} but the script called ${api}`,
+        expected: { api: expected.api, params: expected.params },
+        actual: { api, params },
+      });
+    }
+
+    this.consumed.add(index);
+    if (!match.ok) {
+      throw new Error(match.error || 'API call failed');
+    }
+    return match.result;
+  }
+
+  /**
+   * The sandbox ran out of recorded values and produced a fresh one
+   */
+  unrecordedValue(value: RecordedValue): void {
+    this.diverge({
+      kind: 'value',
+      message: `${value.api} was called more often than in the recorded run`,
+      actual: value.value,
+    });
+  }
+
+  /**
+   * Compare how the replay ended with the recording and close the report
+   */
+  report(output: LogEntry[], outcome: RecordedOutcome): ReplayReport {
+    const remaining = this.recording.calls.filter((_call, index) => !this.consumed.has(index));
+    if (remaining.length > 0) {
+      this.diverge({
+        kind: 'missing_calls',
+        message: `${remaining.length} recorded call(s) were never made, starting with ${remaining[0].api}`,
+        expected: remaining.map(call => ({ api: call.api, params: call.params })),
+      });
+    }
+
+    // Only the script's own logs; API traces and system notices follow from the calls
+    const scriptLogs = (entries: LogEntry[]) => entries
+      .filter(entry => entry.source === 'script')
+      .map(entry => ({ level: entry.level, message: entry.message, context: entry.context }));
+    const recordedLogs = scriptLogs(this.recording.output);
+    const replayedLogs = scriptLogs(output);
+    const firstDifference = [...Array(Math.max(recordedLogs.length, replayedLogs.length)).keys()]
+      .find(index => !sameValue(recordedLogs[index], replayedLogs[index]));
+    if (firstDifference !== undefined) {
+      this.diverge({
+        kind: 'log',
+        sequence: firstDifference + 1,
+        message: `Script log ${firstDifference + 1} differs from the recorded run`,
+        expected: recordedLogs[firstDifference] ?? null,
+        actual: replayedLogs[firstDifference] ?? null,
+      });
+    }
+
+    const recorded = this.recording.outcome;
+    if (recorded.success !== outcome.success || recorded.status !== outcome.status
+      || !sameValue(recorded.result, outcome.result) || (recorded.error ?? null) !== (outcome.error ?? null)) {
+      this.diverge({
+        kind: 'outcome',
+        message: recorded.success && outcome.success ? 'The script finished with a different result'
+          : recorded.success ? 'The script failed where the recorded run succeeded'
+          : outcome.success ? 'The recorded failure did not occur'
+          : 'The script failed differently',
+        expected: recorded,
+        actual: outcome,
+      });
+    }
+
+    return {
+      divergences: this.divergences,
+      dropped_divergences: this.droppedDivergences,
+      replayed_calls: this.consumed.size,
+      recorded_calls: this.recording.calls.length,
+    };
+  }
+
+  private diverge(divergence: Divergence): void {
+    if (this.divergences.length < MAX_DIVERGENCES) {
+      this.divergences.push(divergence);
+    } else {
+      this.droppedDivergences++;
+    }
+  }
+}
+
+/**
+ * Reject recordings this executor cannot replay before any code runs
+ */
+export function validateRecording(recording: any): string | null {
+  if (recording === null || typeof recording !== 'object') {
+    return 'replay.recording must be an object';
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    return `replay.recording has unsupported version ${recording.version}`;
+  }
+  if (!Array.isArray(recording.calls) || !Array.isArray(recording.values) || !Array.isArray(recording.output)
+    || recording.outcome === null || typeof recording.outcome !== 'object') {
+    return 'replay.recording is incomplete';
+  }
+  return null;
+}
@@ -0,0 +1,258 @@
+/**
+ * Egress policy for `api.http.*`.
+ *
+ * Laravel sends the client's effective `http.allowed_domains`,
+ * `forbidden_domains`, `allowed_methods` and `max_response_size` with each
+ * execution, and the executor checks every request against them before it
+ * makes a callback, so a blocked URL fails in the script without a round trip.
+ * Hosts must resolve to public addresses only. Laravel repeats every check on
+ * the addresses it actually connects to and pins the connection to them; that
+ * second resolution is what defeats DNS rebinding, the executor's lookup only
+ * fails early. Must match ScriptSecurityService::httpPolicy() and
+ * App\Services\Scripting\Api\HttpApiService.
+ */
+
+export interface HttpPolicy {
+  // Empty or missing: any public host
+  allowed_domains?: string[];
+  forbidden_domains?: string[];
+  allowed_methods?: string[];
+  // Bytes of response body
+  max_response_size?: number;
+}
+
+/**
+ * What the script receives, before the sandbox adds `json()`
+ */
+export interface HttpResponseData {
+  status: number;
+  headers: Record<string, string>;
+  body: string;
+}
+
+export type DnsResolver = (host: string, type: 'A' | 'AAAA') => Promise<string[]>;
+
+export class HttpPolicyError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'HttpPolicyError';
+  }
+}
+
+// [network, prefix length] ranges that are not reachable on the public internet
+const PRIVATE_IPV4_RANGES: [string, number][] = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+// What api.secrets.get() resolves to; must match ScriptSecretService::HANDLE_PATTERN
+const SECRET_HANDLE_PATTERN = /\{\{secret:[A-Za-z0-9_.]+:[0-9a-f]{32}\}\}/;
+
+const encoder = new TextEncoder();
+
+function parseIPv4(address: string): number | null {
+  const parts = address.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function isPrivateIPv4(address: string): boolean {
+  const value = parseIPv4(address);
+  if (value === null) {
+    return false;
+  }
+  return PRIVATE_IPV4_RANGES.some(([network, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    return Math.floor(value / size) === Math.floor(parseIPv4(network)! / size);
+  });
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address, or null when it is not one
+ */
+function parseIPv6(address: string): number[] | null {
+  let text = address.toLowerCase();
+  const zone = text.indexOf('%');
+  if (zone !== -1) {
+    text = text.slice(0, zone);
+  }
+
+  // A trailing dotted quad, as in ::ffff:127.0.0.1, is two groups
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = parseIPv4(dotted[2]);
+    if (value === null) {
+      return null;
+    }
+    text = `${dotted[1]}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+    return null;
+  }
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) {
+    return null;
+  }
+  return groups.map(group => parseInt(group, 16));
+}
+
+function isPrivateIPv6(address: string): boolean {
+  const groups = parseIPv6(address);
+  if (groups === null) {
+    return false;
+  }
+
+  const [first] = groups;
+  const embeddedIPv4 = () => `${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`;
+
+  // Unspecified (::) and loopback (::1)
+  if (groups.slice(0, 7).every(group => group === 0) && groups[7] <= 1) {
+    return true;
+  }
+  // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d) addresses reach the IPv4 host
+  if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0)) {
+    return isPrivateIPv4(embeddedIPv4());
+  }
+  // NAT64 (64:ff9b::a.b.c.d)
+  if (first === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return isPrivateIPv4(embeddedIPv4());
+  }
+
+  return (first & 0xfe00) === 0xfc00 // Unique local, fc00::/7
+    || (first & 0xffc0) === 0xfe80 // Link-local, fe80::/10
+    || (first & 0xff00) === 0xff00 // Multicast, ff00::/8
+    || (first === 0x2001 && groups[1] === 0x0db8); // Documentation, 2001:db8::/32
+}
+
+export function isIpAddress(host: string): boolean {
+  return parseIPv4(host) !== null || parseIPv6(host) !== null;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ */
+export function isPrivateAddress(address: string): boolean {
+  return isPrivateIPv4(address) || isPrivateIPv6(address);
+}
+
+/**
+ * `example.com` matches only itself; `*.example.com` matches its subdomains
+ */
+export function matchesDomain(host: string, pattern: string): boolean {
+  const name = host.toLowerCase().replace(/\.$/, '');
+  const expected = pattern.toLowerCase().trim();
+
+  if (expected.startsWith('*.')) {
+    return name.endsWith(expected.slice(1));
+  }
+  return name === expected;
+}
+
+/**
+ * Check a request against the policy before anything is sent; returns the parsed URL
+ */
+export function checkRequest(policy: HttpPolicy, method: string, url: string): URL {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new HttpPolicyError(`Invalid URL: ${url}`);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new HttpPolicyError(`Only http and https URLs are allowed, got ${parsed.protocol}`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new HttpPolicyError('URLs with credentials are not allowed; send an Authorization header instead');
+  }
+  // Laravel only swaps secret handles for their values in headers and bodies
+  if (SECRET_HANDLE_PATTERN.test(url)) {
+    throw new HttpPolicyError('Secrets can only be used in request headers and bodies');
+  }
+
+  const allowedMethods = (policy.allowed_methods ?? []).map(allowed => allowed.toUpperCase());
+  if (allowedMethods.length > 0 && !allowedMethods.includes(method.toUpperCase())) {
+    throw new HttpPolicyError(`HTTP method ${method.toUpperCase()} is not allowed`);
+  }
+
+  // IPv6 hosts keep their brackets in URL.hostname
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  if ((policy.forbidden_domains ?? []).some(pattern => matchesDomain(host, pattern))) {
+    throw new HttpPolicyError(`HTTP access to ${host} is forbidden`);
+  }
+  const allowedDomains = policy.allowed_domains ?? [];
+  if (allowedDomains.length > 0 && !allowedDomains.some(pattern => matchesDomain(host, pattern))) {
+    throw new HttpPolicyError(`HTTP access to ${host} is not in the allowed domains`);
+  }
+  if (isPrivateAddress(host)) {
+    throw new HttpPolicyError(`HTTP access to private address ${host} is not allowed`);
+  }
+
+  return parsed;
+}
+
+export const resolveWithDeno: DnsResolver = (host, type) => Deno.resolveDns(host, type);
+
+/**
+ * Resolve the URL's host and require every address to be public, so a name
+ * that points into the private network fails before the callback
+ */
+export async function checkResolvedAddresses(url: URL, resolve: DnsResolver = resolveWithDeno): Promise<string[]> {
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (isIpAddress(host)) {
+    return [host];
+  }
+
+  // A host with only A or only AAAA records fails the other lookup
+  const lookups = await Promise.allSettled([resolve(host, 'A'), resolve(host, 'AAAA')]);
+  const addresses = lookups.flatMap(lookup => lookup.status === 'fulfilled' ? lookup.value : []);
+  if (addresses.length === 0) {
+    throw new HttpPolicyError(`Could not resolve ${host}`);
+  }
+
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked !== undefined) {
+    throw new HttpPolicyError(`HTTP access to ${host} is not allowed: it resolves to private address ${blocked}`);
+  }
+
+  return addresses;
+}
+
+/**
+ * Throw when a response body is over the policy's size limit
+ */
+export function checkResponseSize(policy: HttpPolicy, response: unknown): void {
+  const limit = policy.max_response_size;
+  const body = (response as Partial<HttpResponseData> | null)?.body;
+  if (!limit || typeof body !== 'string') {
+    return;
+  }
+
+  const size = encoder.encode(body).length;
+  if (size > limit) {
+    throw new HttpPolicyError(`HTTP response of ${size} bytes exceeds the ${limit} byte limit`);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Minimal Prometheus registry for the executor's `GET /metrics`.
+ *
+ * Counters and histograms are updated as executions happen. Values that other
+ * components already keep (pool and compile-cache stats, memory) are copied in
+ * by collectors right before each scrape, so they are never out of date and
+ * never tracked twice.
+ */
+
+type Labels = Record<string, string | number>;
+
+// Seconds; from quick utility scripts up to the longest configurable timeout
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels): string {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(String(value))}"`);
+  return pairs.length === 0 ? '' : `{${pairs.join(',')}}`;
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+}
+
+// Label values in declaration order identify a series
+function seriesKey(labelNames: string[], labels: Labels): string {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsOf(labelNames: string[], key: string): Labels {
+  const values: string[] = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+abstract class Metric {
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    protected readonly labelNames: string[]
+  ) {}
+
+  protected abstract readonly type: 'counter' | 'gauge' | 'histogram';
+
+  protected abstract samples(): string[];
+
+  render(): string {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+class ValueMetric extends Metric {
+  protected readonly type: 'counter' | 'gauge' = 'gauge';
+  protected readonly values = new Map<string, number>();
+
+  /**
+   * Replace the value; used by collectors to copy totals kept elsewhere
+   */
+  set(value: number, labels: Labels = {}): void {
+    this.values.set(seriesKey(this.labelNames, labels), value);
+  }
+
+  protected samples(): string[] {
+    return Array.from(this.values, ([key, value]) =>
+      `${this.name}${formatLabels(labelsOf(this.labelNames, key))} ${formatValue(value)}`
+    );
+  }
+}
+
+export class Counter extends ValueMetric {
+  protected readonly type = 'counter';
+
+  inc(labels: Labels = {}, amount = 1): void {
+    const key = seriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + amount);
+  }
+}
+
+export class Gauge extends ValueMetric {
+  protected readonly type = 'gauge';
+}
+
+interface HistogramSeries {
+  // Per bucket, not cumulative; the last entry counts observations above every bound
+  counts: number[];
+  sum: number;
+  count: number;
+}
+
+export class Histogram extends Metric {
+  protected readonly type = 'histogram';
+  private readonly series = new Map<string, HistogramSeries>();
+
+  constructor(name: string, help: string, labelNames: string[], private readonly buckets: number[] = DURATION_BUCKETS) {
+    super(name, help, labelNames);
+  }
+
+  observe(value: number, labels: Labels = {}): void {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length + 1).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    const bucket = this.buckets.findIndex(bound => value <= bound);
+    series.counts[bucket === -1 ? this.buckets.length : bucket]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  protected samples(): string[] {
+    const lines: string[] = [];
+
+    for (const [key, series] of this.series) {
+      const labels = labelsOf(this.labelNames, key);
+      let cumulative = 0;
+
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  private readonly metrics: Metric[] = [];
+  private readonly collectors: (() => void)[] = [];
+
+  counter(name: string, help: string, labelNames: string[] = []): Counter {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name: string, help: string, labelNames: string[] = []): Gauge {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name: string, help: string, labelNames: string[] = [], buckets: number[] = DURATION_BUCKETS): Histogram {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run before every scrape
+   */
+  collect(collector: () => void): void {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Text exposition format, version 0.0.4
+   */
+  render(): string {
+    for (const collector of this.collectors) {
+      collector();
+    }
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+
+  private register<T extends Metric>(metric: T): T {
+    this.metrics.push(metric);
+    return metric;
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Linking of `@lib/...` imports for scripts and library scripts.
+ *
+ * Laravel resolves a script's imports against the client's library registry
+ * and sends the approved library code with the execution, so nothing is ever
+ * fetched. Libraries are ES modules and are compiled to CommonJS bodies that
+ * the sandbox evaluates on their first `require`. The script itself is a
+ * function body rather than a module, so its import declarations are rewritten
+ * in place:
+ *
+ *   import { formatDate } from '@lib/dates';
+ *   const { formatDate } = __require__("@lib/dates");
+ *
+ * Every statement keeps its original line, so log, error and debugger line
+ * numbers still match the editor. Type-only imports of TypeScript scripts are
+ * dropped and dynamic `import()` is rejected. Only the host imports this
+ * module, and only for code that mentions `import` or `export`.
+ */
+
+import ts from "npm:typescript@5.3.3";
+import { scriptPosition, unwrapScript, wrapScript } from "./script_wrapper.ts";
+import type { ScriptLanguage } from "./typescript_compiler.ts";
+
+export const REQUIRE_BINDING = '__require__';
+
+export interface ModuleSource {
+  version: string;
+  code: string;
+}
+
+export interface LinkedScript {
+  code: string;
+  // CommonJS bodies keyed by specifier
+  modules: Record<string, string>;
+}
+
+export class ModuleLinkError extends Error {
+  // 1-based line in the script, when the error is in the script rather than a library
+  constructor(message: string, public readonly line: number | null = null) {
+    super(line === null ? message : `Line ${line}: ${message}`);
+    this.name = 'ModuleLinkError';
+  }
+}
+
+function hasExportModifier(statement: ts.Statement): boolean {
+  const modifiers = ts.canHaveModifiers(statement) ? ts.getModifiers(statement) : undefined;
+  return modifiers?.some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword) ?? false;
+}
+
+function requireCall(specifier: string): string {
+  return `${REQUIRE_BINDING}(${JSON.stringify(specifier)})`;
+}
+
+function importReplacement(declaration: ts.ImportDeclaration, specifier: string): string {
+  const clause = declaration.importClause;
+  if (!clause) {
+    return `${requireCall(specifier)};`;
+  }
+  if (clause.isTypeOnly) {
+    return '';
+  }
+
+  const declarations: string[] = [];
+  if (clause.name) {
+    declarations.push(`const ${clause.name.text} = ${requireCall(specifier)}.default;`);
+  }
+
+  const bindings = clause.namedBindings;
+  if (bindings && ts.isNamespaceImport(bindings)) {
+    declarations.push(`const ${bindings.name.text} = ${requireCall(specifier)};`);
+  } else if (bindings && bindings.elements.some(element => !element.isTypeOnly)) {
+    const names = bindings.elements.filter(element => !element.isTypeOnly).map(element =>
+      element.propertyName ? `${element.propertyName.getText()}: ${element.name.text}` : element.name.text
+    );
+    declarations.push(`const { ${names.join(', ')} } = ${requireCall(specifier)};`);
+  }
+
+  return declarations.join(' ');
+}
+
+/**
+ * Rewrite the script's import declarations to `__require__` reads. With
+ * `isKnown`, every specifier must be one of the modules sent with the execution.
+ */
+export function rewriteImports(
+  code: string,
+  isKnown: ((specifier: string) => boolean) | null = null,
+  language: ScriptLanguage = 'javascript'
+): string {
+  const source = wrapScript(code);
+  const kind = language === 'typescript' ? ts.ScriptKind.TS : ts.ScriptKind.JS;
+  const sourceFile = ts.createSourceFile('script', source, ts.ScriptTarget.ES2022, true, kind);
+  const wrapper = sourceFile.statements[0];
+  if (!wrapper || !ts.isFunctionDeclaration(wrapper) || !wrapper.body) {
+    return code;
+  }
+
+  const topLevel = new Set<ts.Node>(wrapper.body.statements);
+  const replacements: { start: number; end: number; text: string }[] = [];
+  const lineOf = (node: ts.Node) => scriptPosition(sourceFile, node.getStart(sourceFile)).line;
+
+  const visit = (node: ts.Node): void => {
+    if (ts.isImportDeclaration(node)) {
+      if (!topLevel.has(node)) {
+        throw new ModuleLinkError('imports must be at the top level of the script', lineOf(node));
+      }
+
+      const specifier = (node.moduleSpecifier as ts.StringLiteral).text;
+      if (isKnown && !isKnown(specifier)) {
+        throw new ModuleLinkError(`cannot resolve module '${specifier}'`, lineOf(node));
+      }
+
+      const start = node.getStart(sourceFile);
+      const end = node.getEnd();
+      const lineBreaks = source.slice(start, end).split('\n').length - 1;
+      replacements.push({ start, end, text: importReplacement(node, specifier) + '\n'.repeat(lineBreaks) });
+      return;
+    }
+
+    if (ts.isExportDeclaration(node) || ts.isExportAssignment(node)
+      || (topLevel.has(node) && hasExportModifier(node as ts.Statement))) {
+      throw new ModuleLinkError('scripts cannot export; publish a library script instead', lineOf(node));
+    }
+
+    // The sandbox worker could otherwise load a data: module past the linker
+    if (ts.isCallExpression(node) && node.expression.kind === ts.SyntaxKind.ImportKeyword) {
+      throw new ModuleLinkError('dynamic import() is not available in scripts; use a static @lib import', lineOf(node));
+    }
+
+    ts.forEachChild(node, visit);
+  };
+  ts.forEachChild(wrapper.body, visit);
+
+  let rewritten = source;
+  for (const { start, end, text } of replacements.sort((a, b) => b.start - a.start)) {
+    rewritten = rewritten.slice(0, start) + text + rewritten.slice(end);
+  }
+
+  return unwrapScript(rewritten);
+}
+
+/**
+ * Compile a library to a CommonJS body, checking that everything it imports was sent along
+ */
+function compileLibrary(specifier: string, code: string, isKnown: (specifier: string) => boolean): string {
+  for (const imported of ts.preProcessFile(code, true, true).importedFiles) {
+    if (!isKnown(imported.fileName)) {
+      throw new ModuleLinkError(`${specifier}: cannot resolve module '${imported.fileName}'`);
+    }
+  }
+
+  const output = ts.transpileModule(code, {
+    fileName: `${specifier}.js`,
+    reportDiagnostics: true,
+    compilerOptions: {
+      module: ts.ModuleKind.CommonJS,
+      target: ts.ScriptTarget.ES2022,
+      allowJs: true,
+    },
+  });
+
+  const error = output.diagnostics?.find(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error);
+  if (error) {
+    throw new ModuleLinkError(`${specifier}: ${ts.flattenDiagnosticMessageText(error.messageText, '\n')}`);
+  }
+
+  return output.outputText;
+}
+
+export function linkScript(
+  code: string,
+  modules: Record<string, ModuleSource>,
+  language: ScriptLanguage = 'javascript'
+): LinkedScript {
+  const isKnown = (specifier: string) => Object.hasOwn(modules, specifier);
+
+  return {
+    code: rewriteImports(code, isKnown, language),
+    modules: Object.fromEntries(
+      Object.entries(modules).map(([specifier, module]) => [specifier, compileLibrary(specifier, module.code, isKnown)])
+    ),
+  };
+}
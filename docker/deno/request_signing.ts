@@ -0,0 +1,180 @@
+/**
+ * HMAC signatures for requests between the executor and Laravel.
+ *
+ * Both directions sign "METHOD\npath\ntimestamp\nnonce\nsha256(body)" with a
+ * shared key and send it as `X-Signature` next to `X-Key-Id`, `X-Timestamp`
+ * and `X-Nonce`. A request is accepted once, within `maxSkewSeconds` of its
+ * timestamp, under any configured key, so keys rotate without downtime: add
+ * the new key on both sides, switch the current key, then drop the old one.
+ * Must match App\Services\Scripting\SidecarRequestSigner.
+ */
+
+export interface SignatureHeaders {
+  'X-Key-Id': string;
+  'X-Timestamp': string;
+  'X-Nonce': string;
+  'X-Signature': string;
+}
+
+export const DEFAULT_MAX_SKEW_SECONDS = 300;
+
+/**
+ * Why a request was refused, sent back with its 401
+ */
+export class SignatureError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SignatureError';
+  }
+}
+
+const encoder = new TextEncoder();
+
+function toHex(bytes: ArrayBuffer): string {
+  return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Compares every character so the time taken says nothing about where a forged signature differs
+function constantTimeEquals(a: string, b: string): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Parse "key-id:secret" pairs separated by commas
+ */
+export function parseKeys(value: string): Map<string, string> {
+  const keys = new Map<string, string>();
+
+  for (const pair of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = pair.indexOf(':');
+    const id = separator === -1 ? '' : pair.slice(0, separator);
+    const secret = separator === -1 ? '' : pair.slice(separator + 1);
+    if (id !== '' && secret !== '') {
+      keys.set(id, secret);
+    }
+  }
+
+  return keys;
+}
+
+export class RequestSigner {
+  private readonly cryptoKeys = new Map<string, Promise<CryptoKey>>();
+  // Nonce → unix time after which its timestamp is too old to be accepted anyway
+  private readonly seenNonces = new Map<string, number>();
+  private readonly currentKey: string | null;
+
+  constructor(
+    private readonly keys: Map<string, string>,
+    currentKey: string | null = null,
+    private readonly maxSkewSeconds: number = DEFAULT_MAX_SKEW_SECONDS
+  ) {
+    this.currentKey = currentKey || (keys.keys().next().value ?? null);
+  }
+
+  get configured(): boolean {
+    return this.currentKey !== null && this.keys.has(this.currentKey);
+  }
+
+  async sign(method: string, path: string, body: string): Promise<SignatureHeaders> {
+    if (!this.configured) {
+      throw new SignatureError('No signing key configured; set SIGNING_KEYS');
+    }
+
+    const keyId = this.currentKey!;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = toHex(crypto.getRandomValues(new Uint8Array(16)).buffer);
+
+    return {
+      'X-Key-Id': keyId,
+      'X-Timestamp': timestamp,
+      'X-Nonce': nonce,
+      'X-Signature': await this.signature(keyId, method, path, timestamp, nonce, encoder.encode(body)),
+    };
+  }
+
+  /**
+   * Throw a SignatureError unless the request is signed, fresh and not seen before
+   */
+  async verify(request: Request, body: ArrayBuffer): Promise<void> {
+    if (this.keys.size === 0) {
+      throw new SignatureError('The executor has no signing keys configured; set SIGNING_KEYS');
+    }
+
+    const keyId = request.headers.get('X-Key-Id') ?? '';
+    const timestamp = request.headers.get('X-Timestamp') ?? '';
+    const nonce = request.headers.get('X-Nonce') ?? '';
+    const signature = request.headers.get('X-Signature') ?? '';
+
+    if (!keyId || !timestamp || !nonce || !signature) {
+      throw new SignatureError('Request is not signed; X-Key-Id, X-Timestamp, X-Nonce and X-Signature are required');
+    }
+    if (!this.keys.has(keyId)) {
+      throw new SignatureError(`Unknown signing key: ${keyId}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > this.maxSkewSeconds) {
+      throw new SignatureError('Signature timestamp is outside the allowed window');
+    }
+
+    const path = new URL(request.url).pathname;
+    const expected = await this.signature(keyId, request.method, path, timestamp, nonce, body);
+    if (!constantTimeEquals(expected, signature)) {
+      throw new SignatureError('Invalid signature');
+    }
+
+    // Only valid signatures reach the nonce cache, so nobody can fill it
+    this.forgetExpiredNonces(now);
+    const nonceKey = `${keyId}:${nonce}`;
+    if (this.seenNonces.has(nonceKey)) {
+      throw new SignatureError('Nonce has already been used');
+    }
+    this.seenNonces.set(nonceKey, Number(timestamp) + this.maxSkewSeconds);
+  }
+
+  private async signature(
+    keyId: string,
+    method: string,
+    path: string,
+    timestamp: string,
+    nonce: string,
+    body: BufferSource
+  ): Promise<string> {
+    const bodyHash = toHex(await crypto.subtle.digest('SHA-256', body));
+    const canonical = [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+
+    return toHex(await crypto.subtle.sign('HMAC', await this.cryptoKey(keyId), encoder.encode(canonical)));
+  }
+
+  private cryptoKey(keyId: string): Promise<CryptoKey> {
+    let key = this.cryptoKeys.get(keyId);
+    if (!key) {
+      key = crypto.subtle.importKey(
+        'raw',
+        encoder.encode(this.keys.get(keyId)!),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+      );
+      this.cryptoKeys.set(keyId, key);
+    }
+    return key;
+  }
+
+  // Nonces are added in roughly timestamp order, so expired ones are at the front
+  private forgetExpiredNonces(now: number): void {
+    for (const [nonce, expiresAt] of this.seenNonces) {
+      if (expiresAt >= now) {
+        break;
+      }
+      this.seenNonces.delete(nonce);
+    }
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Entry point of a sandbox child process (see sandbox_process.ts).
+ *
+ * Spawns one permission-less sandbox worker and relays frames between it and
+ * the executor: host messages arrive on stdin, worker messages leave on
+ * stdout. The process is started with the execution's heap limit, so a script
+ * that exhausts it ends this process and nothing else. It exits when stdin
+ * closes, which is also what happens when the executor goes away.
+ */
+
+import { decodeFrame, encodeFrame, type SandboxFrame } from "./sandbox_process.ts";
+import type { HostMessage, WorkerMessage } from "./sandbox_protocol.ts";
+
+const SANDBOX_WORKER_URL = new URL('./sandbox_worker.ts', import.meta.url).href;
+
+const encoder = new TextEncoder();
+const stdout = Deno.stdout.writable.getWriter();
+let writing: Promise<void> = Promise.resolve();
+
+function send(frame: SandboxFrame): void {
+  let line: string;
+  try {
+    line = encodeFrame(frame);
+  } catch {
+    // BigInts and cycles have no JSON form
+    line = encodeFrame({ kind: 'messageerror' });
+  }
+  writing = writing.then(() => stdout.write(encoder.encode(line)));
+}
+
+const worker = new Worker(SANDBOX_WORKER_URL, {
+  type: 'module',
+  //@ts-ignore Deno-specific worker options (requires --unstable-worker-options)
+  deno: { permissions: 'none' },
+});
+
+worker.onmessage = (event: MessageEvent<WorkerMessage>) => send({ kind: 'message', data: event.data });
+worker.onerror = (event: ErrorEvent) => {
+  event.preventDefault();
+  send({ kind: 'error', message: event.message });
+};
+worker.onmessageerror = () => send({ kind: 'messageerror' });
+
+// Everything after the connect message goes through the port, which still works once the sandbox is locked down
+const channel = new MessageChannel();
+const connect: HostMessage = { type: 'connect' };
+worker.postMessage(connect, [channel.port2]);
+
+let buffer = '';
+for await (const chunk of Deno.stdin.readable.pipeThrough(new TextDecoderStream())) {
+  buffer += chunk;
+  let newline: number;
+  while ((newline = buffer.indexOf('\n')) !== -1) {
+    channel.port1.postMessage(decodeFrame<HostMessage>(buffer.slice(0, newline)));
+    buffer = buffer.slice(newline + 1);
+  }
+}
+
+channel.port1.close();
+worker.terminate();
+await writing;
+Deno.exit(0);
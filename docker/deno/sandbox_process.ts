@@ -0,0 +1,210 @@
+/**
+ * A sandbox worker in a child process of its own, with a hard heap limit.
+ *
+ * V8 only enforces a heap limit per process (`--max-old-space-size`), and a
+ * worker that reaches it takes the whole process down with a fatal
+ * out-of-memory error. Sampling heap usage from inside the worker cannot
+ * prevent that: a loop that allocates without ever yielding is never sampled.
+ * So every sandbox worker runs inside a child Deno process (sandbox_host.ts)
+ * started with the execution's memory limit, and an out-of-memory exit is
+ * reported as SandboxMemoryError instead of ending the executor.
+ *
+ * The child relays messages over stdin and stdout as one JSON frame per line.
+ * Dates are tagged so a revived context keeps them (see execution_context.ts);
+ * anything else JSON cannot carry is lost on the way, as it would be in the
+ * executor's JSON response.
+ */
+
+import type { HostMessage, WorkerMessage } from "./sandbox_protocol.ts";
+
+// What the child writes to stdout, one per line
+export type SandboxFrame =
+  | { kind: 'message'; data: WorkerMessage }
+  | { kind: 'error'; message: string }
+  | { kind: 'messageerror' };
+
+export interface SandboxProcessOptions {
+  // The Deno binary to run the child with
+  denoPath: string;
+  // Hard limit of the child's heap, in megabytes
+  heapLimitMb: number;
+}
+
+/**
+ * The child ran out of heap
+ */
+export class SandboxMemoryError extends Error {
+  constructor(public readonly heapLimitMb: number) {
+    super(`Sandbox exceeded its ${heapLimitMb} MB heap limit`);
+    this.name = 'SandboxMemoryError';
+  }
+}
+
+const SANDBOX_HOST_URL = new URL('./sandbox_host.ts', import.meta.url);
+const SANDBOX_WORKER_URL = new URL('./sandbox_worker.ts', import.meta.url);
+const DATE_TAG = '$sandbox_date';
+// V8 aborts with one of these on stderr when a heap limit is reached
+const OUT_OF_MEMORY_PATTERN = /out of memory|heap limit/i;
+// Only the end of the child's stderr is kept for the crash message
+const MAX_STDERR_BYTES = 4096;
+// Room for the sandbox's own heap, which the sampled usage does not count
+export const HEAP_HEADROOM_MB = 16;
+
+export function encodeFrame(value: unknown): string {
+  return JSON.stringify(value, function (key, item) {
+    // The replacer sees Dates after toJSON(); the holder still has the original
+    const original = (this as Record<string, unknown>)[key];
+    return original instanceof Date ? { [DATE_TAG]: item } : item;
+  }) + '\n';
+}
+
+export function decodeFrame<T>(line: string): T {
+  return JSON.parse(line, (_key, item) =>
+    item !== null && typeof item === 'object' && typeof item[DATE_TAG] === 'string' && Object.keys(item).length === 1
+      ? new Date(item[DATE_TAG])
+      : item
+  );
+}
+
+/**
+ * Split a byte stream into lines of text
+ */
+async function* readLines(stream: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+  let buffer = '';
+  for await (const chunk of stream.pipeThrough(new TextDecoderStream())) {
+    buffer += chunk;
+    let newline: number;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+/**
+ * Worker-shaped handle on a sandbox child process, so the pool and the
+ * executor can use it the way they used a Worker
+ */
+export class SandboxProcess {
+  onmessage: ((event: MessageEvent<WorkerMessage>) => void) | null = null;
+  onerror: ((event: ErrorEvent) => void) | null = null;
+  onmessageerror: ((event: MessageEvent) => void) | null = null;
+  // Settles once the child has exited and its pipes are closed
+  readonly closed: Promise<void>;
+
+  private readonly child: Deno.ChildProcess;
+  private readonly stdin: WritableStreamDefaultWriter<Uint8Array>;
+  private readonly encoder = new TextEncoder();
+  // Writes are chained so frames never interleave
+  private writing: Promise<void> = Promise.resolve();
+  private terminated = false;
+
+  constructor(options: SandboxProcessOptions) {
+    this.child = new Deno.Command(options.denoPath, {
+      args: [
+        'run',
+        '--quiet',
+        '--no-prompt',
+        '--no-check',
+        '--unstable-worker-options',
+        `--v8-flags=--max-old-space-size=${options.heapLimitMb}`,
+        // Only to load the worker module; the worker itself runs with no permissions
+        `--allow-read=${decodeURIComponent(SANDBOX_WORKER_URL.pathname)}`,
+        SANDBOX_HOST_URL.href,
+      ],
+      stdin: 'piped',
+      stdout: 'piped',
+      stderr: 'piped',
+    }).spawn();
+    this.stdin = this.child.stdin.getWriter();
+
+    this.closed = Promise.all([this.relayFrames(), this.watchExit(options.heapLimitMb)]).then(() => {});
+  }
+
+  postMessage(message: HostMessage): void {
+    if (this.terminated) {
+      return;
+    }
+    const frame = this.encoder.encode(encodeFrame(message));
+    this.writing = this.writing.then(() => this.stdin.write(frame)).catch(() => {
+      // The child has exited; watchExit() reports why
+    });
+  }
+
+  terminate(): void {
+    if (this.terminated) {
+      return;
+    }
+    this.terminated = true;
+    this.stdin.close().catch(() => {
+      // Already closed by the child's exit
+    });
+    try {
+      this.child.kill('SIGKILL');
+    } catch {
+      // Already exited
+    }
+  }
+
+  private async relayFrames(): Promise<void> {
+    try {
+      for await (const line of readLines(this.child.stdout)) {
+        if (this.terminated) {
+          return;
+        }
+
+        let frame: SandboxFrame;
+        try {
+          frame = decodeFrame<SandboxFrame>(line);
+        } catch {
+          // Not a frame; the child only writes frames to stdout
+          continue;
+        }
+
+        if (frame.kind === 'message') {
+          this.onmessage?.(new MessageEvent('message', { data: frame.data }));
+        } else if (frame.kind === 'error') {
+          this.fail(new Error(frame.message));
+        } else {
+          this.onmessageerror?.(new MessageEvent('messageerror'));
+        }
+      }
+    } catch {
+      // stdout closes when the child is killed
+    }
+  }
+
+  private async watchExit(heapLimitMb: number): Promise<void> {
+    const [status, stderr] = await Promise.all([this.child.status, this.readStderr()]);
+    if (this.terminated) {
+      return;
+    }
+    this.terminated = true;
+    this.stdin.close().catch(() => {
+      // The pipe broke with the child
+    });
+
+    if (OUT_OF_MEMORY_PATTERN.test(stderr)) {
+      this.fail(new SandboxMemoryError(heapLimitMb));
+    } else {
+      const cause = status.signal ? `signal ${status.signal}` : `code ${status.code}`;
+      this.fail(new Error(`Sandbox process exited with ${cause}`));
+    }
+  }
+
+  private async readStderr(): Promise<string> {
+    let tail = '';
+    for await (const chunk of this.child.stderr.pipeThrough(new TextDecoderStream())) {
+      tail = (tail + chunk).slice(-MAX_STDERR_BYTES);
+    }
+    return tail;
+  }
+
+  private fail(error: Error): void {
+    const event = new ErrorEvent('error', { message: error.message, error, cancelable: true });
+    this.onerror?.(event);
+  }
+}
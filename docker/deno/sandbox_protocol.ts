@@ -0,0 +1,159 @@
+/**
+ * Message protocol between the executor host and a sandbox worker.
+ *
+ * Every execution runs in its own permission-less Worker; these are the only
+ * shapes that cross the message channel in either direction.
+ */
+
+import type { ApiBinding } from './api_types.ts';
+
+export interface ScriptInfo {
+  id: string;
+  client_id: string;
+  execution_id: string;
+}
+
+// Level names follow `scripting.logging.allowed_log_levels`
+export type LogLevel = 'debug' | 'info' | 'warning' | 'error';
+
+/**
+ * One structured entry in an execution's output
+ */
+export interface LogEntry {
+  sequence: number;
+  level: LogLevel;
+  timestamp: string;
+  message: string;
+  context?: any;
+  // 'script' for api.log.* / console.*, 'api' for API call traces, 'system' for executor notices
+  source: 'script' | 'api' | 'system';
+  truncated?: boolean;
+}
+
+/**
+ * A value from a non-deterministic util, kept so a replay can reproduce it
+ */
+export interface RecordedValue {
+  api: 'utils.now' | 'utils.uuid';
+  value: any;
+}
+
+// Host -> worker
+
+/**
+ * Sent first, with the port every later host message arrives on. Messages to
+ * the worker's global scope are delivered through its dispatchEvent, which the
+ * sandbox removes before the script runs; a port dispatches on itself.
+ */
+export interface ConnectMessage {
+  type: 'connect';
+}
+
+export interface ExecuteMessage {
+  type: 'execute';
+  code: string;
+  // Structured-cloned, so revived Dates arrive as Dates
+  context: Record<string, any>;
+  // Top-level keys to bind as `const` aliases of ctx entries
+  aliases: string[];
+  script: ScriptInfo;
+  // Host-forwarded API surface, from the generated manifest bindings
+  bindings: ApiBinding[];
+  // Linked library modules as CommonJS bodies, keyed by `@lib/...` specifier
+  modules: Record<string, string>;
+  // Set for debug runs, whose code has been instrumented with pause points
+  debug: { breakpoints: number[] } | null;
+  // Report utils values when recording; serve them from `replay` (in order, per api) when replaying
+  values: { record: boolean; replay: RecordedValue[] | null };
+}
+
+export interface ApiResultMessage {
+  type: 'api_result';
+  id: number;
+  ok: boolean;
+  result?: any;
+  error?: string;
+}
+
+export type DebugAction = 'continue' | 'step' | 'breakpoints';
+
+export interface DebugCommandMessage {
+  type: 'debug_command';
+  action: DebugAction;
+  // Replaces the active breakpoints when action is 'breakpoints'
+  breakpoints?: number[];
+}
+
+export type HostMessage = ConnectMessage | ExecuteMessage | ApiResultMessage | DebugCommandMessage;
+
+// Worker -> host
+
+export interface LogMessage {
+  type: 'log';
+  level: LogLevel;
+  timestamp: string;
+  message: string;
+  context?: any;
+}
+
+export interface ApiCallMessage {
+  type: 'api_call';
+  id: number;
+  namespace: string;
+  method: string;
+  params: Record<string, any>;
+}
+
+export interface MemoryMessage {
+  type: 'memory';
+  // Bytes of heap used by the sandbox isolate above its pre-execution baseline
+  heap_used: number;
+}
+
+export interface ResultMessage {
+  type: 'result';
+  result: any;
+}
+
+/**
+ * A stack frame in the script or one of its libraries; the sandbox's own frames are never reported
+ */
+export interface ScriptStackFrame {
+  // null for the script's top level
+  function: string | null;
+  // 1-based position in `ExecuteMessage.code`; absent for library frames
+  line?: number;
+  column?: number;
+  // `@lib/...` specifier of a library frame
+  module?: string;
+}
+
+export interface ErrorMessage {
+  type: 'error';
+  name: string;
+  error: string;
+  // Innermost first
+  frames: ScriptStackFrame[];
+}
+
+// A fresh utils value while recording, or one a replay had to produce because the recording ran out
+export interface ValueMessage extends RecordedValue {
+  type: 'value';
+}
+
+export interface DebugPausedMessage {
+  type: 'debug_paused';
+  // 1-based line in the script as written
+  line: number;
+  // Previews of the names in scope, already rendered to strings
+  locals: Record<string, string>;
+}
+
+export type WorkerMessage =
+  | LogMessage
+  | ApiCallMessage
+  | MemoryMessage
+  | ResultMessage
+  | ErrorMessage
+  | DebugPausedMessage
+  | ValueMessage;
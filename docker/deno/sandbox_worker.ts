@@ -0,0 +1,718 @@
+/**
+ * Sandbox worker: runs exactly one script execution.
+ *
+ * The host spawns this module in a fresh Worker with `permissions: "none"` for
+ * every execution, so logs, timing and globals can never leak between scripts.
+ * A few are spawned ahead of time and wait for their `execute` message.
+ * Anything that needs I/O (database, HTTP, events) is forwarded to the host as
+ * an `api_call` message and resolved when the matching `api_result` arrives.
+ *
+ * Before the script runs, the global scope is cut down to SCRIPT_GLOBALS, every
+ * function constructor is replaced with one that throws, and the built-ins are
+ * frozen; tests/sandbox_escape_test.ts holds the payloads this must stop.
+ *
+ * Heap usage is sampled on a timer and at every API boundary and reported to
+ * the host, which owns the memory limit and terminates the worker when it is
+ * exceeded. A loop that allocates without ever yielding or calling the API is
+ * never sampled; it runs into the heap limit of the child process the worker
+ * lives in instead (see sandbox_process.ts).
+ */
+
+import type { ApiBinding, ApiContext, LocalApi } from './api_types.ts';
+import type {
+  ApiCallMessage,
+  ApiResultMessage,
+  DebugCommandMessage,
+  ExecuteMessage,
+  HostMessage,
+  LogLevel,
+  RecordedValue,
+  ScriptInfo,
+  ScriptStackFrame,
+  WorkerMessage,
+} from './sandbox_protocol.ts';
+
+// Capture everything the worker itself needs before user code can touch the global scope
+const scope = self as any;
+const post = scope.postMessage.bind(scope) as (message: WorkerMessage) => void;
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+const memoryUsage: () => { heapUsed: number } = scope.Deno.memoryUsage.bind(scope.Deno);
+const startSampling = setInterval.bind(scope);
+const delay = setTimeout.bind(scope);
+
+const MEMORY_SAMPLE_INTERVAL_MS = 10;
+
+// Limits shared with the PHP UtilityApiNamespace
+const MAX_SLEEP_SECONDS = 5;
+const MAX_RANDOM_STRING_LENGTH = 100;
+const RANDOM_STRING_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Must match DEBUG_BINDING in debug_instrumenter.ts and REQUIRE_BINDING in module_linker.ts
+const DEBUG_BINDING = '__debug';
+const REQUIRE_BINDING = '__require__';
+const MAX_LOCAL_PREVIEW_LENGTH = 200;
+
+// Names the script in stack traces, so its frames can be told apart from the sandbox's own
+const SCRIPT_SOURCE_URL = 'script.js';
+// "    at [async] name (location:line:column)" or "    at location:line:column"
+const STACK_FRAME_PATTERN = /^\s*at (?:async )?(?:(.*?) \()?([^\s()]+):(\d+):(\d+)\)?$/;
+// The AsyncFunction constructor puts the parameter list and the opening brace before the body
+const FUNCTION_HEADER_LINES = 2;
+
+// The whole global scope a script sees: the ECMAScript built-ins except eval,
+// WebAssembly, shared memory and GC observers, plus side-effect-free web APIs
+const SCRIPT_GLOBALS = new Set([
+  'globalThis', 'undefined', 'NaN', 'Infinity',
+  'Object', 'Function', 'Array', 'Number', 'Boolean', 'String', 'Symbol', 'BigInt', 'Date', 'RegExp', 'Promise',
+  'Proxy', 'Reflect', 'JSON', 'Math', 'Intl', 'Map', 'Set', 'WeakMap', 'WeakSet',
+  'Error', 'AggregateError', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError',
+  'ArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURI', 'encodeURIComponent', 'decodeURI',
+  'decodeURIComponent', 'escape', 'unescape',
+  'TextEncoder', 'TextDecoder', 'URL', 'URLSearchParams', 'atob', 'btoa', 'crypto', 'structuredClone',
+  'queueMicrotask', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval',
+]);
+const ERROR_TYPES = [Error, AggregateError, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError];
+// Function.prototype and the prototypes of the async, generator and async generator functions
+const CODE_GENERATING_PROTOTYPES: object[] = [
+  Function.prototype,
+  Object.getPrototypeOf(async function () {}),
+  Object.getPrototypeOf(function* () {}),
+  Object.getPrototypeOf(async function* () {}),
+];
+// Built-ins that no global names but every script can reach, such as the iterator prototypes
+const HIDDEN_INTRINSICS: object[] = [
+  ...CODE_GENERATING_PROTOTYPES,
+  Object.getPrototypeOf([][Symbol.iterator]()),
+  Object.getPrototypeOf(new Map()[Symbol.iterator]()),
+  Object.getPrototypeOf(new Set()[Symbol.iterator]()),
+  Object.getPrototypeOf(''[Symbol.iterator]()),
+  Object.getPrototypeOf(/./[Symbol.matchAll]('')),
+];
+
+const pendingCalls = new Map<number, (reply: ApiResultMessage) => void>();
+let nextCallId = 1;
+let started = false;
+// Set by the host's connect message; replies must not depend on the global scope's dispatchEvent
+let hostPort: MessagePort | null = null;
+let lineOffset = 0;
+let baselineHeap = 0;
+let peakHeap = 0;
+
+function sampleMemory(): void {
+  const heapUsed = Math.max(0, memoryUsage().heapUsed - baselineHeap);
+  if (heapUsed > peakHeap) {
+    peakHeap = heapUsed;
+    post({ type: 'memory', heap_used: heapUsed });
+  }
+}
+
+async function callHost(namespace: string, method: string, params: Record<string, any>): Promise<any> {
+  const id = nextCallId++;
+  const message: ApiCallMessage = { type: 'api_call', id, namespace, method, params };
+
+  sampleMemory();
+  const reply = await new Promise<ApiResultMessage>(resolve => {
+    pendingCalls.set(id, resolve);
+    post(message);
+  });
+
+  // Thrown here rather than in the message handler, so the error's async stack reaches the script line that called
+  if (!reply.ok) {
+    throw new Error(reply.error || 'API call failed');
+  }
+  return reply.result;
+}
+
+function formatLogMessage(message: any): string {
+  if (typeof message === 'string') {
+    return message;
+  }
+  if (message instanceof Error) {
+    return `${message.name}: ${message.message}`;
+  }
+  try {
+    return JSON.stringify(message) ?? String(message);
+  } catch {
+    return String(message);
+  }
+}
+
+/**
+ * Reduce arbitrary script data to plain JSON so it survives the trip to Laravel
+ */
+function toLogContext(data: any): any {
+  if (data === undefined) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(data, (_key, value) => {
+      if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+      }
+      if (typeof value === 'bigint') {
+        return value.toString();
+      }
+      if (typeof value === 'function') {
+        return '[Function]';
+      }
+      return value;
+    }));
+  } catch {
+    return String(data);
+  }
+}
+
+/**
+ * Render a local variable for the debugger panel
+ */
+function previewValue(value: any): string {
+  if (typeof value === 'function') {
+    return `[Function${value.name ? ' ' + value.name : ''}]`;
+  }
+  if (value === undefined) {
+    return 'undefined';
+  }
+
+  const text = JSON.stringify(toLogContext(value)) ?? String(value);
+  return text.length > MAX_LOCAL_PREVIEW_LENGTH ? text.slice(0, MAX_LOCAL_PREVIEW_LENGTH) + '…' : text;
+}
+
+let breakpoints = new Set<number>();
+let stepping = false;
+let resumeScript: (() => void) | null = null;
+
+/**
+ * Target of the pause points inserted by the host's debug instrumentation
+ */
+const debugBinding = Object.freeze({
+  hit: (line: number) => stepping || breakpoints.has(line),
+  pause: (line: number, getters: Record<string, () => any>): Promise<void> => {
+    const locals: Record<string, string> = {};
+    for (const name of Object.keys(getters)) {
+      try {
+        locals[name] = previewValue(getters[name]());
+      } catch {
+        // Declared further down and not initialized yet
+        locals[name] = '<uninitialized>';
+      }
+    }
+
+    stepping = false;
+    sampleMemory();
+    post({ type: 'debug_paused', line, locals });
+    return new Promise<void>(resolve => {
+      resumeScript = resolve;
+    });
+  },
+});
+
+let recordValues = false;
+let replayValues: RecordedValue[] | null = null;
+
+/**
+ * Produce a non-deterministic value, or hand back the recorded one when replaying
+ */
+function deterministic<T>(api: RecordedValue['api'], produce: () => T): T {
+  if (replayValues) {
+    const index = replayValues.findIndex(entry => entry.api === api);
+    if (index !== -1) {
+      const [entry] = replayValues.splice(index, 1);
+      return entry.value;
+    }
+  }
+
+  const value = produce();
+  if (recordValues || replayValues) {
+    post({ type: 'value', api, value });
+  }
+  return value;
+}
+
+function handleDebugCommand(message: DebugCommandMessage): void {
+  if (message.action === 'breakpoints') {
+    breakpoints = new Set(message.breakpoints || []);
+    return;
+  }
+
+  stepping = message.action === 'step';
+  const resume = resumeScript;
+  resumeScript = null;
+  resume?.();
+}
+
+function log(level: LogLevel, message: any, data?: any): void {
+  sampleMemory();
+  post({
+    type: 'log',
+    level,
+    timestamp: new Date().toISOString(),
+    message: formatLogMessage(message),
+    context: toLogContext(data),
+  });
+}
+
+function consoleLogger(level: LogLevel): (...args: any[]) => void {
+  return (message?: any, ...rest: any[]) => log(level, message, rest.length > 1 ? rest : rest[0]);
+}
+
+function randomString(length = 10): string {
+  if (length > MAX_RANDOM_STRING_LENGTH) {
+    throw new Error(`Random string length cannot exceed ${MAX_RANDOM_STRING_LENGTH} characters`);
+  }
+
+  const bytes = crypto.getRandomValues(new Uint8Array(Math.max(0, Math.floor(length))));
+  return Array.from(bytes, byte => RANDOM_STRING_ALPHABET[byte % RANDOM_STRING_ALPHABET.length]).join('');
+}
+
+function base64Encode(value: string): string {
+  const bytes = new TextEncoder().encode(value);
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+function base64Decode(value: string): string {
+  try {
+    return new TextDecoder().decode(Uint8Array.from(atob(value), char => char.charCodeAt(0)));
+  } catch {
+    throw new Error('Invalid base64 string');
+  }
+}
+
+function isUrl(url: string): boolean {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol.length > 1 && (parsed.host !== '' || parsed.protocol === 'mailto:');
+  } catch {
+    return false;
+  }
+}
+
+function sanitize(input: string): string {
+  return String(input)
+    .replace(/<[^>]*>/g, '')
+    .trim()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Commit when the callback resolves, roll back and rethrow when it throws.
+ * The host also rolls back any transaction still open when the script ends.
+ */
+async function runTransaction(callback: () => any): Promise<any> {
+  if (typeof callback !== 'function') {
+    throw new Error('api.database.transaction expects a function');
+  }
+
+  await callHost('database', 'beginTransaction', {});
+
+  let result: any;
+  try {
+    result = await callback();
+  } catch (error) {
+    await callHost('database', 'rollback', {});
+    throw error;
+  }
+
+  await callHost('database', 'commit', {});
+  return result;
+}
+
+function createLocalApi(script: ScriptInfo): LocalApi {
+  return {
+    log: {
+      info: (message: string, data?: any) => log('info', message, data),
+      error: (message: string, data?: any) => log('error', message, data),
+      warn: (message: string, data?: any) => log('warning', message, data),
+      debug: (message: string, data?: any) => log('debug', message, data),
+    },
+    utils: {
+      now: () => deterministic('utils.now', () => Date.now()),
+      uuid: () => deterministic('utils.uuid', () => crypto.randomUUID()),
+      hash: async (data: string) => {
+        const encoder = new TextEncoder();
+        const hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode(data));
+        return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+      },
+      parseJson: (json: string) => {
+        try {
+          return JSON.parse(json);
+        } catch (error) {
+          throw new Error(`Invalid JSON: ${error.message}`);
+        }
+      },
+      sleep: (seconds: number) => {
+        if (seconds > MAX_SLEEP_SECONDS) {
+          return Promise.reject(new Error(`Sleep duration cannot exceed ${MAX_SLEEP_SECONDS} seconds`));
+        }
+        return new Promise<void>(resolve => delay(resolve, Math.max(0, seconds) * 1000));
+      },
+      randomString,
+      base64Encode,
+      base64Decode,
+      toJson: (data: any) => JSON.stringify(data) ?? 'null',
+    },
+    validate: {
+      isEmail: (email: string) => EMAIL_PATTERN.test(String(email)),
+      isUrl,
+      sanitize,
+    },
+    database: {
+      transaction: runTransaction,
+    },
+    getScriptInfo: () => ({ ...script }),
+  };
+}
+
+/**
+ * Give an `api.http.*` result its `json()`. Anything without a status, such as
+ * the null a dry run answers with, is passed through as it is.
+ */
+function toHttpResponse(result: any): any {
+  if (result === null || typeof result !== 'object' || typeof result.status !== 'number') {
+    return result;
+  }
+
+  // Fixtures may give the body as an object
+  const body: string = typeof result.body === 'string'
+    ? result.body
+    : result.body === undefined ? '' : JSON.stringify(result.body);
+
+  return {
+    status: result.status,
+    headers: { ...result.headers },
+    body,
+    json: () => {
+      try {
+        return JSON.parse(body);
+      } catch (error) {
+        throw new Error(`Response body is not valid JSON: ${error.message}`);
+      }
+    },
+  };
+}
+
+/**
+ * Build the script's `api` object: local helpers plus one forwarding stub per
+ * host binding from the generated manifest, mapping positional arguments to
+ * the named params the host handlers expect
+ */
+function createSecureApi(script: ScriptInfo, bindings: ApiBinding[]): ApiContext {
+  const api: Record<string, any> = createLocalApi(script);
+
+  for (const { namespace, method, params, transport } of bindings) {
+    if (transport !== 'host' || namespace === null) {
+      continue;
+    }
+    const forward = (...args: any[]) =>
+      callHost(namespace, method, Object.fromEntries(params.map((name, index) => [name, args[index]])));
+
+    api[namespace] ??= {};
+    api[namespace][method] = namespace === 'http'
+      ? async (...args: any[]) => toHttpResponse(await forward(...args))
+      : forward;
+  }
+
+  return api as ApiContext;
+}
+
+/**
+ * CommonJS-style loader over the linked libraries. Each library runs once, on
+ * its first require; a cycle sees the partly filled exports, as in Node.
+ */
+function createRequire(modules: Record<string, string>, console: Record<string, any>): (specifier: string) => any {
+  const factories = new Map(Object.entries(modules).map(([specifier, body]) => [
+    specifier,
+    // Compiled before the security context removes the code-generation globals; the
+    // sourceURL names the library in stack traces
+    new Function('exports', 'require', 'module', 'console', `${body}\n//# sourceURL=${specifier}`) as
+      (exports: any, require: (specifier: string) => any, module: { exports: any }, console: Record<string, any>) => void,
+  ]));
+  const cache = new Map<string, { exports: any }>();
+
+  const require = (specifier: string): any => {
+    const cached = cache.get(specifier);
+    if (cached) {
+      return cached.exports;
+    }
+
+    const factory = factories.get(specifier);
+    if (!factory) {
+      throw new Error(`Cannot find module '${specifier}'`);
+    }
+
+    const module = { exports: {} };
+    cache.set(specifier, module);
+    factory(module.exports, require, module, console);
+    return module.exports;
+  };
+
+  return require;
+}
+
+function deepFreeze<T>(value: T): T {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    for (const key of Object.keys(value as Record<string, unknown>)) {
+      deepFreeze((value as Record<string, unknown>)[key]);
+    }
+  }
+  return value;
+}
+
+/**
+ * Function body for the script: `ctx` is a parameter, aliases are plain
+ * `const` reads from it, so context values never become part of the source.
+ * `lineOffset` is the number of lines in front of the script's first line.
+ */
+function wrapUserCode(code: string, aliases: string[]): { body: string; lineOffset: number } {
+  const aliasDeclarations = aliases
+    // The host only sends identifiers; re-check so a bad alias cannot inject source
+    .filter(key => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key))
+    .map(key => `const ${key} = ctx[${JSON.stringify(key)}];`)
+    .join('\n');
+
+  const prelude = `
+    'use strict';
+
+    // Context aliases
+    ${aliasDeclarations}
+
+    // User code
+`;
+
+  return {
+    body: `${prelude}${code}\n//# sourceURL=${SCRIPT_SOURCE_URL}\n`,
+    lineOffset: FUNCTION_HEADER_LINES + prelude.split('\n').length - 1,
+  };
+}
+
+/**
+ * The script's and its libraries' frames from an error's stack, innermost first
+ */
+function scriptFrames(error: unknown, lineOffset: number, modules: Record<string, string>): ScriptStackFrame[] {
+  const stack = error instanceof Error && typeof error.stack === 'string' ? error.stack : '';
+  const frames: ScriptStackFrame[] = [];
+
+  for (const text of stack.split('\n').slice(1)) {
+    const match = text.match(STACK_FRAME_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, name, location, line, column] = match;
+    // The script body itself is the anonymous function V8 calls `eval`
+    const fn = name && name !== 'eval' && name !== 'anonymous' ? name : null;
+    if (location === SCRIPT_SOURCE_URL && Number(line) > lineOffset) {
+      frames.push({ function: fn, line: Number(line) - lineOffset, column: Number(column) });
+    } else if (Object.hasOwn(modules, location)) {
+      frames.push({ function: fn, module: location });
+    }
+  }
+
+  return frames;
+}
+
+/**
+ * Replace every function constructor with one that throws, so code can not be
+ * compiled from strings by climbing `.constructor` from any function. The
+ * stubs keep the real `prototype`, so `instanceof Function` still works.
+ */
+function blockCodeGeneration(): void {
+  for (const prototype of CODE_GENERATING_PROTOTYPES) {
+    const blocked = function () {
+      throw new EvalError('Code generation from strings is disabled in the sandbox');
+    };
+    Object.defineProperty(blocked, 'prototype', { value: prototype, writable: false });
+    Object.defineProperty(prototype, 'constructor', { value: blocked, writable: false, configurable: true });
+  }
+
+  // Deno runs string callbacks through eval
+  for (const name of ['setTimeout', 'setInterval']) {
+    const timer = scope[name];
+    scope[name] = (callback: unknown, ...rest: unknown[]) => {
+      if (typeof callback !== 'function') {
+        throw new TypeError(`${name} only accepts functions in the sandbox`);
+      }
+      return timer(callback, ...rest);
+    };
+  }
+}
+
+/**
+ * Turn data properties of a shared prototype into accessors, so assigning
+ * `error.name` or `obj.toString` still creates an own property once the
+ * prototype is frozen instead of throwing
+ */
+function enableOverrides(prototype: object): void {
+  for (const key of Reflect.ownKeys(prototype)) {
+    const descriptor = Reflect.getOwnPropertyDescriptor(prototype, key)!;
+    if (!('value' in descriptor) || !descriptor.configurable) {
+      continue;
+    }
+
+    const value = descriptor.value;
+    Object.defineProperty(prototype, key, {
+      get: () => value,
+      set(this: object, replacement: unknown) {
+        if (this === prototype) {
+          throw new TypeError(`Cannot assign to read only property '${String(key)}' of a sandbox intrinsic`);
+        }
+        Object.defineProperty(this, key, { value: replacement, writable: true, enumerable: true, configurable: true });
+      },
+      enumerable: descriptor.enumerable,
+      configurable: false,
+    });
+  }
+}
+
+/**
+ * Freeze everything reachable from `roots` through properties, accessors and
+ * prototypes, except the global object itself
+ */
+function harden(roots: unknown[]): void {
+  const seen = new Set<unknown>();
+  const pending = [...roots];
+
+  while (pending.length > 0) {
+    const value = pending.pop();
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function') || value === scope || seen.has(value)) {
+      continue;
+    }
+    seen.add(value);
+
+    Object.freeze(value);
+    pending.push(Object.getPrototypeOf(value));
+    for (const key of Reflect.ownKeys(value as object)) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(value, key)!;
+      pending.push(descriptor.value, descriptor.get, descriptor.set);
+    }
+  }
+}
+
+/**
+ * Reduce the global scope to SCRIPT_GLOBALS and freeze what is left, so a
+ * script can neither reach the runtime nor change the built-ins the sandbox
+ * (and the libraries it loads) rely on.
+ */
+function setupSecurityContext(api: ApiContext): void {
+  blockCodeGeneration();
+  scope.Function = Function.prototype.constructor;
+
+  // This isolate only ever runs one script, so the globals can be removed outright
+  for (const name of Reflect.ownKeys(scope)) {
+    if (typeof name === 'string' && SCRIPT_GLOBALS.has(name)) {
+      continue;
+    }
+    try {
+      delete scope[name];
+    } catch {
+      // Non-configurable globals are shadowed below instead
+    }
+    if (Object.hasOwn(scope, name)) {
+      Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+    }
+  }
+
+  // The message channel and event target methods are inherited from the worker scope's prototypes
+  for (let prototype = Object.getPrototypeOf(scope); prototype !== Object.prototype; prototype = Object.getPrototypeOf(prototype)) {
+    for (const name of Object.getOwnPropertyNames(prototype)) {
+      if (!SCRIPT_GLOBALS.has(name) && !Object.hasOwn(scope, name)) {
+        Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+      }
+    }
+  }
+
+  for (const prototype of [Object.prototype, Function.prototype, ...ERROR_TYPES.map(type => type.prototype)]) {
+    enableOverrides(prototype);
+  }
+
+  const globals = Object.getOwnPropertyNames(scope).filter(name => SCRIPT_GLOBALS.has(name));
+  harden([...globals.map(name => scope[name]), ...HIDDEN_INTRINSICS, api]);
+  for (const name of globals) {
+    const descriptor = Object.getOwnPropertyDescriptor(scope, name)!;
+    Object.defineProperty(scope, name, 'value' in descriptor ? { writable: false, configurable: false } : { configurable: false });
+  }
+}
+
+async function execute(message: ExecuteMessage): Promise<void> {
+  const { code, context, aliases, script, bindings, modules, debug, values } = message;
+
+  try {
+    const api = createSecureApi(script, bindings);
+    const console = {
+      log: consoleLogger('info'),
+      error: consoleLogger('error'),
+      warn: consoleLogger('warning'),
+      info: consoleLogger('info'),
+      debug: consoleLogger('debug'),
+    };
+
+    const ctx = deepFreeze(context || {});
+    const require = createRequire(modules || {}, console);
+    const wrapped = wrapUserCode(code, aliases || []);
+    lineOffset = wrapped.lineOffset;
+    const func = new AsyncFunction('api', 'console', 'ctx', DEBUG_BINDING, REQUIRE_BINDING, wrapped.body);
+    if (debug) {
+      breakpoints = new Set(debug.breakpoints);
+    }
+    recordValues = values?.record ?? false;
+    replayValues = values?.replay ? [...values.replay] : null;
+    setupSecurityContext(api);
+
+    baselineHeap = memoryUsage().heapUsed;
+    startSampling(sampleMemory, MEMORY_SAMPLE_INTERVAL_MS);
+
+    const result = await func(api, console, ctx, debug ? debugBinding : undefined, require);
+    sampleMemory();
+    post({ type: 'result', result: result === undefined ? null : result });
+  } catch (error) {
+    sampleMemory();
+    post({
+      type: 'error',
+      name: error instanceof Error ? error.name : 'Error',
+      error: error instanceof Error ? error.message : String(error),
+      frames: scriptFrames(error, lineOffset, modules || {}),
+    });
+  }
+}
+
+function onHostMessage(event: MessageEvent<HostMessage>): void {
+  const message = event.data;
+
+  if (message.type === 'connect') {
+    if (!hostPort) {
+      hostPort = event.ports[0];
+      hostPort.onmessage = onHostMessage;
+    }
+    return;
+  }
+
+  if (message.type === 'api_result') {
+    const pending = pendingCalls.get(message.id);
+    if (!pending) {
+      return;
+    }
+    pendingCalls.delete(message.id);
+    pending(message);
+    return;
+  }
+
+  if (message.type === 'debug_command') {
+    handleDebugCommand(message);
+    return;
+  }
+
+  if (message.type === 'execute' && !started) {
+    started = true;
+    execute(message);
+  }
+}
+
+scope.addEventListener('message', onHostMessage);
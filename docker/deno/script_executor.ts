@@ -1,5 +1,8 @@
 import { serve } from "https://deno.land/std@0.208.0/http/server.ts";
 import { STATUS_CODE } from "https://deno.land/std@0.208.0/http/status.ts";
+import { API_BINDINGS, type ApiBinding, type ApiContext } from "./api_types.ts";
+import { deepFreeze, prepareContext, renderContextAliases, type RejectedContextKey } from "./execution_context.ts";
+import { checkRequest, type HttpPolicy } from "./http_policy.ts";
 
 interface ExecutionRequest {
   code: string;
@@ -9,6 +12,24 @@ interface ExecutionRequest {
   client_id: string;
   script_id: string;
   execution_id: string;
+  context_aliases?: boolean;
+  http_policy?: HttpPolicy;
+  logging?: {
+    max_logs_per_execution?: number;
+    max_log_message_size?: number;
+  };
+}
+
+type LogLevel = 'debug' | 'info' | 'warning' | 'error';
+
+interface LogEntry {
+  sequence: number;
+  level: LogLevel;
+  timestamp: string;
+  message: string;
+  context?: any;
+  source: 'script' | 'api' | 'system';
+  truncated?: boolean;
 }
 
 interface ExecutionResponse {
@@ -17,51 +38,38 @@ interface ExecutionResponse {
   error?: string;
   execution_time: number;
   memory_used: number;
-  output: string[];
+  output: LogEntry[];
+  rejected_context_keys: RejectedContextKey[];
 }
 
-interface ApiContext {
-  log: {
-    info: (message: string) => void;
-    error: (message: string) => void;
-    warn: (message: string) => void;
-    debug: (message: string) => void;
-  };
-  utils: {
-    now: () => number;
-    uuid: () => string;
-    hash: (data: string) => string;
-    parseJson: (json: string) => any;
-  };
-  database: {
-    query: (sql: string, bindings?: any[]) => Promise<any>;
-    select: (table: string, columns: string[], conditions?: any) => Promise<any>;
-    insert: (table: string, data: any) => Promise<any>;
-    update: (table: string, data: any, conditions: any) => Promise<any>;
-    delete: (table: string, conditions: any) => Promise<any>;
-  };
-  http: {
-    get: (url: string, headers?: any) => Promise<any>;
-    post: (url: string, data?: any, headers?: any) => Promise<any>;
-    put: (url: string, data?: any, headers?: any) => Promise<any>;
-    patch: (url: string, data?: any, headers?: any) => Promise<any>;
-    delete: (url: string, headers?: any) => Promise<any>;
-  };
-  events: {
-    dispatch: (eventName: string, data: any) => Promise<void>;
-  };
-  getScriptInfo: () => {
-    id: string;
-    client_id: string;
-    execution_id: string;
-  };
+const DEFAULT_MAX_LOGS = 100;
+const DEFAULT_MAX_LOG_MESSAGE_SIZE = 1024;
+const TRUNCATION_MARKER = '… [truncated]';
+
+// Name under which a binding is handed to the generated wrapper, e.g. api_database_query
+function bindingName(binding: ApiBinding): string {
+  return binding.namespace ? `api_${binding.namespace}_${binding.method}` : `api_${binding.method}`;
+}
+
+function truncateToBytes(value: string, maxBytes: number): string {
+  const bytes = new TextEncoder().encode(value);
+  if (bytes.length <= maxBytes) {
+    return value;
+  }
+
+  const kept = new TextDecoder().decode(bytes.slice(0, maxBytes)).replace(/\uFFFD+$/, '');
+  return kept + TRUNCATION_MARKER;
 }
 
 class ScriptExecutor {
-  private outputBuffer: string[] = [];
+  private outputBuffer: LogEntry[] = [];
+  private droppedLogs: number = 0;
+  private logLimits = { maxLogs: DEFAULT_MAX_LOGS, maxSize: DEFAULT_MAX_LOG_MESSAGE_SIZE };
   private startTime: number = 0;
   private memoryUsed: number = 0;
   private activeExecutions: Map<string, AbortController> = new Map();
+  // Local stand-in for the Laravel-backed store, keyed by script id
+  private storage: Map<string, Map<string, { value: string; expiresAt: number | null }>> = new Map();
 
   constructor() {
     this.setupSecurityContext();
@@ -89,23 +97,78 @@ class ScriptExecutor {
     delete globalThis.require;
   }
 
+  /**
+   * Append a structured log entry, enforcing the per-execution count and size limits
+   */
+  private appendLog(level: LogLevel, message: any, data: any, source: LogEntry['source']): void {
+    if (this.outputBuffer.length >= this.logLimits.maxLogs) {
+      this.droppedLogs++;
+      return;
+    }
+
+    const text = typeof message === 'string' ? message : String(message);
+    const truncatedText = truncateToBytes(text, this.logLimits.maxSize);
+    let context: any = undefined;
+    let truncated = truncatedText !== text;
+
+    if (data !== undefined) {
+      try {
+        const serialized = JSON.stringify(data, (_key, value) =>
+          value instanceof Error ? { name: value.name, message: value.message } : value
+        );
+        context = JSON.parse(serialized);
+        if (new TextEncoder().encode(serialized).length > this.logLimits.maxSize) {
+          context = { preview: truncateToBytes(serialized, this.logLimits.maxSize) };
+          truncated = true;
+        }
+      } catch {
+        context = String(data);
+      }
+    }
+
+    this.outputBuffer.push({
+      sequence: this.outputBuffer.length + 1,
+      level,
+      timestamp: new Date().toISOString(),
+      message: truncatedText,
+      context,
+      source,
+      ...(truncated ? { truncated: true } : {}),
+    });
+  }
+
+  private finalizeOutput(): LogEntry[] {
+    if (this.droppedLogs > 0) {
+      this.outputBuffer.push({
+        sequence: this.outputBuffer.length + 1,
+        level: 'warning',
+        timestamp: new Date().toISOString(),
+        message: `Log limit of ${this.outputBuffer.length} entries reached; ${this.droppedLogs} further entries were dropped`,
+        context: { dropped: this.droppedLogs },
+        source: 'system',
+        truncated: true,
+      });
+    }
+
+    return this.outputBuffer;
+  }
+
   private createSecureApi(request: ExecutionRequest): ApiContext {
     const self = this;
+    const trace = (api: string, message: string) => self.appendLog('debug', message, { api }, 'api');
+    // This executor has no callback to Laravel, and a made-up response would hide that from the script
+    const httpRequest = async (method: string, url: string): Promise<never> => {
+      trace(`http.${method}`, `${method.toUpperCase()} ${url}`);
+      checkRequest(request.http_policy ?? {}, method, url);
+      throw new Error('api.http is not available in this executor; run scripts through script_executor_enhanced.ts');
+    };
     
     return {
       log: {
-        info: (message: string) => {
-          self.outputBuffer.push(`[INFO] ${message}`);
-        },
-        error: (message: string) => {
-          self.outputBuffer.push(`[ERROR] ${message}`);
-        },
-        warn: (message: string) => {
-          self.outputBuffer.push(`[WARN] ${message}`);
-        },
-        debug: (message: string) => {
-          self.outputBuffer.push(`[DEBUG] ${message}`);
-        }
+        info: (message: string, data?: any) => self.appendLog('info', message, data, 'script'),
+        error: (message: string, data?: any) => self.appendLog('error', message, data, 'script'),
+        warn: (message: string, data?: any) => self.appendLog('warning', message, data, 'script'),
+        debug: (message: string, data?: any) => self.appendLog('debug', message, data, 'script')
       },
       utils: {
         now: () => Date.now(),
@@ -121,61 +184,133 @@ class ScriptExecutor {
           } catch (error) {
             throw new Error(`Invalid JSON: ${error.message}`);
           }
-        }
+        },
+        sleep: async (seconds: number) => {
+          if (seconds > 5) {
+            throw new Error('Sleep duration cannot exceed 5 seconds');
+          }
+          await new Promise(resolve => setTimeout(resolve, Math.max(0, seconds) * 1000));
+        },
+        randomString: (length: number = 10) => {
+          if (length > 100) {
+            throw new Error('Random string length cannot exceed 100 characters');
+          }
+          const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+          return Array.from(crypto.getRandomValues(new Uint8Array(length)), b => alphabet[b % alphabet.length]).join('');
+        },
+        base64Encode: (value: string) =>
+          btoa(Array.from(new TextEncoder().encode(value), b => String.fromCharCode(b)).join('')),
+        base64Decode: (value: string) =>
+          new TextDecoder().decode(Uint8Array.from(atob(value), c => c.charCodeAt(0))),
+        toJson: (data: any) => JSON.stringify(data) ?? 'null'
+      },
+      validate: {
+        validate: async (data: Record<string, any>, rules: Record<string, string | string[]>) => {
+          // In real implementation, this would run Laravel validation via callback
+          trace('validate.validate', `Validate ${Object.keys(rules).length} fields`);
+          return { valid: true, errors: {} };
+        },
+        isEmail: (email: string) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email),
+        isUrl: (url: string) => {
+          try {
+            return new URL(url).protocol.length > 1;
+          } catch {
+            return false;
+          }
+        },
+        sanitize: (input: string) => input
+          .replace(/<[^>]*>/g, '')
+          .trim()
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;')
+          .replace(/'/g, '&#039;')
       },
       database: {
         query: async (sql: string, bindings?: any[]) => {
           // In real implementation, this would communicate with Laravel backend
           // For now, return a mock response
-          self.outputBuffer.push(`[DB] Query: ${sql}`);
+          trace('database.query', `Query: ${sql}`);
           return JSON.stringify([]);
         },
         select: async (table: string, columns: string[], conditions?: any) => {
-          self.outputBuffer.push(`[DB] Select from ${table}`);
+          trace('database.select', `Select from ${table}`);
           return JSON.stringify([]);
         },
         insert: async (table: string, data: any) => {
-          self.outputBuffer.push(`[DB] Insert into ${table}`);
+          trace('database.insert', `Insert into ${table}`);
           return JSON.stringify({ id: 1, ...data });
         },
         update: async (table: string, data: any, conditions: any) => {
-          self.outputBuffer.push(`[DB] Update ${table}`);
+          trace('database.update', `Update ${table}`);
           return JSON.stringify({ affected: 1 });
         },
         delete: async (table: string, conditions: any) => {
-          self.outputBuffer.push(`[DB] Delete from ${table}`);
+          trace('database.delete', `Delete from ${table}`);
           return JSON.stringify({ affected: 1 });
-        }
-      },
-      http: {
-        get: async (url: string, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] GET ${url}`);
-          // In real implementation, this would go through Laravel proxy
-          return JSON.stringify({ status: 200, data: {} });
         },
-        post: async (url: string, data?: any, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] POST ${url}`);
-          return JSON.stringify({ status: 201, data: {} });
+        transaction: async (callback: () => any) => {
+          trace('database.transaction', 'Begin transaction');
+          try {
+            const result = await callback();
+            trace('database.transaction', 'Commit');
+            return result;
+          } catch (error) {
+            trace('database.transaction', 'Rollback');
+            throw error;
+          }
         },
-        put: async (url: string, data?: any, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] PUT ${url}`);
-          return JSON.stringify({ status: 200, data: {} });
+        beginTransaction: async () => {
+          trace('database.beginTransaction', 'Begin transaction');
         },
-        patch: async (url: string, data?: any, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] PATCH ${url}`);
-          return JSON.stringify({ status: 200, data: {} });
+        commit: async () => {
+          trace('database.commit', 'Commit');
+          return JSON.stringify({ committed: true, results: [] });
         },
-        delete: async (url: string, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] DELETE ${url}`);
-          return JSON.stringify({ status: 204, data: {} });
+        rollback: async () => {
+          trace('database.rollback', 'Rollback');
         }
       },
+      http: {
+        get: (url: string, headers?: any) => httpRequest('get', url),
+        post: (url: string, data?: any, headers?: any) => httpRequest('post', url),
+        put: (url: string, data?: any, headers?: any) => httpRequest('put', url),
+        patch: (url: string, data?: any, headers?: any) => httpRequest('patch', url),
+        delete: (url: string, headers?: any) => httpRequest('delete', url)
+      },
       events: {
         dispatch: async (eventName: string, data: any) => {
-          self.outputBuffer.push(`[EVENT] Dispatched: ${eventName}`);
+          trace('events.dispatch', `Dispatched: ${eventName}`);
           // In real implementation, this would communicate with Laravel event system
         }
       },
+      storage: {
+        get: async (key: string) => {
+          trace('storage.get', `Get ${key}`);
+          const entry = self.scriptStorage(request).get(key);
+          if (!entry || (entry.expiresAt !== null && entry.expiresAt <= Date.now())) {
+            return null;
+          }
+          return JSON.parse(entry.value);
+        },
+        set: async (key: string, value: any, options?: { ttl?: number }) => {
+          trace('storage.set', `Set ${key}`);
+          const expiresAt = options?.ttl ? Date.now() + options.ttl * 1000 : null;
+          self.scriptStorage(request).set(key, { value: JSON.stringify(value ?? null), expiresAt });
+        },
+        delete: async (key: string) => {
+          trace('storage.delete', `Delete ${key}`);
+          return self.scriptStorage(request).delete(key);
+        }
+      },
+      secrets: {
+        get: async (name: string) => {
+          trace('secrets.get', `Get secret ${name}`);
+          // Secrets are resolved by Laravel's HTTP gateway, which this executor cannot reach
+          throw new Error('api.secrets is not available in this executor; run scripts through script_executor_enhanced.ts');
+        }
+      },
       getScriptInfo: () => {
         return {
           id: request.script_id,
@@ -186,52 +321,47 @@ class ScriptExecutor {
     };
   }
 
-  private wrapUserCode(code: string, context: Record<string, any>, api: ApiContext): string {
-    const contextVars = Object.entries(context)
-      .filter(([key, value]) => this.isValidContextVariable(key, value))
-      .map(([key, value]) => `const ${key} = ${JSON.stringify(value)};`)
-      .join('\n');
+  private scriptStorage(request: ExecutionRequest): Map<string, { value: string; expiresAt: number | null }> {
+    const key = `${request.client_id}:${request.script_id}`;
+    if (!this.storage.has(key)) {
+      this.storage.set(key, new Map());
+    }
+    return this.storage.get(key)!;
+  }
+
+  /**
+   * Source for the script's `api` object, one arrow per manifest binding
+   */
+  private renderApiObject(): string {
+    const namespaces = new Map<string, string[]>();
+    const functions: string[] = [];
+
+    for (const binding of API_BINDINGS) {
+      const member = `${binding.method}: (...args) => ${bindingName(binding)}(...args)`;
+      if (binding.namespace === null) {
+        functions.push(member);
+        continue;
+      }
+      namespaces.set(binding.namespace, [...(namespaces.get(binding.namespace) ?? []), member]);
+    }
+
+    const members = [
+      ...Array.from(namespaces, ([name, methods]) => `${name}: { ${methods.join(', ')} }`),
+      ...functions,
+    ];
+    return `{ ${members.join(', ')} }`;
+  }
 
+  private wrapUserCode(code: string, aliases: string[]): string {
     return `
       (function() {
         'use strict';
         
-        // Inject context variables
-        ${contextVars}
+        // Context aliases
+        ${renderContextAliases(aliases)}
         
         // Inject API
-        const api = {
-          log: {
-            info: (message) => api_log_info(message),
-            error: (message) => api_log_error(message),
-            warn: (message) => api_log_warn(message),
-            debug: (message) => api_log_debug(message)
-          },
-          utils: {
-            now: () => api_utils_now(),
-            uuid: () => api_utils_uuid(),
-            hash: (data) => api_utils_hash(data),
-            parseJson: (json) => api_utils_parseJson(json)
-          },
-          database: {
-            query: (sql, bindings) => api_database_query(sql, bindings),
-            select: (table, columns, conditions) => api_database_select(table, columns, conditions),
-            insert: (table, data) => api_database_insert(table, data),
-            update: (table, data, conditions) => api_database_update(table, data, conditions),
-            delete: (table, conditions) => api_database_delete(table, conditions)
-          },
-          http: {
-            get: (url, headers) => api_http_get(url, headers),
-            post: (url, data, headers) => api_http_post(url, data, headers),
-            put: (url, data, headers) => api_http_put(url, data, headers),
-            patch: (url, data, headers) => api_http_patch(url, data, headers),
-            delete: (url, headers) => api_http_delete(url, headers)
-          },
-          events: {
-            dispatch: (eventName, data) => api_events_dispatch(eventName, data)
-          },
-          getScriptInfo: () => api_getScriptInfo()
-        };
+        const api = ${this.renderApiObject()};
         
         // User code
         ${code}
@@ -239,37 +369,32 @@ class ScriptExecutor {
     `;
   }
 
-  private isValidContextVariable(key: string, value: any): boolean {
-    // Check key format
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)) {
-      return false;
-    }
-
-    // Check for reserved words
-    const reservedWords = ['api', 'console', 'window', 'document', 'global', 'process', 'Deno'];
-    if (reservedWords.includes(key)) {
-      return false;
-    }
-
-    // Check value type
-    if (typeof value === 'function' || typeof value === 'object' && value !== null && typeof value !== 'object') {
-      return false;
-    }
-
-    return true;
-  }
-
   async execute(request: ExecutionRequest): Promise<ExecutionResponse> {
     this.outputBuffer = [];
+    this.droppedLogs = 0;
+    this.logLimits = {
+      maxLogs: request.logging?.max_logs_per_execution ?? DEFAULT_MAX_LOGS,
+      maxSize: request.logging?.max_log_message_size ?? DEFAULT_MAX_LOG_MESSAGE_SIZE,
+    };
     this.startTime = performance.now();
     this.memoryUsed = 0;
 
+    const prepared = prepareContext(request.context, request.context_aliases !== false);
+    if (prepared.rejected.length > 0) {
+      this.appendLog(
+        'warning',
+        `Context keys not available as variables: ${prepared.rejected.map(entry => entry.key).join(', ')}`,
+        { rejected_context_keys: prepared.rejected },
+        'system'
+      );
+    }
+
     try {
       // Create secure API context
       const api = this.createSecureApi(request);
       
       // Wrap user code with security context
-      const wrappedCode = this.wrapUserCode(request.code, request.context, api);
+      const wrappedCode = this.wrapUserCode(request.code, prepared.aliases);
 
       // Create execution context with timeout
       const controller = new AbortController();
@@ -278,7 +403,7 @@ class ScriptExecutor {
       const timeoutId = setTimeout(() => controller.abort(), request.timeout);
 
       // Execute with resource limits
-      const result = await this.executeWithLimits(wrappedCode, api, controller.signal);
+      const result = await this.executeWithLimits(wrappedCode, api, deepFreeze(prepared.context), controller.signal);
 
       clearTimeout(timeoutId);
       this.activeExecutions.delete(request.execution_id);
@@ -290,7 +415,8 @@ class ScriptExecutor {
         result: result,
         execution_time: executionTime,
         memory_used: this.memoryUsed,
-        output: this.outputBuffer
+        output: this.finalizeOutput(),
+        rejected_context_keys: prepared.rejected
       };
 
     } catch (error) {
@@ -302,35 +428,32 @@ class ScriptExecutor {
         error: error.message,
         execution_time: executionTime,
         memory_used: this.memoryUsed,
-        output: this.outputBuffer
+        output: this.finalizeOutput(),
+        rejected_context_keys: prepared.rejected
       };
     }
   }
 
-  private async executeWithLimits(code: string, api: ApiContext, signal: AbortSignal): Promise<any> {
+  private bindApiFunctions(api: ApiContext): Record<string, Function> {
+    const source = api as Record<string, any>;
+    return Object.fromEntries(API_BINDINGS.map(binding => [
+      bindingName(binding),
+      binding.namespace ? source[binding.namespace][binding.method] : source[binding.method],
+    ]));
+  }
+
+  private async executeWithLimits(
+    code: string,
+    api: ApiContext,
+    ctx: Record<string, any>,
+    signal: AbortSignal
+  ): Promise<any> {
     // Create a new context for execution
     const context = {
+      ctx,
+
       // Bind API functions
-      api_log_info: api.log.info,
-      api_log_error: api.log.error,
-      api_log_warn: api.log.warn,
-      api_log_debug: api.log.debug,
-      api_utils_now: api.utils.now,
-      api_utils_uuid: api.utils.uuid,
-      api_utils_hash: api.utils.hash,
-      api_utils_parseJson: api.utils.parseJson,
-      api_database_query: api.database.query,
-      api_database_select: api.database.select,
-      api_database_insert: api.database.insert,
-      api_database_update: api.database.update,
-      api_database_delete: api.database.delete,
-      api_http_get: api.http.get,
-      api_http_post: api.http.post,
-      api_http_put: api.http.put,
-      api_http_patch: api.http.patch,
-      api_http_delete: api.http.delete,
-      api_events_dispatch: api.events.dispatch,
-      api_getScriptInfo: api.getScriptInfo,
+      ...this.bindApiFunctions(api),
       
       // Standard JavaScript globals
       JSON: JSON,
@@ -1,8 +1,65 @@
 import { serve } from "https://deno.land/std@0.208.0/http/server.ts";
 import { STATUS_CODE } from "https://deno.land/std@0.208.0/http/status.ts";
+import { API_BINDINGS } from "./api_types.ts";
+import {
+  CallbackBatcher,
+  type CallbackCall,
+  type CallbackResult,
+  DEFAULT_BATCH_WINDOW_MS,
+  DEFAULT_MAX_BATCH_SIZE,
+} from "./callback_batcher.ts";
+import { CompileCache, type CompileCacheStats, DEFAULT_MAX_ENTRIES, scriptHash } from "./compile_cache.ts";
+import { DryRunRecorder, type DryRunReport, type Fixture, type SideEffect } from "./dry_run.ts";
+import {
+  DEFAULT_MAX_QUEUE,
+  DEFAULT_POOL_SIZE,
+  DEFAULT_WARM_WORKERS,
+  PoolSaturatedError,
+  WorkerPool,
+  type WorkerLease,
+  type WorkerPoolStats,
+} from "./worker_pool.ts";
+import { MetricsRegistry } from "./metrics.ts";
+import { HEAP_HEADROOM_MB, SandboxMemoryError, SandboxProcess } from "./sandbox_process.ts";
+import { checkRequest, checkResolvedAddresses, checkResponseSize, type HttpPolicy } from "./http_policy.ts";
+import { DEFAULT_MAX_SKEW_SECONDS, parseKeys, RequestSigner, SignatureError } from "./request_signing.ts";
+import { prepareContext, type PreparedContext, type RejectedContextKey } from "./execution_context.ts";
+import {
+  type ExecutionRecording,
+  ExecutionRecorder,
+  type ReplayReport,
+  ReplaySession,
+  validateRecording,
+} from "./execution_recording.ts";
+import type { ModuleLinkError, ModuleSource } from "./module_linker.ts";
+import type {
+  CompiledScript,
+  ScriptLanguage,
+  TypeScriptCompileError,
+  TypeScriptDiagnostic,
+} from "./typescript_compiler.ts";
+import type {
+  ApiCallMessage,
+  ApiResultMessage,
+  DebugAction,
+  DebugPausedMessage,
+  ErrorMessage,
+  ExecuteMessage,
+  LogEntry,
+  LogLevel,
+  LogMessage,
+  ScriptStackFrame,
+  ValueMessage,
+  WorkerMessage,
+} from "./sandbox_protocol.ts";
 
 interface ExecutionRequest {
-  code: string;
+  // Omitted when Laravel expects `script_hash` to be cached
+  code?: string;
+  // Content hash of the script, its libraries and its client (see compile_cache.ts)
+  script_hash?: string;
+  // TypeScript is transpiled before it runs (default 'javascript')
+  language?: ScriptLanguage;
   context: Record<string, any>;
   timeout: number;
   memory_limit: number;
@@ -10,117 +67,254 @@ interface ExecutionRequest {
   script_id: string;
   execution_id: string;
   api_callback_url?: string;
-  api_token?: string;
+  // Calls made close together are merged into requests to this endpoint when present
+  api_batch_callback_url?: string;
+  callback_batching?: {
+    window_ms?: number;
+    max_batch_size?: number;
+  };
+  // Approved library code for the script's `@lib/...` imports, resolved by Laravel
+  modules?: Record<string, ModuleSource>;
+  // Expose valid top-level context keys as `const` aliases next to `ctx` (default true)
+  context_aliases?: boolean;
+  // Mirrors config('scripting.logging')
+  logging?: {
+    max_logs_per_execution?: number;
+    max_log_message_size?: number;
+  };
+  // Editor test runs: side effects are recorded instead of performed
+  dry_run?: {
+    fixtures?: Fixture[];
+  };
+  // Keep every callback and utils value so the run can be replayed later
+  record?: boolean;
+  // Run against a recording instead of Laravel; no callback is ever made
+  replay?: {
+    recording: ExecutionRecording;
+  };
+  // Step-through debugging; only accepted for streaming dry runs
+  debug?: {
+    breakpoints: number[];
+  };
+  // The client's egress rules; api.http.* calls that break them fail before any callback
+  http_policy?: HttpPolicy;
+}
+
+type ExecutionStatus = 'completed' | 'timeout' | 'stopped' | 'memory_limit_exceeded' | 'error';
+
+/**
+ * Why an execution failed, positioned in the script as written
+ */
+interface ErrorDetails {
+  name: string;
+  message: string;
+  // 1-based; null when no line of the script is to blame (timeouts, stops, memory limit)
+  line: number | null;
+  column: number | null;
+  // "Name: message" and the frames of the script and its libraries; never the sandbox's own
+  stack: string;
 }
 
 interface ExecutionResponse {
   success: boolean;
+  status: ExecutionStatus;
   result?: any;
   error?: string;
+  error_details?: ErrorDetails;
   execution_time: number;
   memory_used: number;
-  output: string[];
+  output: LogEntry[];
+  rejected_context_keys: RejectedContextKey[];
+  dry_run?: DryRunReport;
+  recording?: ExecutionRecording;
+  replay?: ReplayReport;
 }
 
-interface ApiContext {
-  log: {
-    info: (message: string) => void;
-    error: (message: string) => void;
-    warn: (message: string) => void;
-    debug: (message: string) => void;
-  };
-  utils: {
-    now: () => number;
-    uuid: () => string;
-    hash: (data: string) => Promise<string>;
-    parseJson: (json: string) => any;
-  };
-  database: {
-    query: (sql: string, bindings?: any[]) => Promise<any>;
-    select: (table: string, columns: string[], conditions?: any) => Promise<any>;
-    insert: (table: string, data: any) => Promise<any>;
-    update: (table: string, data: any, conditions: any) => Promise<any>;
-    delete: (table: string, conditions: any) => Promise<any>;
-  };
-  http: {
-    get: (url: string, headers?: any) => Promise<any>;
-    post: (url: string, data?: any, headers?: any) => Promise<any>;
-    put: (url: string, data?: any, headers?: any) => Promise<any>;
-    patch: (url: string, data?: any, headers?: any) => Promise<any>;
-    delete: (url: string, headers?: any) => Promise<any>;
-  };
-  events: {
-    dispatch: (eventName: string, data: any) => Promise<void>;
-  };
-  getScriptInfo: () => {
-    id: string;
-    client_id: string;
-    execution_id: string;
-  };
+/**
+ * Progress of a streaming execution, reported in the order it happens
+ */
+type ExecutionEvent =
+  | { event: 'log'; data: LogEntry }
+  | { event: 'api_call'; data: { id: number; api: string } }
+  | { event: 'api_result'; data: { id: number; api: string; ok: boolean; duration_ms: number; error?: string } }
+  | { event: 'debug_ready'; data: { breakable_lines: number[] } }
+  | { event: 'paused'; data: { line: number; locals: Record<string, string> } }
+  | { event: 'resumed'; data: { action: DebugAction } }
+  | { event: 'side_effect'; data: SideEffect };
+
+type ExecutionEventListener = (event: ExecutionEvent) => void;
+
+/**
+ * Per-execution state; nothing here is shared between concurrent executions
+ */
+interface ActiveExecution {
+  request: ExecutionRequest;
+  // Source sent to the sandbox, after import linking, debug instrumentation and transpiling
+  code: string;
+  // Set for TypeScript scripts; maps error positions back to the source as written
+  compiled: CompiledScript | null;
+  modules: Record<string, string>;
+  context: PreparedContext;
+  controller: AbortController;
+  // Holds the execution's pool slot and its pre-spawned sandbox until execute() returns
+  lease: WorkerLease<SandboxProcess>;
+  // Set once the script has been handed to the lease's sandbox
+  worker: SandboxProcess | null;
+  settled: boolean;
+  output: LogEntry[];
+  droppedLogs: number;
+  startTime: number;
+  // Peak sandbox heap above its baseline, in bytes
+  memoryUsed: number;
+  // Set from the moment beginTransaction is sent until commit or rollback succeeds
+  transactionOpen: boolean;
+  // Only set for streaming requests
+  onEvent: ExecutionEventListener | null;
+  timeoutMs: number;
+  timeoutId: ReturnType<typeof setTimeout> | undefined;
+  // performance.now() at which the running (not paused) time runs out
+  deadline: number;
+  debug: DebugSession | null;
+  dryRun: DryRunRecorder | null;
+  recorder: ExecutionRecorder | null;
+  replay: ReplaySession | null;
+}
+
+/**
+ * State of a debug run. Time spent paused does not count towards the
+ * execution timeout, but a single pause may not outlast DEBUG_MAX_PAUSE_MS.
+ */
+interface DebugSession {
+  paused: boolean;
+  remainingMs: number;
+  pauseTimer: ReturnType<typeof setTimeout> | undefined;
+}
+
+type DebugCommandResult = 'ok' | 'not_found' | 'not_debugging' | 'not_paused';
+
+type HostApiHandler = (params: Record<string, any>) => Promise<any>;
+type HostApi = Record<string, Record<string, HostApiHandler>>;
+type CallbackDispatcher = (type: string, method: string, params: Record<string, any>) => Promise<any>;
+
+// Everything the sandbox cannot do itself; each entry needs a handler in createHostApi()
+const HOST_BINDINGS = API_BINDINGS.filter(binding => binding.transport === 'host');
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_LOGS = 100;
+const DEFAULT_MAX_LOG_MESSAGE_SIZE = 1024;
+const TRUNCATION_MARKER = '… [truncated]';
+const ROLLBACK_TIMEOUT_MS = 5000;
+// Comment frames keep proxies from closing a stream while a script is quiet
+const SSE_HEARTBEAT_MS = 15000;
+const DEBUG_MAX_PAUSE_MS = 5 * 60 * 1000;
+const SCRIPT_LANGUAGES: ScriptLanguage[] = ['javascript', 'typescript'];
+const COMPILE_CACHE_MAX_ENTRIES = parseInt(Deno.env.get('COMPILE_CACHE_MAX_ENTRIES') || String(DEFAULT_MAX_ENTRIES));
+// Mirror scripting.execution.max_concurrent_executions and scripting.rate_limiting.burst_limit
+const MAX_CONCURRENT_EXECUTIONS = Math.max(1, parseInt(Deno.env.get('MAX_CONCURRENT_EXECUTIONS') || String(DEFAULT_POOL_SIZE)));
+const EXECUTION_QUEUE_SIZE = Math.max(0, parseInt(Deno.env.get('EXECUTION_QUEUE_SIZE') || String(DEFAULT_MAX_QUEUE)));
+const WARM_WORKERS = Math.max(0, parseInt(Deno.env.get('WARM_WORKERS') || String(DEFAULT_WARM_WORKERS)));
+// Mirrors scripting.execution.memory_limit (MB); warm sandboxes are spawned with this heap limit
+const DEFAULT_MEMORY_LIMIT_MB = Math.max(1, parseInt(Deno.env.get('SCRIPT_MEMORY_LIMIT') || '32'));
+
+// Mirrors scripting.deno.signing; signs callbacks to Laravel and verifies Laravel's requests
+const signer = new RequestSigner(
+  parseKeys(Deno.env.get('SIGNING_KEYS') || ''),
+  Deno.env.get('SIGNING_KEY_ID') || null,
+  parseInt(Deno.env.get('SIGNING_MAX_SKEW') || String(DEFAULT_MAX_SKEW_SECONDS))
+);
+
+/**
+ * Cut a string down to at most `maxBytes` of UTF-8, marking it as truncated
+ */
+function truncateToBytes(value: string, maxBytes: number): string {
+  const bytes = new TextEncoder().encode(value);
+  if (bytes.length <= maxBytes) {
+    return value;
+  }
+
+  const kept = new TextDecoder().decode(bytes.slice(0, maxBytes)).replace(/\uFFFD+$/, '');
+  return kept + TRUNCATION_MARKER;
+}
+
+/**
+ * Cheap check so scripts without imports never load the module linker and its compiler
+ */
+function mayImport(code: string): boolean {
+  return /\b(import|export)\b/.test(code);
+}
+
+/**
+ * An error the script threw, with its position and stack mapped to the source as written
+ */
+class ScriptRuntimeError extends Error {
+  constructor(public readonly details: ErrorDetails) {
+    super(details.line === null ? details.message : `${details.message} (line ${details.line})`);
+    this.name = details.name;
+  }
+}
+
+/**
+ * Abort reason used when an execution is ended from the outside (timeout or /stop)
+ */
+class ExecutionCancelledError extends Error {
+  constructor(public readonly status: 'timeout' | 'stopped' | 'memory_limit_exceeded', message: string) {
+    super(message);
+    this.name = 'ExecutionCancelledError';
+  }
 }
 
 class ScriptExecutor {
-  private outputBuffer: string[] = [];
-  private startTime: number = 0;
-  private memoryUsed: number = 0;
-  private activeExecutions: Map<string, AbortController> = new Map();
+  private activeExecutions: Map<string, ActiveExecution> = new Map();
+  private compileCache = new CompileCache(COMPILE_CACHE_MAX_ENTRIES);
+  private pool = new WorkerPool<SandboxProcess>(heapLimitMb => this.spawnSandbox(heapLimitMb), {
+    size: MAX_CONCURRENT_EXECUTIONS,
+    maxQueue: EXECUTION_QUEUE_SIZE,
+    warm: Math.min(WARM_WORKERS, MAX_CONCURRENT_EXECUTIONS),
+    heapLimitMb: DEFAULT_MEMORY_LIMIT_MB + HEAP_HEADROOM_MB,
+  });
+  private metrics = new MetricsRegistry();
+  private executionDuration = this.metrics.histogram(
+    'deno_executor_execution_duration_seconds',
+    'Time from admission to result, per client and outcome',
+    ['client_id', 'status']
+  );
+  private executionsTotal = this.metrics.counter(
+    'deno_executor_executions_total',
+    'Finished executions, per client and outcome',
+    ['client_id', 'status']
+  );
+  private callbackDuration = this.metrics.histogram(
+    'deno_executor_callback_duration_seconds',
+    'Host API calls from the sandbox until their result, including the callback to Laravel',
+    ['api', 'ok']
+  );
+  private queueWait = this.metrics.histogram(
+    'deno_executor_queue_wait_seconds',
+    'Time executions waited for a pool slot'
+  );
 
   constructor() {
-    this.setupSecurityContext();
-  }
-
-  private setupSecurityContext(): void {
-    // Remove global objects that could be security risks
-    //@ts-ignore
-    delete globalThis.Deno;
-    //@ts-ignore
-    delete globalThis.XMLHttpRequest;
-    //@ts-ignore
-    delete globalThis.WebSocket;
-    //@ts-ignore
-    delete globalThis.Worker;
-    //@ts-ignore
-    delete globalThis.eval;
-    //@ts-ignore
-    delete globalThis.Function.prototype.constructor;
-    //@ts-ignore
-    delete globalThis.import;
-    //@ts-ignore
-    delete globalThis.require;
+    this.collectMetrics();
   }
 
   private async callLaravelApi(
     request: ExecutionRequest,
     type: string,
     method: string,
-    params: any
+    params: any,
+    signal?: AbortSignal
   ): Promise<any> {
-    if (!request.api_callback_url || !request.api_token) {
+    if (!request.api_callback_url) {
       throw new Error('API callback configuration missing');
     }
 
     try {
-      const response = await fetch(request.api_callback_url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        body: JSON.stringify({
-          execution_id: request.execution_id,
-          api_token: request.api_token,
-          type: type,
-          method: method,
-          params: params,
-        }),
-      });
+      const result = await this.postToLaravel(request.api_callback_url, {
+        execution_id: request.execution_id,
+        type: type,
+        method: method,
+        params: params,
+      }, signal);
 
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`API call failed: ${response.status} - ${error}`);
-      }
-
-      const result = await response.json();
       if (!result.success) {
         throw new Error(result.error || 'API call failed');
       }
@@ -131,298 +325,862 @@ class ScriptExecutor {
     }
   }
 
-  private createSecureApi(request: ExecutionRequest): ApiContext {
-    const self = this;
-    
+  /**
+   * Send several calls in one request; Laravel runs them in order and answers each one
+   */
+  private async callLaravelBatch(
+    request: ExecutionRequest,
+    calls: CallbackCall[],
+    signal?: AbortSignal
+  ): Promise<CallbackResult[]> {
+    if (!request.api_batch_callback_url) {
+      throw new Error('API callback configuration missing');
+    }
+
+    try {
+      const result = await this.postToLaravel(request.api_batch_callback_url, {
+        execution_id: request.execution_id,
+        calls,
+      }, signal);
+
+      if (!result.success || !Array.isArray(result.results)) {
+        throw new Error(result.error || 'API batch call failed');
+      }
+
+      return result.results;
+    } catch (error) {
+      throw new Error(`Laravel API call failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * POST JSON to Laravel. The body is always read to the end so the connection
+   * goes back to fetch's keep-alive pool instead of being torn down.
+   */
+  private async postToLaravel(url: string, body: Record<string, any>, signal?: AbortSignal): Promise<any> {
+    const payload = JSON.stringify(body);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...await signer.sign('POST', new URL(url).pathname, payload),
+      },
+      body: payload,
+      signal,
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`API call failed: ${response.status} - ${text}`);
+    }
+
+    return JSON.parse(text);
+  }
+
+  /**
+   * Route an execution's callbacks through a batcher when Laravel offers a batch endpoint
+   */
+  private createCallbackDispatcher(execution: ActiveExecution): CallbackDispatcher {
+    const { request } = execution;
+    const signal = execution.controller.signal;
+
+    if (!request.api_batch_callback_url) {
+      return (type, method, params) => this.callLaravelApi(request, type, method, params, signal);
+    }
+
+    const batcher = new CallbackBatcher(
+      call => this.callLaravelApi(request, call.type, call.method, call.params, signal),
+      calls => this.callLaravelBatch(request, calls, signal),
+      {
+        windowMs: request.callback_batching?.window_ms ?? DEFAULT_BATCH_WINDOW_MS,
+        maxBatchSize: request.callback_batching?.max_batch_size ?? DEFAULT_MAX_BATCH_SIZE,
+      },
+    );
+
+    return (type, method, params) => batcher.enqueue({ type, method, params });
+  }
+
+  /**
+   * How an execution's host calls are answered: by Laravel, by the dry-run
+   * recorder, or from a recording when replaying
+   */
+  private createCallDispatcher(execution: ActiveExecution): CallbackDispatcher {
+    const { dryRun, recorder, replay } = execution;
+    if (replay) {
+      return (type, method, params) => replay.call(type, method, params);
+    }
+
+    const dispatch = this.createCallbackDispatcher(execution);
+    const answer: CallbackDispatcher = dryRun
+      ? (type, method, params) => dryRun.call(type, method, params, dispatch)
+      : dispatch;
+
+    return recorder
+      ? (type, method, params) => recorder.call(type, method, params, answer)
+      : answer;
+  }
+
+  /**
+   * Host-side handlers for the API calls a sandbox forwards over its message channel
+   */
+  private createHostApi(execution: ActiveExecution): HostApi {
+    const call = this.createCallDispatcher(execution);
+    const trace = (api: string, message: string) => this.appendLog(execution, {
+      level: 'debug',
+      timestamp: new Date().toISOString(),
+      message,
+      context: { api },
+      source: 'api',
+    });
+
+    const policy = execution.request.http_policy ?? {};
+    const httpCall = async (method: string, params: Record<string, any>) => {
+      const url = checkRequest(policy, method, String(params.url ?? ''));
+      // Dry runs and replays never send the request, so there is nothing to resolve
+      if (!execution.dryRun && !execution.replay) {
+        await checkResolvedAddresses(url);
+      }
+
+      const response = await call('http', method, params);
+      checkResponseSize(policy, response);
+      return response;
+    };
+
     return {
-      log: {
-        info: (message: string) => {
-          self.outputBuffer.push(`[INFO] ${message}`);
+      database: {
+        query: async ({ sql, bindings }) => {
+          trace('database.query', `Query: ${sql}`);
+          return await call('database', 'query', { sql, bindings });
         },
-        error: (message: string) => {
-          self.outputBuffer.push(`[ERROR] ${message}`);
+        select: async ({ table, columns, conditions }) => {
+          trace('database.select', `Select from ${table}`);
+          return await call('database', 'select', { table, columns, conditions });
         },
-        warn: (message: string) => {
-          self.outputBuffer.push(`[WARN] ${message}`);
+        insert: async ({ table, data }) => {
+          trace('database.insert', `Insert into ${table}`);
+          return await call('database', 'insert', { table, data });
         },
-        debug: (message: string) => {
-          self.outputBuffer.push(`[DEBUG] ${message}`);
-        }
-      },
-      utils: {
-        now: () => Date.now(),
-        uuid: () => crypto.randomUUID(),
-        hash: async (data: string) => {
-          const encoder = new TextEncoder();
-          const hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode(data));
-          return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
-        },
-        parseJson: (json: string) => {
-          try {
-            return JSON.parse(json);
-          } catch (error) {
-            throw new Error(`Invalid JSON: ${error.message}`);
-          }
-        }
-      },
-      database: {
-        query: async (sql: string, bindings?: any[]) => {
-          self.outputBuffer.push(`[DB] Query: ${sql}`);
-          return await self.callLaravelApi(request, 'database', 'query', { sql, bindings });
+        update: async ({ table, data, conditions }) => {
+          trace('database.update', `Update ${table}`);
+          return await call('database', 'update', { table, data, conditions });
         },
-        select: async (table: string, columns: string[], conditions?: any) => {
-          self.outputBuffer.push(`[DB] Select from ${table}`);
-          return await self.callLaravelApi(request, 'database', 'select', { table, columns, conditions });
+        delete: async ({ table, conditions }) => {
+          trace('database.delete', `Delete from ${table}`);
+          return await call('database', 'delete', { table, conditions });
         },
-        insert: async (table: string, data: any) => {
-          self.outputBuffer.push(`[DB] Insert into ${table}`);
-          return await self.callLaravelApi(request, 'database', 'insert', { table, data });
+        beginTransaction: async () => {
+          trace('database.beginTransaction', 'Begin transaction');
+          execution.transactionOpen = true;
+          await call('database', 'beginTransaction', {});
         },
-        update: async (table: string, data: any, conditions: any) => {
-          self.outputBuffer.push(`[DB] Update ${table}`);
-          return await self.callLaravelApi(request, 'database', 'update', { table, data, conditions });
+        commit: async () => {
+          trace('database.commit', 'Commit transaction');
+          const result = await call('database', 'commit', {});
+          execution.transactionOpen = false;
+          return result;
         },
-        delete: async (table: string, conditions: any) => {
-          self.outputBuffer.push(`[DB] Delete from ${table}`);
-          return await self.callLaravelApi(request, 'database', 'delete', { table, conditions });
+        rollback: async () => {
+          trace('database.rollback', 'Roll back transaction');
+          await call('database', 'rollback', {});
+          execution.transactionOpen = false;
         }
       },
       http: {
-        get: async (url: string, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] GET ${url}`);
-          return await self.callLaravelApi(request, 'http', 'get', { url, headers });
+        get: async ({ url, headers }) => {
+          trace('http.get', `GET ${url}`);
+          return await httpCall('get', { url, headers });
         },
-        post: async (url: string, data?: any, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] POST ${url}`);
-          return await self.callLaravelApi(request, 'http', 'post', { url, data, headers });
+        post: async ({ url, data, headers }) => {
+          trace('http.post', `POST ${url}`);
+          return await httpCall('post', { url, data, headers });
         },
-        put: async (url: string, data?: any, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] PUT ${url}`);
-          return await self.callLaravelApi(request, 'http', 'put', { url, data, headers });
+        put: async ({ url, data, headers }) => {
+          trace('http.put', `PUT ${url}`);
+          return await httpCall('put', { url, data, headers });
         },
-        patch: async (url: string, data?: any, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] PATCH ${url}`);
-          return await self.callLaravelApi(request, 'http', 'patch', { url, data, headers });
+        patch: async ({ url, data, headers }) => {
+          trace('http.patch', `PATCH ${url}`);
+          return await httpCall('patch', { url, data, headers });
         },
-        delete: async (url: string, headers?: any) => {
-          self.outputBuffer.push(`[HTTP] DELETE ${url}`);
-          return await self.callLaravelApi(request, 'http', 'delete', { url, headers });
+        delete: async ({ url, headers }) => {
+          trace('http.delete', `DELETE ${url}`);
+          return await httpCall('delete', { url, headers });
         }
       },
       events: {
-        dispatch: async (eventName: string, data: any) => {
-          self.outputBuffer.push(`[EVENT] Dispatched: ${eventName}`);
-          await self.callLaravelApi(request, 'events', 'dispatch', { eventName, data });
+        dispatch: async ({ eventName, data }) => {
+          trace('events.dispatch', `Dispatched: ${eventName}`);
+          await call('events', 'dispatch', { eventName, data });
         }
       },
-      getScriptInfo: () => {
-        return {
-          id: request.script_id,
-          client_id: request.client_id,
-          execution_id: request.execution_id
-        };
+      validate: {
+        validate: async ({ data, rules }) => {
+          trace('validate.validate', `Validate ${Object.keys(rules || {}).length} fields`);
+          return await call('validate', 'validate', { data, rules });
+        }
+      },
+      storage: {
+        get: async ({ key }) => {
+          trace('storage.get', `Get ${key}`);
+          return await call('storage', 'get', { key });
+        },
+        set: async ({ key, value, options }) => {
+          trace('storage.set', `Set ${key}`);
+          await call('storage', 'set', { key, value, ttl: options?.ttl });
+        },
+        delete: async ({ key }) => {
+          trace('storage.delete', `Delete ${key}`);
+          return await call('storage', 'delete', { key });
+        }
+      },
+      secrets: {
+        get: async ({ name }) => {
+          trace('secrets.get', `Get secret ${name}`);
+          return await call('secrets', 'get', { name });
+        }
       }
     };
   }
 
-  private wrapUserCode(code: string, context: Record<string, any>, api: ApiContext): string {
-    const contextVars = Object.entries(context)
-      .filter(([key, value]) => this.isValidContextVariable(key, value))
-      .map(([key, value]) => `const ${key} = ${JSON.stringify(value)};`)
-      .join('\n');
-
-    return `
-      (async function() {
-        'use strict';
-        
-        // Inject context variables
-        ${contextVars}
-        
-        // Inject API
-        const api = {
-          log: {
-            info: (message) => api_log_info(message),
-            error: (message) => api_log_error(message),
-            warn: (message) => api_log_warn(message),
-            debug: (message) => api_log_debug(message)
-          },
-          utils: {
-            now: () => api_utils_now(),
-            uuid: () => api_utils_uuid(),
-            hash: (data) => api_utils_hash(data),
-            parseJson: (json) => api_utils_parseJson(json)
-          },
-          database: {
-            query: (sql, bindings) => api_database_query(sql, bindings),
-            select: (table, columns, conditions) => api_database_select(table, columns, conditions),
-            insert: (table, data) => api_database_insert(table, data),
-            update: (table, data, conditions) => api_database_update(table, data, conditions),
-            delete: (table, conditions) => api_database_delete(table, conditions)
-          },
-          http: {
-            get: (url, headers) => api_http_get(url, headers),
-            post: (url, data, headers) => api_http_post(url, data, headers),
-            put: (url, data, headers) => api_http_put(url, data, headers),
-            patch: (url, data, headers) => api_http_patch(url, data, headers),
-            delete: (url, headers) => api_http_delete(url, headers)
-          },
-          events: {
-            dispatch: (eventName, data) => api_events_dispatch(eventName, data)
-          },
-          getScriptInfo: () => api_getScriptInfo()
-        };
-        
-        // User code
-        ${code}
-      })();
-    `;
-  }
-
-  private isValidContextVariable(key: string, value: any): boolean {
-    // Check key format
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key)) {
-      return false;
-    }
+  /**
+   * Spawn a fresh, permission-less isolate for a single execution, in a child
+   * process whose heap limit is the execution's memory limit; see sandbox_process.ts
+   */
+  private spawnSandbox(heapLimitMb: number): SandboxProcess {
+    return new SandboxProcess({ denoPath: Deno.execPath(), heapLimitMb });
+  }
 
-    // Check for reserved words
-    const reservedWords = ['api', 'console', 'window', 'document', 'global', 'process', 'Deno'];
-    if (reservedWords.includes(key)) {
-      return false;
-    }
+  /**
+   * Wait for an execution slot and a sandbox with the request's memory limit; see WorkerPool
+   */
+  admit(request: ExecutionRequest, signal?: AbortSignal): Promise<WorkerLease<SandboxProcess>> {
+    const limitMb = request.memory_limit > 0 ? Math.ceil(request.memory_limit / 1024 / 1024) : DEFAULT_MEMORY_LIMIT_MB;
+    return this.pool.acquire(limitMb + HEAP_HEADROOM_MB, signal);
+  }
 
-    // Check value type
-    if (typeof value === 'function' || (typeof value === 'object' && value !== null && value.constructor !== Object && value.constructor !== Array)) {
-      return false;
+  async execute(
+    request: ExecutionRequest,
+    lease: WorkerLease<SandboxProcess>,
+    onEvent: ExecutionEventListener | null = null
+  ): Promise<ExecutionResponse> {
+    const execution: ActiveExecution = {
+      request,
+      lease,
+      code: request.code ?? '',
+      compiled: null,
+      modules: {},
+      context: prepareContext(request.context, request.context_aliases !== false),
+      controller: new AbortController(),
+      worker: null,
+      settled: false,
+      output: [],
+      droppedLogs: 0,
+      startTime: performance.now(),
+      memoryUsed: 0,
+      transactionOpen: false,
+      onEvent,
+      timeoutMs: request.timeout > 0 ? request.timeout : DEFAULT_TIMEOUT_MS,
+      timeoutId: undefined,
+      deadline: 0,
+      debug: null,
+      dryRun: null,
+      recorder: request.record ? new ExecutionRecorder(request.context) : null,
+      replay: request.replay ? new ReplaySession(request.replay.recording) : null,
+    };
+    if (request.dry_run) {
+      execution.dryRun = new DryRunRecorder(
+        request.dry_run.fixtures,
+        effect => this.emit(execution, { event: 'side_effect', data: effect })
+      );
     }
 
-    return true;
-  }
+    // Create execution context with timeout
+    this.activeExecutions.set(request.execution_id, execution);
+    this.queueWait.observe(lease.waitedMs / 1000);
+    this.reportRejectedContextKeys(execution);
+    this.startTimeout(execution, execution.timeoutMs);
 
-  async execute(request: ExecutionRequest): Promise<ExecutionResponse> {
-    this.outputBuffer = [];
-    this.startTime = performance.now();
-    this.memoryUsed = 0;
+    // A sandbox that dies while the script is prepared fails the execution
+    // instead of leaving it to time out; executeInSandbox replaces this handler
+    lease.worker.onerror = (event: ErrorEvent) => {
+      event.preventDefault();
+      execution.controller.abort(new Error(`Sandbox crashed: ${event.message}`));
+    };
 
     try {
-      // Create secure API context
-      const api = this.createSecureApi(request);
-      
-      // Wrap user code with security context
-      const wrappedCode = this.wrapUserCode(request.code, request.context, api);
-
-      // Create execution context with timeout
-      const controller = new AbortController();
-      this.activeExecutions.set(request.execution_id, controller);
-      
-      const timeoutId = setTimeout(() => controller.abort(), request.timeout);
+      await this.prepareScript(execution);
 
-      // Execute with resource limits
-      const result = await this.executeWithLimits(wrappedCode, api, controller.signal);
+      // Execute in an isolated sandbox worker
+      const result = await this.executeInSandbox(execution);
+      await this.rollbackOpenTransaction(execution);
 
-      clearTimeout(timeoutId);
-      this.activeExecutions.delete(request.execution_id);
-
-      const executionTime = performance.now() - this.startTime;
+      const executionTime = performance.now() - execution.startTime;
 
-      return {
+      return this.withReports(execution, {
         success: true,
+        status: 'completed',
         result: result,
         execution_time: executionTime,
-        memory_used: this.memoryUsed,
-        output: this.outputBuffer
-      };
+        memory_used: execution.memoryUsed,
+        output: this.finalizeOutput(execution),
+        rejected_context_keys: execution.context.rejected,
+      });
 
     } catch (error) {
-      const executionTime = performance.now() - this.startTime;
-      this.activeExecutions.delete(request.execution_id);
-      
-      return {
+      await this.rollbackOpenTransaction(execution);
+      const executionTime = performance.now() - execution.startTime;
+
+      return this.withReports(execution, {
         success: false,
+        status: error instanceof ExecutionCancelledError ? error.status : 'error',
         error: error.message,
+        error_details: this.errorDetails(error),
         execution_time: executionTime,
-        memory_used: this.memoryUsed,
-        output: this.outputBuffer
-      };
+        memory_used: execution.memoryUsed,
+        output: this.finalizeOutput(execution),
+        rejected_context_keys: execution.context.rejected,
+      });
+    } finally {
+      clearTimeout(execution.timeoutId);
+      clearTimeout(execution.debug?.pauseTimer);
+      this.activeExecutions.delete(request.execution_id);
+      lease.release();
     }
   }
 
-  private async executeWithLimits(code: string, api: ApiContext, signal: AbortSignal): Promise<any> {
-    // Create a new context for execution
-    const context = {
-      // Bind API functions
-      api_log_info: api.log.info,
-      api_log_error: api.log.error,
-      api_log_warn: api.log.warn,
-      api_log_debug: api.log.debug,
-      api_utils_now: api.utils.now,
-      api_utils_uuid: api.utils.uuid,
-      api_utils_hash: api.utils.hash,
-      api_utils_parseJson: api.utils.parseJson,
-      api_database_query: api.database.query,
-      api_database_select: api.database.select,
-      api_database_insert: api.database.insert,
-      api_database_update: api.database.update,
-      api_database_delete: api.database.delete,
-      api_http_get: api.http.get,
-      api_http_post: api.http.post,
-      api_http_put: api.http.put,
-      api_http_patch: api.http.patch,
-      api_http_delete: api.http.delete,
-      api_events_dispatch: api.events.dispatch,
-      api_getScriptInfo: api.getScriptInfo,
-      
-      // Standard JavaScript globals
-      JSON: JSON,
-      Math: Math,
-      Date: Date,
-      Array: Array,
-      Object: Object,
-      String: String,
-      Number: Number,
-      Boolean: Boolean,
-      parseInt: parseInt,
-      parseFloat: parseFloat,
-      isNaN: isNaN,
-      isFinite: isFinite,
-      Promise: Promise,
-      
-      // Console for basic output
-      console: {
-        log: api.log.info,
-        error: api.log.error,
-        warn: api.log.warn,
-        info: api.log.info,
-        debug: api.log.debug
+  /**
+   * Count the outcome and attach the dry-run, recording and replay reports the request asked for
+   */
+  private withReports(execution: ActiveExecution, response: ExecutionResponse): ExecutionResponse {
+    const labels = { client_id: execution.request.client_id, status: response.status };
+    this.executionsTotal.inc(labels);
+    this.executionDuration.observe(response.execution_time / 1000, labels);
+
+    const outcome = {
+      success: response.success,
+      status: response.status,
+      ...(response.success ? { result: response.result } : { error: response.error }),
+    };
+
+    if (execution.dryRun) {
+      response.dry_run = execution.dryRun.report();
+    }
+    if (execution.recorder) {
+      response.recording = execution.recorder.finish(response.output, outcome);
+    }
+    if (execution.replay) {
+      response.replay = execution.replay.report(response.output, outcome);
+    }
+    return response;
+  }
+
+  private startTimeout(execution: ActiveExecution, ms: number): void {
+    execution.deadline = performance.now() + ms;
+    execution.timeoutId = setTimeout(() => {
+      execution.controller.abort(
+        new ExecutionCancelledError('timeout', `Script execution timed out after ${execution.timeoutMs}ms`)
+      );
+    }, ms);
+  }
+
+  /**
+   * Link, instrument and transpile the script, or take the result from the
+   * compile cache. Debug runs are instrumented per run and never cached.
+   */
+  private async prepareScript(execution: ActiveExecution): Promise<void> {
+    const { request } = execution;
+    const hash = request.debug ? null : request.script_hash ?? null;
+    const cached = hash === null ? undefined : this.compileCache.get(hash);
+
+    if (cached) {
+      execution.code = cached.code;
+      execution.modules = cached.modules;
+      execution.compiled = cached.compiled;
+      return;
+    }
+    if (!request.code) {
+      throw new Error('Script is no longer cached; send its code again');
+    }
+
+    if (Object.keys(request.modules ?? {}).length > 0 || mayImport(request.code)) {
+      await this.linkModules(execution);
+    }
+    if (request.debug) {
+      await this.startDebugSession(execution);
+    }
+    if (request.language === 'typescript') {
+      await this.transpile(execution);
+    }
+
+    if (hash !== null) {
+      this.compileCache.set(hash, { code: execution.code, modules: execution.modules, compiled: execution.compiled });
+    }
+  }
+
+  /**
+   * Rewrite the script's imports and compile the libraries sent with it. Like
+   * the debugger, the compiler is only loaded for code that needs it.
+   */
+  private async linkModules(execution: ActiveExecution): Promise<void> {
+    const { linkScript } = await import('./module_linker.ts');
+    const linked = linkScript(execution.code, execution.request.modules ?? {}, execution.request.language);
+
+    execution.code = linked.code;
+    execution.modules = linked.modules;
+  }
+
+  /**
+   * Instrument the script with pause points. The TypeScript parser is only
+   * loaded the first time somebody debugs, never for regular executions.
+   */
+  private async startDebugSession(execution: ActiveExecution): Promise<void> {
+    const { instrumentForDebugging } = await import('./debug_instrumenter.ts');
+    const instrumented = instrumentForDebugging(
+      execution.code,
+      ['ctx', ...execution.context.aliases],
+      execution.request.language
+    );
+
+    execution.code = instrumented.code;
+    execution.debug = {
+      paused: false,
+      remainingMs: 0,
+      pauseTimer: undefined,
+    };
+    this.emit(execution, { event: 'debug_ready', data: { breakable_lines: instrumented.breakableLines } });
+  }
+
+  /**
+   * Strip the types from a TypeScript script. Runs last, so imports are
+   * already rewritten and pause points already carry the original lines.
+   */
+  private async transpile(execution: ActiveExecution): Promise<void> {
+    const { transpileScript } = await import('./typescript_compiler.ts');
+    execution.compiled = transpileScript(execution.code);
+    execution.code = execution.compiled.code;
+  }
+
+  /**
+   * Map an error from the sandbox back to the source as written. Pause points
+   * shift the columns of a debug run, so only its lines are reported.
+   */
+  private scriptError(execution: ActiveExecution, message: ErrorMessage): ScriptRuntimeError {
+    const frames = message.frames.map((frame): ScriptStackFrame => {
+      if (frame.line === undefined || frame.column === undefined) {
+        return frame;
       }
+
+      const position = execution.compiled
+        ? execution.compiled.originalPosition(frame.line, frame.column)
+        : { line: frame.line, column: frame.column };
+      return position
+        ? { function: frame.function, line: position.line, column: execution.debug ? undefined : position.column }
+        : { function: frame.function };
+    });
+
+    const location = (frame: ScriptStackFrame) => frame.module
+      ?? (frame.line === undefined ? 'script' : `line ${frame.line}${frame.column === undefined ? '' : `:${frame.column}`}`);
+    const innermost = frames.find(frame => frame.line !== undefined);
+
+    return new ScriptRuntimeError({
+      name: message.name,
+      message: message.error,
+      line: innermost?.line ?? null,
+      column: innermost?.column ?? null,
+      stack: [
+        `${message.name}: ${message.error}`,
+        ...frames.map(frame => `    at ${frame.function ?? '<script>'} (${location(frame)})`),
+      ].join('\n'),
+    });
+  }
+
+  /**
+   * Structured form of any failure; compile and link errors point at the offending line
+   */
+  private errorDetails(error: Error): ErrorDetails {
+    if (error instanceof ScriptRuntimeError) {
+      return error.details;
+    }
+
+    const diagnostic = (error as Partial<TypeScriptCompileError>).diagnostics?.[0];
+    const linkLine = (error as Partial<ModuleLinkError>).line;
+    return {
+      name: error.name,
+      message: error.message,
+      line: diagnostic?.line ?? linkLine ?? null,
+      column: diagnostic?.column ?? null,
+      stack: `${error.name}: ${error.message}`,
     };
+  }
 
-    // Create async function and execute
-    const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-    const func = new AsyncFunction(...Object.keys(context), `return ${code}`);
-    const result = await func(...Object.values(context));
+  private handleDebugPaused(execution: ActiveExecution, message: DebugPausedMessage): void {
+    const debug = execution.debug;
+    if (!debug || debug.paused) {
+      return;
+    }
+
+    debug.paused = true;
+    clearTimeout(execution.timeoutId);
+    debug.remainingMs = Math.max(0, execution.deadline - performance.now());
+    debug.pauseTimer = setTimeout(() => {
+      execution.controller.abort(new ExecutionCancelledError(
+        'stopped',
+        `Debugger stayed paused for more than ${DEBUG_MAX_PAUSE_MS / 1000} seconds`
+      ));
+    }, DEBUG_MAX_PAUSE_MS);
 
-    return result;
+    this.emit(execution, { event: 'paused', data: { line: message.line, locals: message.locals } });
   }
 
   /**
-   * Stop execution by execution ID
+   * Resume, step or change breakpoints of a paused debug run
+   */
+  debugCommand(executionId: string, action: DebugAction, breakpoints: number[] = []): DebugCommandResult {
+    const execution = this.activeExecutions.get(executionId);
+    if (!execution || execution.settled || !execution.worker) {
+      return 'not_found';
+    }
+
+    const debug = execution.debug;
+    if (!debug) {
+      return 'not_debugging';
+    }
+
+    if (action === 'breakpoints') {
+      execution.worker.postMessage({ type: 'debug_command', action, breakpoints });
+      return 'ok';
+    }
+
+    if (!debug.paused) {
+      return 'not_paused';
+    }
+
+    debug.paused = false;
+    clearTimeout(debug.pauseTimer);
+    this.startTimeout(execution, debug.remainingMs);
+    this.emit(execution, { event: 'resumed', data: { action } });
+    execution.worker.postMessage({ type: 'debug_command', action });
+    return 'ok';
+  }
+
+  /**
+   * Tell the script author which context keys are only reachable through `ctx`
+   */
+  private reportRejectedContextKeys(execution: ActiveExecution): void {
+    const { rejected } = execution.context;
+    if (rejected.length === 0) {
+      return;
+    }
+
+    this.appendLog(execution, {
+      level: 'warning',
+      timestamp: new Date().toISOString(),
+      message: `Context keys not available as variables: ${rejected.map(entry => entry.key).join(', ')}`,
+      context: { rejected_context_keys: rejected },
+      source: 'system',
+    });
+  }
+
+  /**
+   * Discard a transaction the script left open, whether it threw, timed out,
+   * was stopped or simply never committed. Runs after the sandbox is gone, so
+   * it bypasses the batcher and the execution's (possibly aborted) signal.
+   */
+  private async rollbackOpenTransaction(execution: ActiveExecution): Promise<void> {
+    // Dry runs and replays never opened a transaction in Laravel
+    if (!execution.transactionOpen || execution.dryRun || execution.replay) {
+      return;
+    }
+    execution.transactionOpen = false;
+
+    let message = 'Open database transaction was rolled back because the script ended before committing it';
+    let level: LogLevel = 'warning';
+    try {
+      await this.callLaravelApi(
+        execution.request, 'database', 'rollback', {}, AbortSignal.timeout(ROLLBACK_TIMEOUT_MS)
+      );
+    } catch (error) {
+      message = `Failed to roll back open database transaction: ${error.message}`;
+      level = 'error';
+    }
+
+    this.appendLog(execution, {
+      level,
+      timestamp: new Date().toISOString(),
+      message,
+      source: 'system',
+    });
+  }
+
+  private executeInSandbox(execution: ActiveExecution): Promise<any> {
+    const { request } = execution;
+    const hostApi = this.createHostApi(execution);
+    const worker = execution.lease.worker;
+    execution.worker = worker;
+
+    return new Promise((resolve, reject) => {
+      const signal = execution.controller.signal;
+      const settle = (callback: () => void) => {
+        if (execution.settled) {
+          return;
+        }
+        execution.settled = true;
+        worker.terminate();
+        callback();
+      };
+
+      // Terminating the worker is the only reliable way to end a busy loop;
+      // the same signal also cancels any callback to Laravel still in flight
+      const onAbort = () => settle(() => reject(signal.reason));
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      worker.onmessage = (event: MessageEvent<WorkerMessage>) => {
+        const message = event.data;
+
+        switch (message.type) {
+          case 'log':
+            this.appendScriptLog(execution, message);
+            break;
+          case 'api_call':
+            this.handleApiCall(execution, hostApi, message);
+            break;
+          case 'memory':
+            this.recordMemoryUsage(execution, message.heap_used);
+            break;
+          case 'result':
+            settle(() => resolve(message.result));
+            break;
+          case 'error':
+            settle(() => reject(this.scriptError(execution, message)));
+            break;
+          case 'debug_paused':
+            this.handleDebugPaused(execution, message);
+            break;
+          case 'value':
+            this.handleValue(execution, message);
+            break;
+        }
+      };
+
+      // An uncaught error inside the sandbox must never propagate to the server
+      worker.onerror = (event: ErrorEvent) => {
+        event.preventDefault();
+        if (event.error instanceof SandboxMemoryError) {
+          // Allocation that never yielded to a memory sample; the child process died at its heap limit
+          const limitMb = (request.memory_limit / 1024 / 1024).toFixed(1);
+          settle(() => reject(new ExecutionCancelledError(
+            'memory_limit_exceeded',
+            `memory_limit_exceeded: script exceeded the ${limitMb} MB memory limit`
+          )));
+          return;
+        }
+        settle(() => reject(new Error(`Sandbox crashed: ${event.message}`)));
+      };
+
+      worker.onmessageerror = () => {
+        settle(() => reject(new Error('Sandbox returned a value that cannot be serialized')));
+      };
+
+      const message: ExecuteMessage = {
+        type: 'execute',
+        code: execution.code,
+        context: execution.context.context,
+        aliases: execution.context.aliases,
+        script: {
+          id: request.script_id,
+          client_id: request.client_id,
+          execution_id: request.execution_id,
+        },
+        bindings: HOST_BINDINGS,
+        modules: execution.modules,
+        debug: request.debug && execution.debug ? { breakpoints: request.debug.breakpoints } : null,
+        values: {
+          record: execution.recorder !== null,
+          replay: execution.replay?.values ?? null,
+        },
+      };
+      worker.postMessage(message);
+    });
+  }
+
+  private handleValue(execution: ActiveExecution, message: ValueMessage): void {
+    const value = { api: message.api, value: message.value };
+    execution.recorder?.recordValue(value);
+    execution.replay?.unrecordedValue(value);
+  }
+
+  private appendScriptLog(execution: ActiveExecution, message: LogMessage): void {
+    this.appendLog(execution, {
+      level: message.level,
+      timestamp: message.timestamp,
+      message: message.message,
+      context: message.context,
+      source: 'script',
+    });
+  }
+
+  /**
+   * Append a log entry, enforcing the per-execution count and size limits
+   */
+  private appendLog(execution: ActiveExecution, entry: Omit<LogEntry, 'sequence' | 'truncated'>): void {
+    const maxLogs = execution.request.logging?.max_logs_per_execution ?? DEFAULT_MAX_LOGS;
+    if (execution.output.length >= maxLogs) {
+      execution.droppedLogs++;
+      return;
+    }
+
+    const maxSize = execution.request.logging?.max_log_message_size ?? DEFAULT_MAX_LOG_MESSAGE_SIZE;
+    const message = truncateToBytes(entry.message, maxSize);
+    let context = entry.context;
+    let truncated = message !== entry.message;
+
+    if (context !== undefined) {
+      const serialized = JSON.stringify(context);
+      if (new TextEncoder().encode(serialized).length > maxSize) {
+        context = { preview: truncateToBytes(serialized, maxSize) };
+        truncated = true;
+      }
+    }
+
+    const logEntry: LogEntry = {
+      sequence: execution.output.length + 1,
+      ...entry,
+      message,
+      context,
+      ...(truncated ? { truncated: true } : {}),
+    };
+    execution.output.push(logEntry);
+    this.emit(execution, { event: 'log', data: logEntry });
+  }
+
+  /**
+   * Report progress to a streaming client; a listener that fails never affects the script
+   */
+  private emit(execution: ActiveExecution, event: ExecutionEvent): void {
+    try {
+      execution.onEvent?.(event);
+    } catch {
+      // The stream was closed by the client
+    }
+  }
+
+  /**
+   * Close the output with a marker entry if the log limit dropped anything
+   */
+  private finalizeOutput(execution: ActiveExecution): LogEntry[] {
+    if (execution.droppedLogs > 0) {
+      const marker: LogEntry = {
+        sequence: execution.output.length + 1,
+        level: 'warning',
+        timestamp: new Date().toISOString(),
+        message: `Log limit of ${execution.output.length} entries reached; ${execution.droppedLogs} further entries were dropped`,
+        context: { dropped: execution.droppedLogs },
+        source: 'system',
+        truncated: true,
+      };
+      execution.output.push(marker);
+      this.emit(execution, { event: 'log', data: marker });
+      execution.droppedLogs = 0;
+    }
+
+    return execution.output;
+  }
+
+  private recordMemoryUsage(execution: ActiveExecution, heapUsed: number): void {
+    execution.memoryUsed = Math.max(execution.memoryUsed, heapUsed);
+
+    const limit = execution.request.memory_limit;
+    if (limit > 0 && heapUsed > limit) {
+      const toMb = (bytes: number) => (bytes / 1024 / 1024).toFixed(1);
+      execution.controller.abort(new ExecutionCancelledError(
+        'memory_limit_exceeded',
+        `memory_limit_exceeded: script used ${toMb(heapUsed)} MB of heap, limit is ${toMb(limit)} MB`
+      ));
+    }
+  }
+
+  private async handleApiCall(execution: ActiveExecution, hostApi: HostApi, message: ApiCallMessage): Promise<void> {
+    let reply: ApiResultMessage;
+    const api = `${message.namespace}.${message.method}`;
+    const startedAt = performance.now();
+    this.emit(execution, { event: 'api_call', data: { id: message.id, api } });
+
+    try {
+      const handler = hostApi[message.namespace]?.[message.method];
+      if (!handler) {
+        throw new Error(`Unknown API method: ${api}`);
+      }
+
+      const result = await handler(message.params || {});
+      reply = { type: 'api_result', id: message.id, ok: true, result };
+    } catch (error) {
+      reply = { type: 'api_result', id: message.id, ok: false, error: error.message };
+    }
+
+    const durationMs = performance.now() - startedAt;
+    // Replays answer from the recording and never call back
+    if (!execution.replay) {
+      this.callbackDuration.observe(durationMs / 1000, { api, ok: String(reply.ok) });
+    }
+
+    this.emit(execution, {
+      event: 'api_result',
+      data: {
+        id: message.id,
+        api,
+        ok: reply.ok,
+        duration_ms: Math.round(durationMs),
+        ...(reply.ok ? {} : { error: reply.error }),
+      },
+    });
+
+    // The sandbox may have been terminated while the call was in flight
+    if (!execution.settled) {
+      execution.worker?.postMessage(reply);
+    }
+  }
+
+  /**
+   * Stop execution by execution ID; terminates the sandbox and cancels pending callbacks
    */
   stopExecution(executionId: string): boolean {
-    const controller = this.activeExecutions.get(executionId);
-    if (controller) {
-      controller.abort();
-      this.activeExecutions.delete(executionId);
-      return true;
+    const execution = this.activeExecutions.get(executionId);
+    if (!execution || execution.settled) {
+      return false;
     }
-    return false;
+
+    execution.controller.abort(new ExecutionCancelledError('stopped', 'Script execution was stopped'));
+    return true;
   }
 
   /**
-   * Validate JavaScript syntax
+   * Validate a script's syntax, and for TypeScript its types against the API declarations
    */
-  validateSyntax(code: string): { valid: boolean; error?: string } {
+  async validateSyntax(
+    code: string,
+    language: ScriptLanguage = 'javascript'
+  ): Promise<{ valid: boolean; error?: string; diagnostics?: TypeScriptDiagnostic[] }> {
     try {
-      // Try to create async function for validation
+      // Imports are checked for placement only; which libraries exist is up to Laravel
+      if (mayImport(code)) {
+        const { rewriteImports } = await import('./module_linker.ts');
+        code = rewriteImports(code, null, language);
+      }
+
+      if (language === 'typescript') {
+        const { checkTypes } = await import('./typescript_compiler.ts');
+        const diagnostics = checkTypes(code);
+        return diagnostics.length === 0
+          ? { valid: true, diagnostics }
+          : { valid: false, error: `Line ${diagnostics[0].line}: ${diagnostics[0].message}`, diagnostics };
+      }
+
+      // Compiling (without running) the function is enough to surface syntax errors
       const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
       new AsyncFunction(code);
       return { valid: true };
@@ -447,12 +1205,125 @@ class ScriptExecutor {
   getActiveExecutionIds(): string[] {
     return Array.from(this.activeExecutions.keys());
   }
+
+  /**
+   * Whether a request carrying only `script_hash` can be served
+   */
+  isScriptCached(hash: string): boolean {
+    return this.compileCache.has(hash);
+  }
+
+  getCompileCacheStats(): CompileCacheStats {
+    return this.compileCache.stats();
+  }
+
+  getPoolStats(): WorkerPoolStats {
+    return this.pool.stats();
+  }
+
+  renderMetrics(): string {
+    return this.metrics.render();
+  }
+
+  /**
+   * Scrape-time copies of state the executor, the pool and the compile cache already keep
+   */
+  private collectMetrics(): void {
+    const gauge = (name: string, help: string, labelNames: string[] = []) => this.metrics.gauge(name, help, labelNames);
+    const counter = (name: string, help: string) => this.metrics.counter(name, help);
+
+    const active = gauge('deno_executor_active_executions', 'Executions currently running');
+    const uptime = gauge('deno_executor_uptime_seconds', 'Seconds since the executor started');
+    const memory = gauge('deno_executor_memory_bytes', 'Memory of the executor process', ['type']);
+    const poolSize = gauge('deno_executor_pool_size', 'Executions allowed to run at once');
+    const poolQueue = gauge('deno_executor_pool_queue_depth', 'Executions waiting for a pool slot');
+    const poolSaturation = gauge('deno_executor_pool_saturation', 'Share of pool slots in use, from 0 to 1');
+    const poolWarm = gauge('deno_executor_pool_warm_workers', 'Sandbox workers spawned ahead of time');
+    const poolRejected = counter('deno_executor_pool_rejected_total', 'Executions rejected with 429 because the queue was full');
+    const cacheEntries = gauge('deno_executor_compile_cache_entries', 'Scripts in the compile cache');
+    const cacheHits = counter('deno_executor_compile_cache_hits_total', 'Executions served from the compile cache');
+    const cacheMisses = counter('deno_executor_compile_cache_misses_total', 'Hashed executions that had to be compiled');
+    const cacheEvictions = counter('deno_executor_compile_cache_evictions_total', 'Scripts evicted from the compile cache');
+
+    this.metrics.collect(() => {
+      const pool = this.pool.stats();
+      const cache = this.compileCache.stats();
+
+      active.set(this.activeExecutions.size);
+      uptime.set(Math.round(performance.now()) / 1000);
+      const { rss, heapTotal, heapUsed, external } = Deno.memoryUsage();
+      memory.set(rss, { type: 'rss' });
+      memory.set(heapTotal, { type: 'heap_total' });
+      memory.set(heapUsed, { type: 'heap_used' });
+      memory.set(external, { type: 'external' });
+      poolSize.set(pool.size);
+      poolQueue.set(pool.queue_depth);
+      poolSaturation.set(pool.saturation);
+      poolWarm.set(pool.warm_workers);
+      poolRejected.set(pool.rejected);
+      cacheEntries.set(cache.entries);
+      cacheHits.set(cache.hits);
+      cacheMisses.set(cache.misses);
+      cacheEvictions.set(cache.evictions);
+    });
+  }
 }
 
 // HTTP server
 const executor = new ScriptExecutor();
 
-async function handler(request: Request): Promise<Response> {
+/**
+ * Run an execution and report it as Server-Sent Events: `started`, then `log`,
+ * `api_call` and `api_result` (plus `debug_ready`, `paused` and `resumed` for
+ * debug runs) while the script runs, then a single `result` carrying the same
+ * body the non-streaming endpoint returns. A client that disconnects stops the script.
+ */
+function streamExecution(executionRequest: ExecutionRequest, lease: WorkerLease<SandboxProcess>): Response {
+  const encoder = new TextEncoder();
+  let closed = false;
+  let heartbeat: ReturnType<typeof setInterval> | undefined;
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      const write = (frame: string) => {
+        if (!closed) {
+          controller.enqueue(encoder.encode(frame));
+        }
+      };
+      const send = (event: string, data: unknown) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      heartbeat = setInterval(() => write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+      send('started', { execution_id: executionRequest.execution_id });
+
+      executor.execute(executionRequest, lease, ({ event, data }) => send(event, data))
+        .then(response => send('result', response))
+        .catch(error => send('error', { error: `Server error: ${error.message}` }))
+        .finally(() => {
+          clearInterval(heartbeat);
+          if (!closed) {
+            closed = true;
+            controller.close();
+          }
+        });
+    },
+    cancel() {
+      closed = true;
+      clearInterval(heartbeat);
+      executor.stopExecution(executionRequest.execution_id);
+    },
+  });
+
+  return new Response(stream, {
+    status: STATUS_CODE.OK,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
+
+export async function handler(request: Request): Promise<Response> {
   const url = new URL(request.url);
   
   // Health check endpoint
@@ -460,6 +1331,25 @@ async function handler(request: Request): Promise<Response> {
     return new Response('OK', { status: STATUS_CODE.OK });
   }
 
+  // Anyone who can reach the executor could otherwise run code as any client;
+  // only the health check and the Prometheus scrape are open
+  if (url.pathname !== '/metrics') {
+    try {
+      await signer.verify(request, await request.clone().arrayBuffer());
+    } catch (error) {
+      if (!(error instanceof SignatureError)) {
+        throw error;
+      }
+      return new Response(
+        JSON.stringify({ error: 'unauthorized', message: error.message }),
+        {
+          status: STATUS_CODE.Unauthorized,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+  }
+
   // Execute endpoint
   if (url.pathname === '/execute' && request.method === 'POST') {
     try {
@@ -467,7 +1357,7 @@ async function handler(request: Request): Promise<Response> {
       const executionRequest = body as ExecutionRequest;
       
       // Validate request
-      if (!executionRequest.code || !executionRequest.execution_id) {
+      if ((!executionRequest.code && !executionRequest.script_hash) || !executionRequest.execution_id) {
         return new Response(
           JSON.stringify({ error: 'Invalid request: missing code or execution_id' }),
           { 
@@ -477,8 +1367,110 @@ async function handler(request: Request): Promise<Response> {
         );
       }
 
+      if (executionRequest.language !== undefined && !SCRIPT_LANGUAGES.includes(executionRequest.language)) {
+        return new Response(
+          JSON.stringify({ error: `Invalid request: unsupported language ${executionRequest.language}` }),
+          {
+            status: STATUS_CODE.BadRequest,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+
+      // A wrong hash would serve this code to every later request carrying it
+      if (executionRequest.code && executionRequest.script_hash) {
+        const expected = await scriptHash(
+          executionRequest.code,
+          executionRequest.language ?? 'javascript',
+          executionRequest.modules ?? {},
+          executionRequest.client_id
+        );
+        if (expected !== executionRequest.script_hash) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid request: script_hash does not match the code and modules' }),
+            {
+              status: STATUS_CODE.BadRequest,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+      }
+
+      const streaming = request.headers.get('Accept')?.includes('text/event-stream') ?? false;
+
+      if (executionRequest.replay) {
+        const error = executionRequest.record || executionRequest.dry_run
+          ? 'replay cannot be combined with record or dry_run'
+          : validateRecording(executionRequest.replay.recording);
+
+        if (error) {
+          return new Response(
+            JSON.stringify({ error: `Invalid request: ${error}` }),
+            {
+              status: STATUS_CODE.BadRequest,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+      }
+
+      // A paused script is only useful to a client that is watching the stream
+      if (executionRequest.debug) {
+        const { breakpoints } = executionRequest.debug;
+        const error = !streaming || !executionRequest.dry_run
+          ? 'Debugging is only available for streaming dry runs'
+          : !executionRequest.code
+            ? 'Debug runs are never cached and must send their code'
+            : !Array.isArray(breakpoints) || !breakpoints.every(line => Number.isInteger(line) && line > 0)
+              ? 'debug.breakpoints must be an array of line numbers'
+              : null;
+
+        if (error) {
+          return new Response(
+            JSON.stringify({ error: `Invalid request: ${error}` }),
+            {
+              status: STATUS_CODE.BadRequest,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+      }
+
+      let lease: WorkerLease<SandboxProcess>;
+      try {
+        lease = await executor.admit(executionRequest, request.signal);
+      } catch (error) {
+        if (!(error instanceof PoolSaturatedError)) {
+          throw error;
+        }
+        return new Response(
+          JSON.stringify({ error: error.message }),
+          {
+            status: STATUS_CODE.TooManyRequests,
+            headers: { 'Content-Type': 'application/json', 'Retry-After': String(error.retryAfterSeconds) }
+          }
+        );
+      }
+
+      // Checked after admission, since a queued request's entry may be evicted while it waits.
+      // Without code the request can only be served from the compile cache; Laravel resends on 409
+      if (!executionRequest.code && !executor.isScriptCached(executionRequest.script_hash!)) {
+        lease.release();
+        return new Response(
+          JSON.stringify({ error: 'cache_miss', script_hash: executionRequest.script_hash }),
+          {
+            status: STATUS_CODE.Conflict,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+
+      if (streaming) {
+        return streamExecution(executionRequest, lease);
+      }
+
       // Execute script
-      const response = await executor.execute(executionRequest);
+      const response = await executor.execute(executionRequest, lease);
       
       return new Response(JSON.stringify(response), {
         status: STATUS_CODE.OK,
@@ -518,6 +1510,7 @@ async function handler(request: Request): Promise<Response> {
       return new Response(JSON.stringify({ 
         success: true, 
         stopped: stopped,
+        status: stopped ? 'stopped' : 'not_found',
         execution_id: execution_id 
       }), {
         status: STATUS_CODE.OK,
@@ -535,15 +1528,56 @@ async function handler(request: Request): Promise<Response> {
     }
   }
 
+  // Debugger commands for a paused debug run
+  if (url.pathname === '/debug' && request.method === 'POST') {
+    try {
+      const body = await request.json();
+      const { execution_id, action, breakpoints } = body;
+      
+      const validAction = ['continue', 'step', 'breakpoints'].includes(action);
+      const validBreakpoints = action !== 'breakpoints'
+        || (Array.isArray(breakpoints) && breakpoints.every((line: unknown) => Number.isInteger(line) && (line as number) > 0));
+      if (!execution_id || !validAction || !validBreakpoints) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid request: execution_id and a valid action are required' }),
+          { 
+            status: STATUS_CODE.BadRequest,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+
+      const status = executor.debugCommand(execution_id, action, breakpoints);
+      
+      return new Response(JSON.stringify({ 
+        success: status === 'ok', 
+        status: status,
+        execution_id: execution_id 
+      }), {
+        status: status === 'ok' ? STATUS_CODE.OK : STATUS_CODE.Conflict,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+    } catch (error) {
+      return new Response(
+        JSON.stringify({ error: `Server error: ${error.message}` }),
+        { 
+          status: STATUS_CODE.InternalServerError,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+  }
+
   // Validate endpoint
   if (url.pathname === '/validate' && request.method === 'POST') {
     try {
       const body = await request.json();
-      const { code } = body;
+      const { code, language = 'javascript' } = body;
       
-      if (!code) {
+      if (!code || !SCRIPT_LANGUAGES.includes(language)) {
         return new Response(
-          JSON.stringify({ error: 'Missing code' }),
+          JSON.stringify({ error: code ? `Unsupported language: ${language}` : 'Missing code' }),
           { 
             status: STATUS_CODE.BadRequest,
             headers: { 'Content-Type': 'application/json' }
@@ -552,7 +1586,7 @@ async function handler(request: Request): Promise<Response> {
       }
 
       // Basic syntax validation
-      const validation = executor.validateSyntax(code);
+      const validation = await executor.validateSyntax(code, language);
       
       return new Response(JSON.stringify(validation), {
         status: STATUS_CODE.OK,
@@ -575,19 +1609,35 @@ async function handler(request: Request): Promise<Response> {
     return new Response(JSON.stringify({
       active_executions: executor.getActiveExecutionsCount(),
       active_execution_ids: executor.getActiveExecutionIds(),
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
+      compile_cache: executor.getCompileCacheStats(),
+      pool: executor.getPoolStats(),
+      // performance.now() counts from process start
+      uptime: Math.round(performance.now()) / 1000,
+      memory: Deno.memoryUsage(),
     }), {
       status: STATUS_CODE.OK,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
+  // Prometheus scrape endpoint (docker/prometheus/prometheus.yml)
+  if (url.pathname === '/metrics' && request.method === 'GET') {
+    return new Response(executor.renderMetrics(), {
+      status: STATUS_CODE.OK,
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+    });
+  }
+
   return new Response('Not Found', { status: STATUS_CODE.NotFound });
 }
 
-// Start server
-const port = parseInt(Deno.env.get('PORT') || '8080');
-console.log(`🚀 Enhanced Deno Script Executor running on port ${port}`);
+// Start server; tests import handler() without one
+if (import.meta.main) {
+  const port = parseInt(Deno.env.get('PORT') || '8080');
+  console.log(`🚀 Enhanced Deno Script Executor running on port ${port}`);
+  if (!signer.configured) {
+    console.error('⚠️ SIGNING_KEYS is not set; every request except /health and /metrics will be refused');
+  }
 
-await serve(handler, { port });
\ No newline at end of file
+  await serve(handler, { port });
+}
\ No newline at end of file
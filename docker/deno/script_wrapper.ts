@@ -0,0 +1,34 @@
+/**
+ * The function wrapper put around a script before it is parsed.
+ *
+ * Scripts run as the body of an async function, so they are parsed as one,
+ * which makes top-level await and return valid. The wrapper's opening line is
+ * line 0 of the parsed source, so TypeScript's 0-based line for a position in
+ * the script is the script's own 1-based line. The debugger, the import linker
+ * and the TypeScript compiler all parse scripts this way and share this module
+ * so their line numbers cannot drift apart.
+ */
+
+import type ts from "npm:typescript@5.3.3";
+
+const PREFIX = 'async function __script__() {\n';
+const SUFFIX = '\n}';
+
+export function wrapScript(code: string): string {
+  return PREFIX + code + SUFFIX;
+}
+
+/**
+ * The script out of a wrapped source that was edited in place
+ */
+export function unwrapScript(source: string): string {
+  return source.slice(PREFIX.length, source.length - SUFFIX.length);
+}
+
+/**
+ * Where a position of a wrapped source file is in the script: a 1-based line
+ * and a 0-based character
+ */
+export function scriptPosition(sourceFile: ts.SourceFile, position: number): { line: number; character: number } {
+  return sourceFile.getLineAndCharacterOfPosition(position);
+}
@@ -0,0 +1,112 @@
+/**
+ * Batched callbacks: every caller gets its own result, in the order the
+ * script made its calls, and one failing call never fails its neighbours.
+ */
+
+import { assertEquals, assertRejects } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { type CallbackCall, CallbackBatcher, type CallbackResult } from "../callback_batcher.ts";
+
+interface Recorder {
+  batcher: CallbackBatcher;
+  // Calls as Laravel would receive them, one entry per request
+  requests: string[][];
+}
+
+/**
+ * A batcher whose "Laravel" answers storage.get with the key, and fails keys starting with "fail"
+ */
+function recordingBatcher(maxBatchSize = 50, delayMs = 0): Recorder {
+  const requests: string[][] = [];
+  const answer = (call: CallbackCall): CallbackResult => String(call.params.key).startsWith('fail')
+    ? { success: false, error: `no ${call.params.key}` }
+    : { success: true, result: call.params.key };
+
+  const batcher = new CallbackBatcher(
+    async call => {
+      requests.push([call.params.key]);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      const result = answer(call);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return result.result;
+    },
+    async calls => {
+      requests.push(calls.map(call => call.params.key));
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      return calls.map(answer);
+    },
+    { windowMs: 5, maxBatchSize }
+  );
+
+  return { batcher, requests };
+}
+
+const get = (key: string): CallbackCall => ({ type: 'storage', method: 'get', params: { key } });
+
+Deno.test('calls made together go out as one batch and resolve in order', async () => {
+  const { batcher, requests } = recordingBatcher();
+
+  const results = await Promise.all(['a', 'b', 'c'].map(key => batcher.enqueue(get(key))));
+
+  assertEquals(results, ['a', 'b', 'c']);
+  assertEquals(requests, [['a', 'b', 'c']]);
+});
+
+Deno.test('a failing call rejects only its own caller', async () => {
+  const { batcher } = recordingBatcher();
+
+  const outcomes = await Promise.allSettled(['a', 'fail-b', 'c'].map(key => batcher.enqueue(get(key))));
+
+  assertEquals(outcomes.map(outcome => outcome.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assertEquals((outcomes[0] as PromiseFulfilledResult<string>).value, 'a');
+  assertEquals((outcomes[1] as PromiseRejectedResult).reason.message, 'no fail-b');
+  assertEquals((outcomes[2] as PromiseFulfilledResult<string>).value, 'c');
+});
+
+Deno.test('large bursts are split at maxBatchSize and sent one batch after another', async () => {
+  const { batcher, requests } = recordingBatcher(2, 5);
+
+  const results = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(key => batcher.enqueue(get(key))));
+
+  assertEquals(results, ['a', 'b', 'c', 'd', 'e']);
+  assertEquals(requests, [['a', 'b'], ['c', 'd'], ['e']]);
+});
+
+Deno.test('calls made while a batch is in flight join the next one', async () => {
+  const { batcher, requests } = recordingBatcher(50, 20);
+
+  const first = Promise.all([batcher.enqueue(get('a')), batcher.enqueue(get('b'))]);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const second = Promise.all([batcher.enqueue(get('c')), batcher.enqueue(get('d'))]);
+
+  assertEquals([await first, await second], [['a', 'b'], ['c', 'd']]);
+  assertEquals(requests, [['a', 'b'], ['c', 'd']]);
+});
+
+Deno.test('a lone call is sent on its own', async () => {
+  const { batcher, requests } = recordingBatcher();
+
+  assertEquals(await batcher.enqueue(get('a')), 'a');
+  await assertRejects(() => batcher.enqueue(get('fail-b')), Error, 'no fail-b');
+  assertEquals(requests, [['a'], ['fail-b']]);
+});
+
+Deno.test('a failed or short batch response rejects the calls it does not answer', async () => {
+  const failing = new CallbackBatcher(
+    () => Promise.reject(new Error('unused')),
+    () => Promise.reject(new Error('connection reset')),
+    { windowMs: 1, maxBatchSize: 50 }
+  );
+  const failed = await Promise.allSettled([failing.enqueue(get('a')), failing.enqueue(get('b'))]);
+  assertEquals(failed.map(outcome => (outcome as PromiseRejectedResult).reason.message), ['connection reset', 'connection reset']);
+
+  const short = new CallbackBatcher(
+    () => Promise.reject(new Error('unused')),
+    () => Promise.resolve([{ success: true, result: 'a' }]),
+    { windowMs: 1, maxBatchSize: 50 }
+  );
+  const answered = await Promise.allSettled([short.enqueue(get('a')), short.enqueue(get('b'))]);
+  assertEquals(answered[0], { status: 'fulfilled', value: 'a' });
+  assertEquals((answered[1] as PromiseRejectedResult).reason.message, 'Batch response is missing a result for this call');
+});
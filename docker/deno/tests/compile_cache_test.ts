@@ -0,0 +1,47 @@
+/**
+ * Compile cache keys: an entry must never be served to a script whose client
+ * or library sources differ from the one that filled it.
+ */
+
+import { assertEquals, assertNotEquals } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { CompileCache, scriptHash } from "../compile_cache.ts";
+// Shared with tests/Unit/DenoScriptingServiceTest.php
+import fixture from "../../../tests/fixtures/compile-cache-hash.json" with { type: "json" };
+
+const CODE = "import { sum } from '@lib/x';\nreturn sum(1, 2);";
+
+Deno.test('the hash matches the one Laravel computes', async () => {
+  assertEquals(await scriptHash(fixture.code, fixture.language, fixture.modules, fixture.client_id), fixture.script_hash);
+});
+
+Deno.test("two clients' same-named libraries never share a cache entry", async () => {
+  const clientA = { '@lib/x': { version: '1', code: 'export const sum = (a, b) => a + b;' } };
+  const clientB = { '@lib/x': { version: '1', code: 'export const sum = () => globalThis.leaked;' } };
+
+  const hashA = await scriptHash(CODE, 'javascript', clientA, 1);
+  const hashB = await scriptHash(CODE, 'javascript', clientB, 2);
+  assertNotEquals(hashA, hashB);
+
+  const cache = new CompileCache();
+  cache.set(hashA, { code: CODE, modules: { '@lib/x': clientA['@lib/x'].code }, compiled: null });
+  assertEquals(cache.has(hashB), false);
+});
+
+Deno.test('the client and each library source are part of the key', async () => {
+  const modules = { '@lib/x': { version: '1', code: 'export const sum = (a, b) => a + b;' } };
+  const hash = await scriptHash(CODE, 'javascript', modules, 1);
+
+  // Identical libraries under another client
+  assertNotEquals(await scriptHash(CODE, 'javascript', modules, 2), hash);
+  // Same version number, different source
+  assertNotEquals(
+    await scriptHash(CODE, 'javascript', { '@lib/x': { version: '1', code: 'export const sum = (a, b) => a - b;' } }, 1),
+    hash
+  );
+  // Library order does not matter
+  const two = { '@lib/a': { version: '1', code: 'a' }, '@lib/b': { version: '2', code: 'b' } };
+  assertEquals(
+    await scriptHash(CODE, 'javascript', two, 1),
+    await scriptHash(CODE, 'javascript', { '@lib/b': two['@lib/b'], '@lib/a': two['@lib/a'] }, 1)
+  );
+});
@@ -0,0 +1,95 @@
+/**
+ * Dry runs: side effects are captured and never reach Laravel, fixtures
+ * answer the calls they match in order, and other reads pass through.
+ */
+
+import { assertEquals } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { DryRunRecorder, type SideEffect } from "../dry_run.ts";
+
+interface Harness {
+  recorder: DryRunRecorder;
+  // Calls that were passed through to Laravel, as "type.method"
+  forwarded: string[];
+  // Side effects in the order the stream listener saw them
+  streamed: SideEffect[];
+  call: (api: string, params?: Record<string, any>) => Promise<any>;
+}
+
+function dryRun(fixtures: unknown): Harness {
+  const forwarded: string[] = [];
+  const streamed: SideEffect[] = [];
+  const recorder = new DryRunRecorder(fixtures, effect => streamed.push(effect));
+
+  const call = (api: string, params: Record<string, any> = {}) => {
+    const [type, method] = api.split('.');
+    return recorder.call(type, method, params, (type, method) => {
+      forwarded.push(`${type}.${method}`);
+      return Promise.resolve(`live ${type}.${method}`);
+    });
+  };
+
+  return { recorder, forwarded, streamed, call };
+}
+
+Deno.test('side effects are recorded in order and never forwarded', async () => {
+  const { recorder, forwarded, streamed, call } = dryRun([]);
+
+  assertEquals(await call('database.insert', { table: 'orders', data: { total: 10 } }), null);
+  assertEquals(await call('http.post', { url: 'https://example.com/hook', data: {} }), null);
+  assertEquals(await call('storage.set', { key: 'seen', value: true }), null);
+
+  const report = recorder.report();
+  assertEquals(forwarded, []);
+  assertEquals(report.side_effects.map(effect => [effect.sequence, effect.api, effect.from_fixture]), [
+    [1, 'database.insert', false],
+    [2, 'http.post', false],
+    [3, 'storage.set', false],
+  ]);
+  assertEquals(report.side_effects[0].params, { table: 'orders', data: { total: 10 } });
+  assertEquals(streamed, report.side_effects);
+});
+
+Deno.test('the first matching fixture answers, with nested params matched partially', async () => {
+  const { recorder, forwarded, call } = dryRun([
+    { api: 'database.select', match: { table: 'orders', conditions: { status: 'open' } }, result: [{ id: 1 }] },
+    { api: 'database.select', match: { table: 'orders' }, result: [] },
+    { api: 'http.post', match: { url: 'https://example.com/hook' }, result: { status: 202 } },
+  ]);
+
+  assertEquals(await call('database.select', { table: 'orders', columns: ['id'], conditions: { status: 'open', region: 'eu' } }), [{ id: 1 }]);
+  assertEquals(await call('database.select', { table: 'orders', columns: ['id'], conditions: { status: 'closed' } }), []);
+  // No fixture matches, so the read goes to Laravel
+  assertEquals(await call('database.select', { table: 'customers', columns: ['id'] }), 'live database.select');
+  assertEquals(await call('http.post', { url: 'https://example.com/hook', data: {} }), { status: 202 });
+  assertEquals(await call('http.post', { url: 'https://example.com/other', data: {} }), null);
+
+  const report = recorder.report();
+  assertEquals(forwarded, ['database.select']);
+  assertEquals(report.fixture_reads.map(read => read.params.conditions.status), ['open', 'closed']);
+  assertEquals(report.side_effects.map(effect => [effect.result, effect.from_fixture]), [[{ status: 202 }, true], [null, false]]);
+});
+
+Deno.test('arrays and scalars in a match must be equal, not contained', async () => {
+  const { call } = dryRun([
+    { api: 'database.select', match: { columns: ['id'] }, result: 'ids only' },
+    { api: 'storage.get', match: { key: 'count' }, result: 3 },
+  ]);
+
+  assertEquals(await call('database.select', { table: 'orders', columns: ['id'] }), 'ids only');
+  assertEquals(await call('database.select', { table: 'orders', columns: ['id', 'total'] }), 'live database.select');
+  assertEquals(await call('storage.get', { key: 'count' }), 3);
+  assertEquals(await call('storage.get', { key: 'counter' }), 'live storage.get');
+});
+
+Deno.test('fixtures without a result or for unknown methods are reported, not used', async () => {
+  const { recorder, call } = dryRun([
+    { api: 'storage.get' },
+    { api: 'database.truncate', result: true },
+    { api: 'database.truncate', result: false },
+    'not a fixture',
+  ]);
+
+  assertEquals(await call('storage.get', { key: 'count' }), 'live storage.get');
+  assertEquals(recorder.report().unknown_fixtures, ['database.truncate']);
+  assertEquals(dryRun(null).recorder.report().unknown_fixtures, []);
+});
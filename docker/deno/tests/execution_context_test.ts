@@ -0,0 +1,79 @@
+/**
+ * Execution context: `$date` markers come back as Dates, and top-level keys
+ * that can not be `const` aliases are reported instead of dropped.
+ */
+
+import { assertEquals, assertInstanceOf } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { deepFreeze, prepareContext, renderContextAliases } from "../execution_context.ts";
+
+Deno.test('$date markers are revived at any depth', () => {
+  const { context } = prepareContext({
+    placed_at: { $date: '2024-05-01T12:00:00+00:00' },
+    items: [{ shipped_at: { $date: '2024-05-02T08:30:00Z' } }],
+  });
+
+  assertInstanceOf(context.placed_at, Date);
+  assertEquals(context.placed_at.toISOString(), '2024-05-01T12:00:00.000Z');
+  assertEquals(context.items[0].shipped_at, new Date('2024-05-02T08:30:00Z'));
+});
+
+Deno.test('only exact, valid $date markers become Dates', () => {
+  const { context } = prepareContext({
+    // Anything besides $date makes it an ordinary object
+    extra: { $date: '2024-05-01T12:00:00Z', tz: 'UTC' },
+    // An unparseable date is passed on as its string
+    invalid: { $date: 'next tuesday' },
+    numeric: { $date: 1714564800000 },
+  });
+
+  assertEquals(context.extra, { $date: '2024-05-01T12:00:00Z', tz: 'UTC' });
+  assertEquals(context.invalid, 'next tuesday');
+  assertEquals(context.numeric, { $date: 1714564800000 });
+});
+
+Deno.test('keys that can not be aliased are rejected with a reason', () => {
+  const { aliases, rejected } = prepareContext({
+    order: 1,
+    $total: 2,
+    'order-id': 3,
+    '2fa': 4,
+    class: 5,
+    await: 6,
+    api: 7,
+    Deno: 8,
+    globalThis: 9,
+  });
+
+  assertEquals(aliases, ['order', '$total']);
+  assertEquals(rejected, [
+    { key: 'order-id', reason: 'not a valid JavaScript identifier; read it as ctx["order-id"]' },
+    { key: '2fa', reason: 'not a valid JavaScript identifier; read it as ctx["2fa"]' },
+    { key: 'class', reason: 'reserved JavaScript keyword; read it as ctx.class' },
+    { key: 'await', reason: 'reserved JavaScript keyword; read it as ctx.await' },
+    { key: 'api', reason: 'name is reserved by the sandbox; read it as ctx.api' },
+    { key: 'Deno', reason: 'name is reserved by the sandbox; read it as ctx.Deno' },
+    { key: 'globalThis', reason: 'name is reserved by the sandbox; read it as ctx.globalThis' },
+  ]);
+});
+
+Deno.test('a context that is not an object is replaced and reported', () => {
+  assertEquals(prepareContext([1, 2]), { context: {}, aliases: [], rejected: [{ key: '*', reason: 'context must be a JSON object' }] });
+  assertEquals(prepareContext('order'), { context: {}, aliases: [], rejected: [{ key: '*', reason: 'context must be a JSON object' }] });
+  assertEquals(prepareContext(undefined), { context: {}, aliases: [], rejected: [] });
+  assertEquals(prepareContext(null), { context: {}, aliases: [], rejected: [] });
+});
+
+Deno.test('without aliases every key stays on ctx and nothing is rejected', () => {
+  assertEquals(prepareContext({ 'order-id': 3, class: 5 }, false), {
+    context: { 'order-id': 3, class: 5 },
+    aliases: [],
+    rejected: [],
+  });
+});
+
+Deno.test('aliases bind to their ctx entries and the context is frozen', () => {
+  assertEquals(renderContextAliases(['order', '$total']), 'const order = ctx["order"];\nconst $total = ctx["$total"];');
+
+  const context = deepFreeze(prepareContext({ order: { lines: [{ sku: 'A' }] } }).context);
+  assertEquals(Object.isFrozen(context.order.lines[0]), true);
+});
@@ -0,0 +1,143 @@
+/**
+ * Record and replay: a run replayed against its own recording matches it
+ * exactly, and every way a changed script behaves differently is reported.
+ */
+
+import { assertEquals, assertRejects } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import {
+  type ExecutionRecording,
+  ExecutionRecorder,
+  RECORDING_VERSION,
+  ReplaySession,
+  validateRecording,
+} from "../execution_recording.ts";
+import type { LogEntry } from "../sandbox_protocol.ts";
+
+function log(sequence: number, message: string, source: LogEntry['source'] = 'script'): LogEntry {
+  return { sequence, level: 'info', timestamp: new Date(0).toISOString(), message, source };
+}
+
+/**
+ * Record a run that reads an order, fails to read a missing one and writes a total
+ */
+async function recordRun(): Promise<ExecutionRecording> {
+  const recorder = new ExecutionRecorder({ order_id: 7 });
+  const laravel = (_type: string, method: string, params: Record<string, any>) => method === 'get' && params.key === 'missing'
+    ? Promise.reject(new Error('Storage key "missing" is not readable'))
+    : Promise.resolve(method === 'select' ? [{ id: 7, total: 10 }] : true);
+
+  await recorder.call('database', 'select', { table: 'orders', columns: ['total'], conditions: { id: 7 } }, laravel);
+  await assertRejects(() => recorder.call('storage', 'get', { key: 'missing' }, laravel), Error, 'not readable');
+  await recorder.call('storage', 'set', { key: 'total', value: 10 }, laravel);
+  recorder.recordValue({ api: 'utils.uuid', value: '5b0c8f2e-1d3a-4e8b-9a6f-2c7d4e1b9f30' });
+
+  return recorder.finish(
+    [log(1, 'Loaded order'), log(2, 'database.select', 'api'), log(3, 'Saved total')],
+    { success: true, status: 'completed', result: { total: 10 } }
+  );
+}
+
+/**
+ * Make the recorded run's calls again, in the same order
+ */
+async function replayRecordedCalls(session: ReplaySession): Promise<void> {
+  await session.call('database', 'select', { table: 'orders', columns: ['total'], conditions: { id: 7 } });
+  await assertRejects(() => session.call('storage', 'get', { key: 'missing' }), Error, 'Storage key "missing" is not readable');
+  await session.call('storage', 'set', { key: 'total', value: 10 });
+}
+
+Deno.test('a recording keeps every call with its answer or failure', async () => {
+  const recording = await recordRun();
+
+  assertEquals(recording.version, RECORDING_VERSION);
+  assertEquals(recording.context, { order_id: 7 });
+  assertEquals(recording.calls.map(call => [call.sequence, call.api, call.ok]), [
+    [1, 'database.select', true],
+    [2, 'storage.get', false],
+    [3, 'storage.set', true],
+  ]);
+  assertEquals(recording.calls[0].result, [{ id: 7, total: 10 }]);
+  assertEquals(recording.calls[1].error, 'Storage key "missing" is not readable');
+  assertEquals(recording.values, [{ api: 'utils.uuid', value: '5b0c8f2e-1d3a-4e8b-9a6f-2c7d4e1b9f30' }]);
+  assertEquals(validateRecording(recording), null);
+});
+
+Deno.test('replaying the same run reports no divergence', async () => {
+  const recording = await recordRun();
+  const session = new ReplaySession(recording);
+
+  await replayRecordedCalls(session);
+  // API traces are not compared, only the script's own logs
+  const report = session.report([log(1, 'Loaded order'), log(2, 'Saved total')], recording.outcome);
+
+  assertEquals(report, { divergences: [], dropped_divergences: 0, replayed_calls: 3, recorded_calls: 3 });
+});
+
+Deno.test('empty objects and arrays compare equal after a round trip through PHP', async () => {
+  const recording = await recordRun();
+  recording.calls[2].params = { key: 'total', value: 10, options: [] };
+  const session = new ReplaySession(recording);
+
+  await session.call('database', 'select', { conditions: { id: 7 }, columns: ['total'], table: 'orders' });
+  await assertRejects(() => session.call('storage', 'get', { key: 'missing' }));
+  await session.call('storage', 'set', { key: 'total', value: 10, options: {} });
+
+  assertEquals(session.report(recording.output, recording.outcome).divergences, []);
+});
+
+Deno.test('calls out of order are answered but reported', async () => {
+  const session = new ReplaySession(await recordRun());
+
+  assertEquals(await session.call('storage', 'set', { key: 'total', value: 10 }), true);
+  const [divergence] = session.report([], { success: true, status: 'completed', result: null }).divergences;
+
+  assertEquals(divergence.kind, 'call');
+  assertEquals(divergence.sequence, 1);
+  assertEquals(divergence.message, 'Expected database.select but the script called storage.set');
+});
+
+Deno.test('a call that was never recorded fails and is reported', async () => {
+  const session = new ReplaySession(await recordRun());
+
+  await session.call('database', 'select', { table: 'orders', columns: ['total'], conditions: { id: 7 } });
+  await assertRejects(
+    () => session.call('storage', 'set', { key: 'total', value: 11 }),
+    Error,
+    'Replay has no recorded response for storage.set'
+  );
+
+  const [divergence] = session.report([], { success: true, status: 'completed' }).divergences;
+  assertEquals(divergence.kind, 'unrecorded_call');
+  assertEquals(divergence.sequence, 2);
+  assertEquals(divergence.expected, { api: 'storage.get', params: { key: 'missing' } });
+  assertEquals(divergence.actual, { api: 'storage.set', params: { key: 'total', value: 11 } });
+});
+
+Deno.test('missing calls, changed logs, extra values and a different outcome are each reported', async () => {
+  const recording = await recordRun();
+  const session = new ReplaySession(recording);
+
+  await session.call('database', 'select', { table: 'orders', columns: ['total'], conditions: { id: 7 } });
+  session.unrecordedValue({ api: 'utils.now', value: '2024-05-01T12:00:00.000Z' });
+  const report = session.report(
+    [log(1, 'Loaded order'), log(2, 'Saved nothing')],
+    { success: false, status: 'error', error: 'total is undefined' }
+  );
+
+  assertEquals(report.divergences.map(divergence => divergence.kind), ['value', 'missing_calls', 'log', 'outcome']);
+  const [value, missing, changedLog, outcome] = report.divergences;
+  assertEquals(value.message, 'utils.now was called more often than in the recorded run');
+  assertEquals(missing.message, '2 recorded call(s) were never made, starting with storage.get');
+  assertEquals([changedLog.sequence, changedLog.expected.message, changedLog.actual.message], [2, 'Saved total', 'Saved nothing']);
+  assertEquals(outcome.message, 'The script failed where the recorded run succeeded');
+  assertEquals([report.replayed_calls, report.recorded_calls], [1, 3]);
+});
+
+Deno.test('recordings this executor can not replay are rejected up front', async () => {
+  const recording = await recordRun();
+
+  assertEquals(validateRecording(null), 'replay.recording must be an object');
+  assertEquals(validateRecording({ ...recording, version: 2 }), 'replay.recording has unsupported version 2');
+  assertEquals(validateRecording({ ...recording, calls: undefined }), 'replay.recording is incomplete');
+  assertEquals(validateRecording({ ...recording, outcome: null }), 'replay.recording is incomplete');
+});
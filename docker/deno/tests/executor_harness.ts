@@ -0,0 +1,41 @@
+/**
+ * Drives the executor through its HTTP handler, the way Laravel does: one
+ * execution slot, no queue, and every request signed.
+ */
+
+import { RequestSigner } from "../request_signing.ts";
+
+type Handler = (request: Request) => Promise<Response>;
+
+const signer = new RequestSigner(new Map([['test', 'executor-test-secret']]));
+
+// Sandboxes are child processes the executor kills without waiting for them
+export const integration = { sanitizeOps: false, sanitizeResources: false };
+
+export async function loadExecutor(): Promise<Handler> {
+  Deno.env.set('SIGNING_KEYS', 'test:executor-test-secret');
+  Deno.env.set('MAX_CONCURRENT_EXECUTIONS', '1');
+  Deno.env.set('EXECUTION_QUEUE_SIZE', '0');
+  Deno.env.set('WARM_WORKERS', '0');
+  const { handler } = await import("../script_executor_enhanced.ts");
+  return handler;
+}
+
+export async function post(handler: Handler, path: string, payload: unknown): Promise<Response> {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', ...await signer.sign('POST', path, body) };
+  return handler(new Request(`http://deno-executor:8080${path}`, { method: 'POST', headers, body }));
+}
+
+export function execution(code: string, timeout: number, extra: Record<string, unknown> = {}) {
+  return {
+    code,
+    context: {},
+    timeout,
+    memory_limit: 32 * 1024 * 1024,
+    client_id: 'executor-test',
+    script_id: 'executor-test',
+    execution_id: crypto.randomUUID(),
+    ...extra,
+  };
+}
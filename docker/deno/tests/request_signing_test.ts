@@ -0,0 +1,97 @@
+/**
+ * Request signatures between the executor and Laravel: what is refused, how
+ * keys rotate, and that both sides sign the same canonical string.
+ */
+
+import { assertEquals, assertRejects } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { parseKeys, RequestSigner, SignatureError } from "../request_signing.ts";
+// Shared with tests/Unit/SidecarRequestSignerTest.php
+import fixture from "../../../tests/fixtures/sidecar-signature.json" with { type: "json" };
+
+const URL_BASE = 'http://deno-executor:8080';
+const BODY = JSON.stringify({ execution_id: '42', code: 'return 1;' });
+
+function signedRequest(headers: Record<string, string>, path = '/execute', body = BODY): [Request, ArrayBuffer] {
+  const bytes = new TextEncoder().encode(body);
+  return [new Request(`${URL_BASE}${path}`, { method: 'POST', headers, body: bytes }), bytes.buffer];
+}
+
+async function sign(signer: RequestSigner, path = '/execute', body = BODY): Promise<[Request, ArrayBuffer]> {
+  return signedRequest({ ...await signer.sign('POST', path, body) }, path, body);
+}
+
+Deno.test('the signature matches the one Laravel computes', async () => {
+  // The fixture's timestamp is long past; only the signature is under test here
+  const signer = new RequestSigner(new Map([[fixture.key_id, fixture.secret]]), null, Number.MAX_SAFE_INTEGER);
+  const [request, body] = signedRequest({
+    'X-Key-Id': fixture.key_id,
+    'X-Timestamp': fixture.timestamp,
+    'X-Nonce': fixture.nonce,
+    'X-Signature': fixture.signature,
+  }, fixture.path, fixture.body);
+
+  await signer.verify(request, body);
+});
+
+Deno.test('a signed request is accepted once', async () => {
+  const signer = new RequestSigner(parseKeys('k1:first-secret'));
+  const [request, body] = await sign(signer);
+
+  await signer.verify(request.clone(), body);
+  await assertRejects(() => signer.verify(request, body), SignatureError, 'Nonce has already been used');
+});
+
+Deno.test('unsigned, stale, tampered and unknown-key requests are refused', async (t) => {
+  const signer = new RequestSigner(parseKeys('k1:first-secret'), null, 300);
+  const signed = await signer.sign('POST', '/execute', BODY);
+
+  await t.step('unsigned', async () => {
+    const [request, body] = signedRequest({});
+    await assertRejects(() => signer.verify(request, body), SignatureError, 'Request is not signed');
+  });
+
+  await t.step('stale timestamp', async () => {
+    const stale = String(Math.floor(Date.now() / 1000) - 301);
+    const [request, body] = signedRequest({ ...signed, 'X-Timestamp': stale });
+    await assertRejects(() => signer.verify(request, body), SignatureError, 'outside the allowed window');
+  });
+
+  await t.step('tampered body', async () => {
+    const [request, body] = signedRequest({ ...signed }, '/execute', BODY.replace('return 1', 'return 2'));
+    await assertRejects(() => signer.verify(request, body), SignatureError, 'Invalid signature');
+  });
+
+  await t.step('unknown key id', async () => {
+    const [request, body] = signedRequest({ ...signed, 'X-Key-Id': 'k9' });
+    await assertRejects(() => signer.verify(request, body), SignatureError, 'Unknown signing key: k9');
+  });
+
+  await t.step('signed with a different secret', async () => {
+    const impostor = new RequestSigner(parseKeys('k1:guessed-secret'));
+    const [request, body] = await sign(impostor);
+    await assertRejects(() => signer.verify(request, body), SignatureError, 'Invalid signature');
+  });
+});
+
+Deno.test('keys rotate without refusing requests signed with either key', async () => {
+  // Laravel has added k2 and switched to it; the executor accepts both until k1 is dropped
+  const laravelBefore = new RequestSigner(parseKeys('k1:first-secret'));
+  const laravelAfter = new RequestSigner(parseKeys('k1:first-secret,k2:second-secret'), 'k2');
+  const executor = new RequestSigner(parseKeys('k1:first-secret,k2:second-secret'), 'k1');
+
+  const [oldRequest, oldBody] = await sign(laravelBefore);
+  const [newRequest, newBody] = await sign(laravelAfter);
+  assertEquals(newRequest.headers.get('X-Key-Id'), 'k2');
+
+  await executor.verify(oldRequest, oldBody);
+  await executor.verify(newRequest, newBody);
+
+  // Once k1 is removed, requests still signed with it are refused
+  const rotated = new RequestSigner(parseKeys('k2:second-secret'));
+  const [lateRequest, lateBody] = await sign(laravelBefore);
+  await assertRejects(() => rotated.verify(lateRequest, lateBody), SignatureError, 'Unknown signing key: k1');
+});
+
+Deno.test('key lists skip malformed pairs', () => {
+  assertEquals([...parseKeys(' k1:a:b , broken, :x, k2: ,k3:c ')], [['k1', 'a:b'], ['k3', 'c']]);
+});
@@ -0,0 +1,225 @@
+/**
+ * Known sandbox escape payloads that must stay blocked.
+ *
+ * Every payload runs in a real sandbox worker, spawned the way the executor
+ * spawns it, so these tests cover the global lockdown in sandbox_worker.ts
+ * rather than a copy of it. Run with:
+ *
+ *   deno test --unstable-worker-options --allow-read --allow-run --allow-env docker/deno/tests/
+ */
+
+import { assertEquals, assertThrows } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { API_BINDINGS } from "../api_types.ts";
+import { ModuleLinkError, rewriteImports } from "../module_linker.ts";
+import type { ExecuteMessage, WorkerMessage } from "../sandbox_protocol.ts";
+
+const SANDBOX_WORKER_URL = new URL('../sandbox_worker.ts', import.meta.url).href;
+const TIMEOUT_MS = 5000;
+
+interface Outcome {
+  ok: boolean;
+  result?: any;
+  name?: string;
+  error?: string;
+}
+
+/**
+ * Run `code` as a script in a fresh sandbox worker; API calls fail
+ */
+function runScript(code: string, context: Record<string, any> = {}): Promise<Outcome> {
+  const worker = new Worker(SANDBOX_WORKER_URL, {
+    type: 'module',
+    //@ts-ignore Deno-specific worker options (requires --unstable-worker-options)
+    deno: { permissions: 'none' },
+  });
+
+  return new Promise<Outcome>((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Script did not finish within ${TIMEOUT_MS}ms`)), TIMEOUT_MS);
+    const finish = (outcome: Outcome) => {
+      clearTimeout(timer);
+      resolve(outcome);
+    };
+
+    worker.onerror = (event: ErrorEvent) => {
+      event.preventDefault();
+      clearTimeout(timer);
+      reject(new Error(`Sandbox crashed: ${event.message}`));
+    };
+    worker.onmessage = (event: MessageEvent<WorkerMessage>) => {
+      const message = event.data;
+      if (message.type === 'api_call') {
+        worker.postMessage({ type: 'api_result', id: message.id, ok: false, error: 'Not available in tests' });
+      } else if (message.type === 'result') {
+        finish({ ok: true, result: message.result });
+      } else if (message.type === 'error') {
+        finish({ ok: false, name: message.name, error: message.error });
+      }
+    };
+
+    const execute: ExecuteMessage = {
+      type: 'execute',
+      code,
+      context,
+      aliases: [],
+      script: { id: 'escape-test', client_id: 'escape-test', execution_id: crypto.randomUUID() },
+      bindings: API_BINDINGS.filter(binding => binding.transport === 'host'),
+      modules: {},
+      debug: null,
+      values: { record: false, replay: null },
+    };
+    worker.postMessage(execute);
+  }).finally(() => worker.terminate());
+}
+
+async function assertBlocked(code: string, name: string, context: Record<string, any> = {}): Promise<void> {
+  const outcome = await runScript(code, context);
+  if (outcome.ok) {
+    throw new Error(`Escape payload succeeded: ${code}\n  returned ${JSON.stringify(outcome.result)}`);
+  }
+  assertEquals(outcome.name, name, `${code}\n  failed with ${outcome.name}: ${outcome.error}`);
+}
+
+Deno.test('ordinary scripts still run under the lockdown', async () => {
+  const outcome = await runScript(`
+    class ValidationError extends Error {
+      constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+      }
+    }
+    const money = { amount: 5 };
+    money.toString = () => '$' + money.amount;
+    await new Promise(resolve => setTimeout(resolve, 1));
+
+    return {
+      error: new ValidationError('bad').name,
+      money: String(money),
+      doubled: [1, 2].map(n => n * 2),
+      host: new URL('https://example.com/path').host,
+      uuid: crypto.randomUUID().length,
+      isFunction: (() => 1) instanceof Function,
+      frozenContext: Object.isFrozen(ctx.order),
+    };
+  `, { order: { id: 1 } });
+
+  assertEquals(outcome, {
+    ok: true,
+    result: {
+      error: 'ValidationError',
+      money: '$5',
+      doubled: [2, 4],
+      host: 'example.com',
+      uuid: 36,
+      isFunction: true,
+      frozenContext: true,
+    },
+  });
+});
+
+Deno.test('constructor climbing can not compile code', async (t) => {
+  const payloads = [
+    `return Function('return globalThis')()`,
+    `return new Function('return 1')()`,
+    `return (() => {}).constructor('return 1')()`,
+    `return (async () => {}).constructor('return 1')()`,
+    `return (function* () {}).constructor('return 1')().next()`,
+    `return (async function* () {}).constructor('return 1')`,
+    `return Object.getPrototypeOf(async function () {}).constructor('return 1')`,
+    `return api.log.info.constructor.constructor('return this')()`,
+    `return ctx.constructor.constructor('return this')()`,
+    `return console.log.constructor('return this')()`,
+    `return Reflect.construct(Function, ['return 1'])()`,
+    `return [].map.call.constructor('return 1')()`,
+  ];
+
+  for (const payload of payloads) {
+    await t.step(payload, () => assertBlocked(payload, 'EvalError'));
+  }
+});
+
+Deno.test('strings are never evaluated as code', async (t) => {
+  // eval is deleted from the global scope, so a bare call does not resolve at all
+  const payloads: [string, string][] = [
+    [`return eval('1 + 1')`, 'ReferenceError'],
+    [`return globalThis.eval('1 + 1')`, 'TypeError'],
+    [`setTimeout('globalThis.escaped = true', 0)`, 'TypeError'],
+    [`setInterval('globalThis.escaped = true', 10)`, 'TypeError'],
+  ];
+
+  for (const [payload, name] of payloads) {
+    await t.step(payload, () => assertBlocked(payload, name));
+  }
+});
+
+Deno.test('runtime and I/O globals are unreachable', async () => {
+  const names = [
+    'Deno', 'fetch', 'XMLHttpRequest', 'WebSocket', 'Worker', 'importScripts', 'close', 'self', 'location',
+    'navigator', 'postMessage', 'addEventListener', 'dispatchEvent', 'onmessage', 'console', 'caches',
+    'WebAssembly', 'FinalizationRegistry', 'WeakRef',
+  ];
+  const outcome = await runScript(`return ${JSON.stringify(names)}.filter(name => globalThis[name] !== undefined)`);
+
+  assertEquals(outcome, { ok: true, result: [] });
+});
+
+Deno.test('timing sources for side channels are unavailable', async () => {
+  // performance.now() and a counter in shared memory are the usual high-resolution timers
+  const outcome = await runScript(`return [typeof performance, typeof SharedArrayBuffer, typeof Atomics]`);
+
+  assertEquals(outcome, { ok: true, result: ['undefined', 'undefined', 'undefined'] });
+});
+
+Deno.test('built-in prototypes can not be polluted', async (t) => {
+  const payloads = [
+    `Object.prototype.isAdmin = true`,
+    `({}).__proto__.isAdmin = true`,
+    `ctx.__proto__.isAdmin = true`,
+    `Object.defineProperty(Object.prototype, 'isAdmin', { value: true })`,
+    `Object.setPrototypeOf(Array.prototype, { isAdmin: true })`,
+    `Array.prototype.map = () => []`,
+    `Function.prototype.call = () => {}`,
+    `Promise.prototype.then = () => {}`,
+    `JSON.stringify = () => '{}'`,
+    `Object.prototype.toString = () => ''`,
+    `Error.prototype.name = 'Hijacked'`,
+    `Object.getPrototypeOf([][Symbol.iterator]()).next = () => ({ done: true })`,
+    `Object.getPrototypeOf(async function () {}).constructor = Object`,
+    `crypto.randomUUID = () => 'fixed'`,
+    `URL.prototype.toString = () => ''`,
+    `api.log.info = () => {}`,
+    `ctx.order.id = 2`,
+  ];
+
+  for (const payload of payloads) {
+    await t.step(payload, () => assertBlocked(`${payload}; return 'polluted'`, 'TypeError', { order: { id: 1 } }));
+  }
+});
+
+Deno.test('globals can not be replaced', async () => {
+  const outcome = await runScript(`
+    for (const name of ['JSON', 'Object', 'Promise', 'crypto', 'Function']) {
+      try {
+        globalThis[name] = null;
+      } catch {
+        // Expected
+      }
+    }
+    return [typeof JSON, typeof Object, typeof Promise, typeof crypto, typeof Function];
+  `);
+
+  assertEquals(outcome, { ok: true, result: ['object', 'function', 'function', 'object', 'function'] });
+});
+
+Deno.test('dynamic import() is rejected before the script reaches the sandbox', async (t) => {
+  const payloads = [
+    `const mod = await import('data:text/javascript,export default globalThis');`,
+    `return import('https://example.com/escape.js');`,
+    `const load = () => import('npm:left-pad');\nreturn load();`,
+  ];
+
+  for (const payload of payloads) {
+    await t.step(payload, () => {
+      assertThrows(() => rewriteImports(payload), ModuleLinkError, 'dynamic import() is not available');
+    });
+  }
+});
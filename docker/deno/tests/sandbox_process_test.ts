@@ -0,0 +1,105 @@
+/**
+ * The hard heap limit: a script that allocates without ever yielding must
+ * end its own sandbox process, never the executor. Also the relay itself:
+ * API results still reach a script once its sandbox is locked down.
+ */
+
+import { assertEquals, assertInstanceOf } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { API_BINDINGS } from "../api_types.ts";
+import { decodeFrame, encodeFrame, SandboxMemoryError, SandboxProcess } from "../sandbox_process.ts";
+import type { ApiCallMessage, ExecuteMessage, WorkerMessage } from "../sandbox_protocol.ts";
+
+const TIMEOUT_MS = 20000;
+
+/**
+ * Run `code` in a fresh sandbox process; resolves with the result, rejects with the crash
+ */
+function runInProcess(
+  code: string,
+  heapLimitMb: number,
+  context: Record<string, any> = {},
+  answer: (call: ApiCallMessage) => any = () => null
+): Promise<any> {
+  const sandbox = new SandboxProcess({ denoPath: Deno.execPath(), heapLimitMb });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Script did not finish within ${TIMEOUT_MS}ms`)), TIMEOUT_MS);
+
+    sandbox.onerror = (event: ErrorEvent) => {
+      clearTimeout(timer);
+      reject(event.error);
+    };
+    sandbox.onmessage = (event: MessageEvent<WorkerMessage>) => {
+      const message = event.data;
+      if (message.type === 'result') {
+        clearTimeout(timer);
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        clearTimeout(timer);
+        reject(new Error(`${message.name}: ${message.error}`));
+      } else if (message.type === 'api_call') {
+        sandbox.postMessage({ type: 'api_result', id: message.id, ok: true, result: answer(message) });
+      }
+    };
+
+    const execute: ExecuteMessage = {
+      type: 'execute',
+      code,
+      context,
+      aliases: [],
+      script: { id: 'memory-test', client_id: 'memory-test', execution_id: crypto.randomUUID() },
+      bindings: API_BINDINGS.filter(binding => binding.transport === 'host'),
+      modules: {},
+      debug: null,
+      values: { record: false, replay: null },
+    };
+    sandbox.postMessage(execute);
+  }).finally(() => {
+    sandbox.terminate();
+    return sandbox.closed;
+  });
+}
+
+Deno.test('a non-yielding allocation loop ends its sandbox process with a memory error', async () => {
+  let error: unknown = null;
+  try {
+    await runInProcess('const chunks = []; for (;;) chunks.push(new Array(1e5).fill(1));', 64);
+  } catch (caught) {
+    error = caught;
+  }
+
+  assertInstanceOf(error, SandboxMemoryError);
+  assertEquals((error as SandboxMemoryError).heapLimitMb, 64);
+
+  // This process is still running, and so is the next sandbox
+  assertEquals(await runInProcess('return 1 + 1;', 64), 2);
+});
+
+Deno.test('scripts within the limit run and see revived context dates', async () => {
+  const placed = new Date('2024-05-01T12:00:00Z');
+  const result = await runInProcess(
+    'return { isDate: ctx.placed instanceof Date, year: ctx.placed.getUTCFullYear(), at: new Date(0) };',
+    64,
+    { placed }
+  );
+
+  assertEquals(result, { isDate: true, year: 2024, at: new Date(0) });
+});
+
+Deno.test('API results reach the script after the sandbox is locked down', async () => {
+  const result = await runInProcess(
+    "const first = await api.storage.get('a'); return [first, await api.storage.get('b')];",
+    64,
+    {},
+    call => `${call.namespace}.${call.method}:${call.params.key}`
+  );
+
+  assertEquals(result, ['storage.get:a', 'storage.get:b']);
+});
+
+Deno.test('frames keep dates and nothing else changes', () => {
+  const message = { type: 'result', result: { at: new Date('2024-05-01T12:00:00Z'), list: [1, 'a', null] } };
+
+  assertEquals(decodeFrame(encodeFrame(message)), message);
+  assertEquals(encodeFrame({ text: 'line\nbreak' }).split('\n').length, 2);
+});
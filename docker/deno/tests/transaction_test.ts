@@ -0,0 +1,80 @@
+/**
+ * Database transactions end in a rollback sent to Laravel whenever the script
+ * does not commit: when the transaction callback throws, when the script
+ * times out with a transaction open, and when it returns without committing.
+ */
+
+import { assertEquals } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { execution, integration, loadExecutor, post } from "./executor_harness.ts";
+
+const CALLBACK_URL = 'http://laravel.test/api/internal/script-executor/callback';
+
+/**
+ * Answer the executor's callbacks in place of Laravel, recording each one as "type.method"
+ */
+async function withLaravel(run: (calls: string[]) => Promise<void>): Promise<void> {
+  const calls: string[] = [];
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input: string | URL | Request, init?: RequestInit) => {
+    const { type, method } = JSON.parse(String(init?.body));
+    calls.push(`${type}.${method}`);
+    const result = method === 'insert' ? 1 : null;
+    return new Response(JSON.stringify({ success: true, result }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  };
+
+  try {
+    await run(calls);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+function databaseExecution(code: string, timeout = 5000) {
+  return execution(code, timeout, { api_callback_url: CALLBACK_URL });
+}
+
+const INSERT = "await api.database.insert('orders', { total: 10 });";
+
+Deno.test({
+  name: 'an open transaction is rolled back when the script does not commit',
+  ...integration,
+  async fn(t) {
+    const handler = await loadExecutor();
+
+    await t.step({ name: 'the transaction callback throws', ...integration, fn: () => withLaravel(async calls => {
+      const code = `await api.database.transaction(async () => { ${INSERT} throw new Error('payment declined'); });`;
+      const response = await (await post(handler, '/execute', databaseExecution(code))).json();
+
+      assertEquals([response.status, response.error], ['error', 'payment declined']);
+      assertEquals(calls, ['database.beginTransaction', 'database.insert', 'database.rollback']);
+    }) });
+
+    await t.step({ name: 'the script times out', ...integration, fn: () => withLaravel(async calls => {
+      const code = `await api.database.beginTransaction(); ${INSERT} for (;;) {}`;
+      const response = await (await post(handler, '/execute', databaseExecution(code, 1500))).json();
+
+      assertEquals(response.status, 'timeout');
+      assertEquals(calls, ['database.beginTransaction', 'database.insert', 'database.rollback']);
+    }) });
+
+    await t.step({ name: 'the script returns without committing', ...integration, fn: () => withLaravel(async calls => {
+      const code = `await api.database.beginTransaction(); ${INSERT} return 'done';`;
+      const response = await (await post(handler, '/execute', databaseExecution(code))).json();
+
+      assertEquals([response.status, response.result], ['completed', 'done']);
+      assertEquals(calls, ['database.beginTransaction', 'database.insert', 'database.rollback']);
+      assertEquals(response.output.at(-1).level, 'warning');
+    }) });
+
+    await t.step({ name: 'a committed transaction is not rolled back', ...integration, fn: () => withLaravel(async calls => {
+      const code = `return await api.database.transaction(async () => { ${INSERT} return 'saved'; });`;
+      const response = await (await post(handler, '/execute', databaseExecution(code))).json();
+
+      assertEquals([response.status, response.result], ['completed', 'saved']);
+      assertEquals(calls, ['database.beginTransaction', 'database.insert', 'database.commit']);
+    }) });
+  },
+});
@@ -0,0 +1,147 @@
+/**
+ * Admission control: a full queue is refused with 429 and Retry-After, and
+ * a slot held by an execution comes back when it times out or is stopped.
+ */
+
+import { assert, assertEquals, assertRejects } from "https://deno.land/std@0.208.0/assert/mod.ts";
+import { type PooledWorker, PoolSaturatedError, WorkerPool } from "../worker_pool.ts";
+import { execution, integration, loadExecutor, post } from "./executor_harness.ts";
+
+class FakeWorker implements PooledWorker {
+  onerror: ((event: ErrorEvent) => void) | null = null;
+  terminated = false;
+
+  constructor(public readonly heapLimitMb: number) {}
+
+  terminate(): void {
+    this.terminated = true;
+  }
+}
+
+function fakePool(size: number, maxQueue: number, warm = 0): { pool: WorkerPool<FakeWorker>; spawned: FakeWorker[] } {
+  const spawned: FakeWorker[] = [];
+  const pool = new WorkerPool<FakeWorker>(heapLimitMb => {
+    const worker = new FakeWorker(heapLimitMb);
+    spawned.push(worker);
+    return worker;
+  }, { size, maxQueue, warm, heapLimitMb: 48 });
+
+  return { pool, spawned };
+}
+
+Deno.test('a full queue is rejected with a retry delay', async () => {
+  const { pool } = fakePool(1, 1);
+
+  await pool.acquire(48);
+  const queued = pool.acquire(48);
+
+  const error = await assertRejects(() => pool.acquire(48), PoolSaturatedError);
+  assert(error.retryAfterSeconds >= 1);
+  assertEquals(pool.stats().rejected, 1);
+  assertEquals(pool.stats().queue_depth, 1);
+
+  // Nothing releases the first slot in this test
+  queued.catch(() => {});
+});
+
+Deno.test('releasing a slot admits the next queued execution once', async () => {
+  const { pool } = fakePool(1, 2);
+
+  const first = await pool.acquire(48);
+  const second = pool.acquire(48);
+  assertEquals(pool.stats().active, 1);
+
+  first.release();
+  first.release();
+  const lease = await second;
+
+  assert(first.worker.terminated);
+  assertEquals(pool.stats().active, 1);
+  assertEquals(pool.stats().queue_depth, 0);
+
+  lease.release();
+  assertEquals(pool.stats().active, 0);
+});
+
+Deno.test('a queued execution that gives up leaves the queue', async () => {
+  const { pool } = fakePool(1, 1);
+  const first = await pool.acquire(48);
+
+  const controller = new AbortController();
+  const queued = pool.acquire(48, controller.signal);
+  controller.abort(new Error('client went away'));
+
+  await assertRejects(() => queued, Error, 'client went away');
+  assertEquals(pool.stats().queue_depth, 0);
+
+  first.release();
+  assertEquals(pool.stats().active, 0);
+});
+
+Deno.test('warm workers only serve executions with the default heap limit', async () => {
+  const { pool, spawned } = fakePool(3, 0, 1);
+  const warm = spawned[0];
+
+  const custom = await pool.acquire(128);
+  assertEquals(custom.worker.heapLimitMb, 128);
+  assertEquals(pool.stats().warm_workers, 1);
+
+  const standard = await pool.acquire(48);
+  assertEquals(standard.worker, warm);
+});
+
+Deno.test('a leased warm worker no longer carries the pool\'s error handler', async () => {
+  const { pool, spawned } = fakePool(2, 0, 1);
+  const warm = spawned[0];
+
+  const lease = await pool.acquire(48);
+  assertEquals(lease.worker, warm);
+  assertEquals(warm.onerror, null);
+
+  // Its replacement is idle and still dropped by the pool if it fails to load
+  assert(spawned[1].onerror !== null);
+});
+
+// The executor itself, through its HTTP handler: one slot, no queue
+
+Deno.test({
+  name: 'a saturated executor answers 429 and frees the slot after a timeout',
+  ...integration,
+  async fn() {
+    const handler = await loadExecutor();
+
+    const busy = post(handler, '/execute', execution('for (;;) {}', 1500));
+    // Let the first request take the only slot
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const refused = await post(handler, '/execute', execution('return 1;', 5000));
+    assertEquals(refused.status, 429);
+    assert(Number(refused.headers.get('Retry-After')) >= 1);
+    await refused.body?.cancel();
+
+    const timedOut = await (await busy).json();
+    assertEquals(timedOut.status, 'timeout');
+
+    const next = await (await post(handler, '/execute', execution('return 1 + 1;', 5000))).json();
+    assertEquals([next.status, next.result], ['completed', 2]);
+  },
+});
+
+Deno.test({
+  name: 'stopping an execution frees its slot',
+  ...integration,
+  async fn() {
+    const handler = await loadExecutor();
+
+    const request = execution('for (;;) {}', 60000);
+    const busy = post(handler, '/execute', request);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const stop = await (await post(handler, '/stop', { execution_id: request.execution_id })).json();
+    assertEquals(stop.stopped, true);
+    assertEquals((await (await busy).json()).status, 'stopped');
+
+    const next = await (await post(handler, '/execute', execution('return 3;', 5000))).json();
+    assertEquals([next.status, next.result], ['completed', 3]);
+  },
+});
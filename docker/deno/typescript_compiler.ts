@@ -0,0 +1,209 @@
+/**
+ * TypeScript support for scripts whose language is `typescript`.
+ *
+ * Type checking happens when a script is validated (on save and from the
+ * editor), against the same declarations Monaco uses. Executions only
+ * transpile, which needs no type information. Like the linker and the
+ * instrumenter, the compiler treats the script as the body of an async
+ * function, and the emitted source map translates positions in the generated
+ * JavaScript back to the TypeScript the author wrote.
+ *
+ * Only the host imports this module, and only for TypeScript scripts.
+ */
+
+import ts from "npm:typescript@5.3.3";
+import { API_DECLARATIONS } from "./api_types.ts";
+import { REQUIRE_BINDING } from "./module_linker.ts";
+import { scriptPosition, wrapScript } from "./script_wrapper.ts";
+
+export type ScriptLanguage = 'javascript' | 'typescript';
+
+export interface TypeScriptDiagnostic {
+  // 1-based, in the script as written
+  line: number;
+  column: number;
+  // Characters covered, for editor markers
+  length: number;
+  message: string;
+  code: number;
+}
+
+export interface CompiledScript {
+  code: string;
+  // Map a 1-based position in `code` back to the TypeScript source
+  originalPosition(line: number, column: number): { line: number; column: number } | null;
+}
+
+export class TypeScriptCompileError extends Error {
+  constructor(public readonly diagnostics: TypeScriptDiagnostic[]) {
+    super(diagnostics.map(diagnostic => `Line ${diagnostic.line}: ${diagnostic.message}`).join('\n'));
+    this.name = 'TypeScriptCompileError';
+  }
+}
+
+const SCRIPT_FILE = '/script.ts';
+const GLOBALS_FILE = '/globals.d.ts';
+
+// The sandbox console only has these methods, and there is no DOM
+const GLOBALS = `${API_DECLARATIONS}
+declare const console: {
+    log(...data: any[]): void;
+    info(...data: any[]): void;
+    warn(...data: any[]): void;
+    error(...data: any[]): void;
+    debug(...data: any[]): void;
+};
+declare function ${REQUIRE_BINDING}(specifier: string): any;
+`;
+
+const CHECK_OPTIONS: ts.CompilerOptions = {
+  target: ts.ScriptTarget.ES2022,
+  lib: ['lib.es2022.d.ts'],
+  strict: true,
+  noEmit: true,
+  types: [],
+};
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Parsed lib files never change, so every check after the first reuses them
+const libSourceFiles = new Map<string, ts.SourceFile>();
+
+function toDiagnostic(diagnostic: ts.Diagnostic): TypeScriptDiagnostic {
+  const position = diagnostic.file && diagnostic.start !== undefined
+    ? scriptPosition(diagnostic.file, diagnostic.start)
+    : { line: 1, character: 0 };
+
+  return {
+    line: Math.max(1, position.line),
+    column: position.character + 1,
+    length: Math.max(1, diagnostic.length ?? 1),
+    message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+    code: diagnostic.code,
+  };
+}
+
+function createHost(files: Record<string, string>): ts.CompilerHost {
+  const host = ts.createCompilerHost(CHECK_OPTIONS, true);
+
+  return {
+    ...host,
+    getSourceFile(fileName, languageVersion) {
+      if (Object.hasOwn(files, fileName)) {
+        return ts.createSourceFile(fileName, files[fileName], languageVersion, true);
+      }
+
+      let sourceFile = libSourceFiles.get(fileName);
+      if (!sourceFile) {
+        const text = host.readFile(fileName);
+        if (text === undefined) {
+          return undefined;
+        }
+        sourceFile = ts.createSourceFile(fileName, text, languageVersion, true);
+        libSourceFiles.set(fileName, sourceFile);
+      }
+      return sourceFile;
+    },
+    fileExists: fileName => Object.hasOwn(files, fileName) || host.fileExists(fileName),
+    readFile: fileName => Object.hasOwn(files, fileName) ? files[fileName] : host.readFile(fileName),
+    writeFile: () => {},
+  };
+}
+
+/**
+ * Type-check a script whose imports have already been rewritten
+ */
+export function checkTypes(code: string): TypeScriptDiagnostic[] {
+  const files = { [SCRIPT_FILE]: wrapScript(code), [GLOBALS_FILE]: GLOBALS };
+  const program = ts.createProgram([SCRIPT_FILE, GLOBALS_FILE], CHECK_OPTIONS, createHost(files));
+
+  return ts.getPreEmitDiagnostics(program)
+    .filter(diagnostic => diagnostic.file?.fileName === SCRIPT_FILE
+      && diagnostic.category === ts.DiagnosticCategory.Error)
+    .map(toDiagnostic);
+}
+
+function decodeVlq(segment: string): number[] {
+  const values: number[] = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Decode source map mappings into [generatedColumn, sourceLine, sourceColumn]
+ * segments per generated line, all 0-based
+ */
+function decodeMappings(mappings: string): number[][][] {
+  let sourceLine = 0;
+  let sourceColumn = 0;
+
+  return mappings.split(';').map(line => {
+    let generatedColumn = 0;
+    const segments: number[][] = [];
+
+    for (const segment of line.split(',').filter(Boolean)) {
+      const values = decodeVlq(segment);
+      generatedColumn += values[0];
+      if (values.length >= 4) {
+        sourceLine += values[2];
+        sourceColumn += values[3];
+        segments.push([generatedColumn, sourceLine, sourceColumn]);
+      }
+    }
+    return segments;
+  });
+}
+
+/**
+ * Strip types from a script whose imports have already been rewritten. Only
+ * syntax errors fail here; type errors are reported by checkTypes.
+ */
+export function transpileScript(code: string): CompiledScript {
+  const output = ts.transpileModule(wrapScript(code), {
+    fileName: 'script.ts',
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2022,
+      module: ts.ModuleKind.ESNext,
+      sourceMap: true,
+    },
+  });
+
+  const errors = (output.diagnostics ?? []).filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error);
+  if (errors.length > 0) {
+    throw new TypeScriptCompileError(errors.map(toDiagnostic));
+  }
+
+  // Line 0 of the output is the wrapper's opening line, so body line N is generated line N
+  const lines = output.outputText.replace(/\n\/\/# sourceMappingURL=.*\s*$/, '').split('\n');
+  const closing = lines.lastIndexOf('}');
+  const body = lines[0].trimEnd().endsWith('{') && closing > 0 ? lines.slice(1, closing) : [];
+  const mappings = decodeMappings(JSON.parse(output.sourceMapText ?? '{"mappings":""}').mappings);
+
+  return {
+    code: body.join('\n'),
+    originalPosition(line: number, column: number) {
+      const segments = mappings[line] ?? [];
+      const segment = segments.filter(([generatedColumn]) => generatedColumn <= column - 1).pop() ?? segments[0];
+      // Source line 0 is the wrapper, not the script
+      if (!segment || segment[1] < 1) {
+        return null;
+      }
+      return { line: segment[1], column: segment[2] + 1 };
+    },
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Admission control and warm sandbox workers for `/execute`.
+ *
+ * At most `size` executions run at once; up to `maxQueue` more wait for a
+ * slot in arrival order, and anything beyond that is rejected so the server
+ * can answer 429 instead of slowing every running script down. Workers are
+ * still single-use, but `warm` of them are spawned ahead of time, so an
+ * admitted execution does not wait for the sandbox module to load. A worker's
+ * heap limit is fixed when it is spawned, so only executions with the pool's
+ * default limit get a warm one; the rest spawn their own.
+ */
+
+export class PoolSaturatedError extends Error {
+  constructor(public readonly retryAfterSeconds: number) {
+    super(`Execution queue is full; retry after ${retryAfterSeconds}s`);
+    this.name = 'PoolSaturatedError';
+  }
+}
+
+export interface WorkerPoolOptions {
+  // Executions running at once
+  size: number;
+  // Executions waiting for a slot before new ones are rejected
+  maxQueue: number;
+  // Workers spawned ahead of time
+  warm: number;
+  // Heap limit of the warm workers, in megabytes
+  heapLimitMb: number;
+}
+
+/**
+ * What the pool needs of a worker; Worker and SandboxProcess both fit
+ */
+export interface PooledWorker {
+  onerror: ((event: ErrorEvent) => void) | null;
+  terminate(): void;
+}
+
+export interface WorkerPoolStats {
+  size: number;
+  active: number;
+  queue_depth: number;
+  max_queue: number;
+  warm_workers: number;
+  // Share of the slots in use, from 0 to 1
+  saturation: number;
+  admitted: number;
+  rejected: number;
+  // Time admitted executions spent in the queue, in milliseconds
+  wait_ms: {
+    last: number;
+    average: number;
+    max: number;
+  };
+}
+
+export interface WorkerLease<W extends PooledWorker = PooledWorker> {
+  // A fresh worker for this execution only
+  worker: W;
+  waitedMs: number;
+  // Terminates the worker and hands the slot to the next queued execution
+  release(): void;
+}
+
+interface Waiter<W extends PooledWorker> {
+  enqueuedAt: number;
+  heapLimitMb: number;
+  resolve: (lease: WorkerLease<W>) => void;
+}
+
+export const DEFAULT_POOL_SIZE = 10;
+export const DEFAULT_MAX_QUEUE = 10;
+export const DEFAULT_WARM_WORKERS = 2;
+
+// Weight of the newest execution in the running average that Retry-After is based on
+const HOLD_TIME_SMOOTHING = 0.1;
+const INITIAL_HOLD_TIME_MS = 1000;
+
+export class WorkerPool<W extends PooledWorker = Worker> {
+  private readonly idle: W[] = [];
+  private readonly queue: Waiter<W>[] = [];
+  private active = 0;
+  private admitted = 0;
+  private rejected = 0;
+  private lastWaitMs = 0;
+  private totalWaitMs = 0;
+  private maxWaitMs = 0;
+  private averageHoldMs = INITIAL_HOLD_TIME_MS;
+
+  constructor(
+    private readonly spawn: (heapLimitMb: number) => W,
+    private readonly options: WorkerPoolOptions
+  ) {
+    this.replenish();
+  }
+
+  /**
+   * Wait for a slot. Rejects with PoolSaturatedError when the queue is full,
+   * and with the signal's reason when the caller gives up while queued.
+   */
+  acquire(heapLimitMb: number, signal?: AbortSignal): Promise<WorkerLease<W>> {
+    if (this.active < this.options.size) {
+      return Promise.resolve(this.lease(performance.now(), heapLimitMb));
+    }
+    if (this.queue.length >= this.options.maxQueue) {
+      this.rejected++;
+      return Promise.reject(new PoolSaturatedError(this.retryAfterSeconds()));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter: Waiter<W> = { enqueuedAt: performance.now(), heapLimitMb, resolve };
+      this.queue.push(waiter);
+
+      signal?.addEventListener('abort', () => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(signal.reason);
+        }
+      }, { once: true });
+    });
+  }
+
+  stats(): WorkerPoolStats {
+    return {
+      size: this.options.size,
+      active: this.active,
+      queue_depth: this.queue.length,
+      max_queue: this.options.maxQueue,
+      warm_workers: this.idle.length,
+      saturation: this.active / this.options.size,
+      admitted: this.admitted,
+      rejected: this.rejected,
+      wait_ms: {
+        last: Math.round(this.lastWaitMs),
+        average: this.admitted === 0 ? 0 : Math.round(this.totalWaitMs / this.admitted),
+        max: Math.round(this.maxWaitMs),
+      },
+    };
+  }
+
+  private lease(enqueuedAt: number, heapLimitMb: number): WorkerLease<W> {
+    const admittedAt = performance.now();
+    const waitedMs = admittedAt - enqueuedAt;
+    this.active++;
+    this.admitted++;
+    this.lastWaitMs = waitedMs;
+    this.totalWaitMs += waitedMs;
+    this.maxWaitMs = Math.max(this.maxWaitMs, waitedMs);
+
+    const warm = heapLimitMb === this.options.heapLimitMb ? this.idle.shift() : undefined;
+    const worker = warm ?? this.spawn(heapLimitMb);
+    // The pool's handler would terminate a leased worker without telling its holder
+    worker.onerror = null;
+    this.replenish();
+
+    let released = false;
+    return {
+      worker,
+      waitedMs,
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        worker.terminate();
+        this.active--;
+        this.averageHoldMs += (performance.now() - admittedAt - this.averageHoldMs) * HOLD_TIME_SMOOTHING;
+
+        const next = this.queue.shift();
+        if (next) {
+          next.resolve(this.lease(next.enqueuedAt, next.heapLimitMb));
+        }
+      },
+    };
+  }
+
+  private replenish(): void {
+    while (this.idle.length < this.options.warm) {
+      const worker = this.spawn(this.options.heapLimitMb);
+
+      // A warm worker that fails to load is dropped; the next lease spawns its replacement
+      worker.onerror = (event: ErrorEvent) => {
+        event.preventDefault();
+        const index = this.idle.indexOf(worker);
+        if (index !== -1) {
+          this.idle.splice(index, 1);
+        }
+        worker.terminate();
+      };
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Roughly when a slot should be free for a new request: everything queued
+   * ahead of it, spread over the slots, at the average time a slot is held
+   */
+  private retryAfterSeconds(): number {
+    return Math.max(1, Math.ceil(this.averageHoldMs * (this.queue.length + 1) / this.options.size / 1000));
+  }
+}
@@ -0,0 +1,108 @@
+// Generated by scripts/generate-api-types.js from resources/scripting/api-manifest.json.
+// Do not edit by hand; run `npm run generate:api` instead.
+
+// Declarations for the sandbox `api` and `ctx` globals, shared by every Monaco editor instance
+export const API_DEFINITIONS = `declare const api: {
+    /** Structured execution log */
+    log: {
+        /** Write an info entry to the execution log */
+        info: (message: string, data?: any) => void;
+        /** Write an error entry to the execution log */
+        error: (message: string, data?: any) => void;
+        /** Write a warning entry to the execution log */
+        warn: (message: string, data?: any) => void;
+        /** Write a debug entry to the execution log */
+        debug: (message: string, data?: any) => void;
+    };
+    /** Pure helpers evaluated inside the sandbox */
+    utils: {
+        /** Current time in milliseconds since the epoch */
+        now: () => number;
+        /** Generate a random v4 UUID */
+        uuid: () => string;
+        /** SHA-256 hex digest of a string */
+        hash: (data: string) => Promise<string>;
+        /** Parse a JSON string, throwing a readable error when it is invalid */
+        parseJson: (json: string) => any;
+        /** Pause for up to 5 seconds */
+        sleep: (seconds: number) => Promise<void>;
+        /** Random alphanumeric string of up to 100 characters */
+        randomString: (length?: number) => string;
+        /** Base64-encode a UTF-8 string */
+        base64Encode: (value: string) => string;
+        /** Decode a base64 string to UTF-8 */
+        base64Decode: (value: string) => string;
+        /** Serialize a value to a JSON string */
+        toJson: (data: any) => string;
+    };
+    /** Input validation; \`validate\` applies Laravel validation rules on the server */
+    validate: {
+        /** Validate data against Laravel validation rules */
+        validate: (data: Record<string, any>, rules: Record<string, string | string[]>) => Promise<{ valid: boolean; errors: Record<string, string[]> }>;
+        /** Check whether a string is a valid email address */
+        isEmail: (email: string) => boolean;
+        /** Check whether a string is a valid absolute URL */
+        isUrl: (url: string) => boolean;
+        /** Strip tags and HTML-escape a string */
+        sanitize: (input: string) => string;
+    };
+    /** Tenant database access, checked against the script's permissions */
+    database: {
+        /** Run a read-only SQL query with positional bindings */
+        query: (sql: string, bindings?: any[]) => Promise<any>;
+        /** Select columns from a table matching the given conditions */
+        select: (table: string, columns: string[], conditions?: any) => Promise<any>;
+        /** Insert a row into a table */
+        insert: (table: string, data: any) => Promise<any>;
+        /** Update rows in a table matching the given conditions */
+        update: (table: string, data: any, conditions: any) => Promise<any>;
+        /** Delete rows from a table matching the given conditions */
+        delete: (table: string, conditions: any) => Promise<any>;
+        /** Run a callback in a transaction; it commits when the callback resolves and rolls back if it throws. Writes are deferred until the commit, so reads inside the callback do not see them */
+        transaction: (callback: () => any) => Promise<any>;
+        /** Open a transaction; writes are deferred until commit, so reads do not see them before then, and are rolled back if the script ends first */
+        beginTransaction: () => Promise<void>;
+        /** Apply the open transaction's writes atomically */
+        commit: () => Promise<any>;
+        /** Discard the open transaction's writes */
+        rollback: () => Promise<void>;
+    };
+    /** Outbound HTTP through the Laravel gateway, restricted to the client's allowed domains and methods and to public addresses */
+    http: {
+        /** Send a GET request */
+        get: (url: string, headers?: any) => Promise<{ status: number; headers: Record<string, string>; body: string; json(): any }>;
+        /** Send a POST request */
+        post: (url: string, data?: any, headers?: any) => Promise<{ status: number; headers: Record<string, string>; body: string; json(): any }>;
+        /** Send a PUT request */
+        put: (url: string, data?: any, headers?: any) => Promise<{ status: number; headers: Record<string, string>; body: string; json(): any }>;
+        /** Send a PATCH request */
+        patch: (url: string, data?: any, headers?: any) => Promise<{ status: number; headers: Record<string, string>; body: string; json(): any }>;
+        /** Send a DELETE request */
+        delete: (url: string, headers?: any) => Promise<{ status: number; headers: Record<string, string>; body: string; json(): any }>;
+    };
+    /** Laravel event dispatching, restricted to allowed event names */
+    events: {
+        /** Dispatch an application event */
+        dispatch: (eventName: string, data: any) => Promise<void>;
+    };
+    /** Key/value store scoped to the running script */
+    storage: {
+        /** Read a stored value, or null when the key is missing or expired */
+        get: (key: string) => Promise<any>;
+        /** Store a JSON-serializable value, optionally expiring after \`ttl\` seconds */
+        set: (key: string, value: any, options?: { ttl?: number }) => Promise<void>;
+        /** Remove a key; resolves to whether it existed */
+        delete: (key: string) => Promise<boolean>;
+    };
+    /** Client secrets, handed out as handles that are swapped for the value only when an api.http request is sent */
+    secrets: {
+        /** Get an opaque handle for a secret the script may use; place it in api.http headers or bodies, alone or inside a string */
+        get: (name: string) => Promise<string>;
+    };
+    /** Identifiers of the running script and execution */
+    getScriptInfo: () => { id: string; client_id: string; execution_id: string };
+};
+declare const ctx: Readonly<Record<string, any>>;
+`;
+
+export const API_DEFINITIONS_URI = 'ts:filename/api.d.ts';
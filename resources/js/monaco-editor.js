@@ -1,6 +1,7 @@
 // Monaco Editor integration for script editing
 import * as monaco from 'monaco-editor';
 import { language as javascriptLanguage } from 'monaco-editor/esm/vs/basic-languages/javascript/javascript';
+import { API_DEFINITIONS, API_DEFINITIONS_URI } from './api-definitions';
 
 // Configure Monaco Editor environment
 self.MonacoEnvironment = {
@@ -66,6 +67,15 @@ class ScriptEditor {
             checkJs: true
         });
 
+        // TypeScript scripts are checked as strictly as the sidecar checks them on save
+        monaco.languages.typescript.typescriptDefaults.setCompilerOptions({
+            target: monaco.languages.typescript.ScriptTarget.ES2020,
+            allowNonTsExtensions: true,
+            moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
+            module: monaco.languages.typescript.ModuleKind.CommonJS,
+            strict: true
+        });
+
         // Add custom API definitions
         this.addAPIDefinitions();
 
@@ -80,51 +90,8 @@ class ScriptEditor {
     }
 
     addAPIDefinitions() {
-        const apiDefinitions = `
-declare global {
-    const api: {
-        log: {
-            info(message: string): void;
-            error(message: string): void;
-            warn(message: string): void;
-            debug(message: string): void;
-        };
-        utils: {
-            now(): number;
-            uuid(): string;
-            hash(data: string): Promise<string>;
-            parseJson(json: string): any;
-        };
-        database: {
-            query(sql: string, bindings?: any[]): Promise<any>;
-            select(table: string, columns: string[], conditions?: any): Promise<any>;
-            insert(table: string, data: any): Promise<any>;
-            update(table: string, data: any, conditions: any): Promise<any>;
-            delete(table: string, conditions: any): Promise<any>;
-        };
-        http: {
-            get(url: string, headers?: any): Promise<any>;
-            post(url: string, data?: any, headers?: any): Promise<any>;
-            put(url: string, data?: any, headers?: any): Promise<any>;
-            patch(url: string, data?: any, headers?: any): Promise<any>;
-            delete(url: string, headers?: any): Promise<any>;
-        };
-        events: {
-            dispatch(eventName: string, data: any): Promise<void>;
-        };
-        getScriptInfo(): {
-            id: string;
-            client_id: string;
-            execution_id: string;
-        };
-    };
-}
-`;
-
-        monaco.languages.typescript.javascriptDefaults.addExtraLib(
-            apiDefinitions,
-            'ts:filename/api.d.ts'
-        );
+        monaco.languages.typescript.javascriptDefaults.addExtraLib(API_DEFINITIONS, API_DEFINITIONS_URI);
+        monaco.languages.typescript.typescriptDefaults.addExtraLib(API_DEFINITIONS, API_DEFINITIONS_URI);
     }
 
     addCustomCommands() {
@@ -1,4 +1,11 @@
 import * as monaco from 'monaco-editor';
+import { API_DEFINITIONS, API_DEFINITIONS_URI } from './api-definitions';
+
+// The server validates once typing has paused this long, and before every save
+const VALIDATION_PAUSE_MS = 800;
+// Marker owner and source of the in-browser security pre-check
+const PRECHECK_MARKER_OWNER = 'security-precheck';
+const PRECHECK_SOURCE = 'security pre-check';
 
 class ScriptEditor {
     constructor() {
@@ -6,10 +13,23 @@ class ScriptEditor {
         this.currentScript = null;
         this.diffEditor = null;
         this.validationWorker = null;
+        this.validationTimer = null;
+        this.validationRequest = null;
+        this.precheckId = 0;
+        this.precheckDiagnostics = [];
+        this.testRun = null;
+        this.testExecutionId = null;
+        this.breakpoints = new Set();
+        this.breakpointDecorations = [];
+        this.debugLineDecorations = [];
+        this.libraryModels = [];
+        this.libraryViewer = null;
     }
 
     init() {
         this.initializeEditor();
+        this.initializeDebugger();
+        this.initializeLibraries();
         this.initializeValidation();
         this.initializeDiffViewer();
         this.setupEventListeners();
@@ -19,53 +39,37 @@ class ScriptEditor {
         const container = document.getElementById('script-editor');
         if (!container) return;
 
+        // The script's language setting; TypeScript is type-checked and transpiled by the sidecar
+        this.language = container.dataset.language === 'typescript' ? 'typescript' : 'javascript';
+
         // Configure Monaco for JavaScript/TypeScript
-        monaco.languages.typescript.javascriptDefaults.setCompilerOptions({
-            target: monaco.languages.typescript.ScriptTarget.ES2020,
-            allowNonTsExtensions: true,
-            moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
-            module: monaco.languages.typescript.ModuleKind.CommonJS,
-            noEmit: true,
-            esModuleInterop: true,
-            jsx: monaco.languages.typescript.JsxEmit.React,
-            allowJs: true,
-            typeRoots: ["node_modules/@types"]
-        });
+        const { javascriptDefaults, typescriptDefaults } = monaco.languages.typescript;
+        [javascriptDefaults, typescriptDefaults].forEach(defaults => {
+            defaults.setCompilerOptions({
+                target: monaco.languages.typescript.ScriptTarget.ES2020,
+                allowNonTsExtensions: true,
+                moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
+                module: monaco.languages.typescript.ModuleKind.CommonJS,
+                noEmit: true,
+                esModuleInterop: true,
+                jsx: monaco.languages.typescript.JsxEmit.React,
+                allowJs: true,
+                // Matches the sidecar's checker, so the editor shows the errors that block saving
+                strict: defaults === typescriptDefaults,
+                typeRoots: ["node_modules/@types"]
+            });
 
-        // Add custom API definitions for scripting environment
-        monaco.languages.typescript.javascriptDefaults.addExtraLib(`
-            declare namespace api {
-                namespace database {
-                    function query(sql: string, params?: any[]): Promise<any>;
-                    function execute(sql: string, params?: any[]): Promise<number>;
-                    function transaction(callback: () => Promise<void>): Promise<void>;
-                }
-                namespace events {
-                    function dispatch(event: string, data?: any): void;
-                    function listen(event: string, callback: (data: any) => void): void;
-                }
-                namespace http {
-                    function get(url: string, options?: any): Promise<any>;
-                    function post(url: string, data?: any, options?: any): Promise<any>;
-                    function put(url: string, data?: any, options?: any): Promise<any>;
-                    function delete(url: string, options?: any): Promise<any>;
-                }
-                namespace storage {
-                    function get(key: string): Promise<any>;
-                    function set(key: string, value: any): Promise<void>;
-                    function delete(key: string): Promise<void>;
-                }
-                namespace log {
-                    function info(message: string, data?: any): void;
-                    function warn(message: string, data?: any): void;
-                    function error(message: string, data?: any): void;
-                }
-            }
-        `, 'api.d.ts');
+            // Add custom API definitions for scripting environment
+            defaults.addExtraLib(API_DEFINITIONS, API_DEFINITIONS_URI);
+        });
 
         this.editor = monaco.editor.create(container, {
-            value: container.dataset.initialValue || '// Start coding your script here\n',
-            language: 'javascript',
+            // A file: URI lets `@lib/...` imports resolve to the library models under /node_modules
+            model: monaco.editor.createModel(
+                container.dataset.initialValue || '// Start coding your script here\n',
+                this.language,
+                monaco.Uri.parse(this.language === 'typescript' ? 'file:///script.ts' : 'file:///script.js')
+            ),
             theme: 'vs-dark',
             automaticLayout: true,
             minimap: {
@@ -74,6 +78,7 @@ class ScriptEditor {
             fontSize: 14,
             wordWrap: 'on',
             lineNumbers: 'on',
+            glyphMargin: true,
             renderLineHighlight: 'all',
             contextmenu: true,
             folding: true,
@@ -99,7 +104,7 @@ class ScriptEditor {
         });
 
         // Add custom snippets
-        monaco.languages.registerCompletionItemProvider('javascript', {
+        const snippets = {
             provideCompletionItems: (model, position) => {
                 const suggestions = [
                     {
@@ -140,14 +145,302 @@ class ScriptEditor {
                 ];
                 return { suggestions };
             }
+        };
+        monaco.languages.registerCompletionItemProvider('javascript', snippets);
+        monaco.languages.registerCompletionItemProvider('typescript', snippets);
+    }
+
+    /**
+     * Breakpoints are toggled in the glyph margin and sent with the next test run
+     */
+    initializeDebugger() {
+        if (!this.editor) return;
+
+        if (!document.getElementById('script-debugger-styles')) {
+            const style = document.createElement('style');
+            style.id = 'script-debugger-styles';
+            style.textContent = `
+                .debug-breakpoint { background: #e51400; border-radius: 50%; width: 10px !important; height: 10px !important; margin: 4px 0 0 6px; }
+                .debug-current-line { background: rgba(255, 204, 0, 0.25); }
+                .debug-current-glyph { border-left: 8px solid #ffcc00; border-top: 6px solid transparent; border-bottom: 6px solid transparent; margin: 3px 0 0 6px; }
+            `;
+            document.head.appendChild(style);
+        }
+
+        this.editor.onMouseDown((e) => {
+            if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN && e.target.position) {
+                this.toggleBreakpoint(e.target.position.lineNumber);
+            }
+        });
+
+        // Decorations move with edits; keep the breakpoint lines in step with them
+        this.editor.onDidChangeModelContent(() => {
+            const model = this.editor.getModel();
+            this.breakpoints = new Set(
+                this.breakpointDecorations
+                    .map(id => model.getDecorationRange(id))
+                    .filter(range => range)
+                    .map(range => range.startLineNumber)
+            );
+        });
+    }
+
+    toggleBreakpoint(lineNumber) {
+        if (this.breakpoints.has(lineNumber)) {
+            this.breakpoints.delete(lineNumber);
+        } else {
+            this.breakpoints.add(lineNumber);
+        }
+
+        this.breakpointDecorations = this.editor.deltaDecorations(
+            this.breakpointDecorations,
+            [...this.breakpoints].map(line => ({
+                range: new monaco.Range(line, 1, line, 1),
+                options: {
+                    glyphMarginClassName: 'debug-breakpoint',
+                    glyphMarginHoverMessage: { value: 'Breakpoint' }
+                }
+            }))
+        );
+
+        // A running debug session picks up the change straight away
+        if (this.testRun && this.testExecutionId) {
+            this.sendDebugCommand('breakpoints');
+        }
+    }
+
+    /**
+     * Continue, step or update breakpoints of the debug run streaming into the panel
+     */
+    sendDebugCommand(action) {
+        if (!this.testExecutionId) return;
+
+        fetch(`/api/scripts/test/${this.testExecutionId}/debug`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').getAttribute('content')
+            },
+            body: JSON.stringify({ action, breakpoints: [...this.breakpoints] })
+        })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                this.showNotification(data.message || `Debugger command failed: ${data.status}`, 'error');
+            }
+        })
+        .catch(error => {
+            console.error('Debugger error:', error);
+            this.showNotification('Error sending debugger command', 'error');
+        });
+    }
+
+    showDebugLine(lineNumber) {
+        this.debugLineDecorations = this.editor.deltaDecorations(
+            this.debugLineDecorations,
+            lineNumber ? [{
+                range: new monaco.Range(lineNumber, 1, lineNumber, 1),
+                options: {
+                    isWholeLine: true,
+                    className: 'debug-current-line',
+                    glyphMarginClassName: 'debug-current-glyph'
+                }
+            }] : []
+        );
+
+        if (lineNumber) {
+            this.editor.revealLineInCenterIfOutsideViewport(lineNumber);
+        }
+    }
+
+    /**
+     * Load the client's approved libraries as models under node_modules/@lib, so
+     * imports get completions and typings inferred from the library code, and
+     * go-to-definition opens the library in a read-only viewer
+     */
+    initializeLibraries() {
+        if (!this.editor) return;
+
+        // Library models are never opened, so the language service must see them anyway
+        monaco.languages.typescript.javascriptDefaults.setEagerModelSync(true);
+        monaco.languages.typescript.typescriptDefaults.setEagerModelSync(true);
+
+        monaco.editor.registerEditorOpener({
+            openCodeEditor: (source, resource, selectionOrPosition) => {
+                const model = this.libraryModels.find(candidate => candidate.uri.toString() === resource.toString());
+                if (!model) return false;
+
+                this.showLibrary(model, selectionOrPosition);
+                return true;
+            }
+        });
+
+        fetch('/api/scripts/libraries', {
+            headers: { 'Accept': 'application/json' }
+        })
+        .then(response => response.json())
+        .then(data => {
+            this.libraryModels.forEach(model => model.dispose());
+            this.libraryModels = (data.libraries || []).map(library => monaco.editor.createModel(
+                `// ${library.specifier} ${library.version} (read-only)\n${library.code}`,
+                'javascript',
+                monaco.Uri.parse(`file:///node_modules/${library.specifier}/index.js`)
+            ));
+        })
+        .catch(error => {
+            console.error('Library loading error:', error);
         });
     }
 
+    showLibrary(model, selectionOrPosition) {
+        if (!this.libraryViewer) {
+            const container = document.createElement('div');
+            container.className = 'script-library-viewer';
+            container.style.cssText = 'position: fixed; right: 1rem; bottom: 1rem; width: 50vw; height: 40vh; z-index: 1050; display: flex; flex-direction: column; background: #1e1e1e; border: 1px solid #555;';
+
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 2px 8px; color: #ccc; font-size: 12px;';
+            const title = document.createElement('span');
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'btn btn-sm btn-link text-light';
+            close.textContent = 'Close';
+            close.addEventListener('click', () => {
+                container.style.display = 'none';
+            });
+            header.append(title, close);
+
+            const body = document.createElement('div');
+            body.style.flex = '1';
+            container.append(header, body);
+            document.body.appendChild(container);
+
+            this.libraryViewer = {
+                container,
+                title,
+                editor: monaco.editor.create(body, {
+                    theme: 'vs-dark',
+                    readOnly: true,
+                    automaticLayout: true,
+                    minimap: { enabled: false }
+                })
+            };
+        }
+
+        const viewer = this.libraryViewer;
+        viewer.title.textContent = model.uri.path.replace(/^\/node_modules\//, '').replace(/\/index\.js$/, '');
+        viewer.container.style.display = 'flex';
+        viewer.editor.setModel(model);
+
+        if (selectionOrPosition) {
+            const range = 'startLineNumber' in selectionOrPosition
+                ? selectionOrPosition
+                : new monaco.Range(selectionOrPosition.lineNumber, selectionOrPosition.column, selectionOrPosition.lineNumber, selectionOrPosition.column);
+            viewer.editor.setSelection(range);
+            viewer.editor.revealRangeInCenter(range);
+        }
+    }
+
+    /**
+     * Every edit is pre-checked in a worker against the server's security
+     * rules; the server itself is only asked once typing pauses and before saving
+     */
     initializeValidation() {
-        // Real-time validation
+        if (!this.editor) return;
+
+        this.validationWorker = new Worker(new URL('./script-lint-worker.js', import.meta.url));
+        this.validationWorker.onmessage = (e) => {
+            // Results for an older buffer are dropped; the newest check is already queued
+            if (e.data.id === this.precheckId) {
+                this.showPrecheckMarkers(e.data.diagnostics);
+            }
+        };
+
+        fetch('/api/scripts/security-rules', {
+            headers: { 'Accept': 'application/json' }
+        })
+        .then(response => response.json())
+        .then(rules => {
+            this.validationWorker.postMessage({ type: 'rules', rules });
+            this.precheckScript();
+        })
+        .catch(error => {
+            console.error('Security rules loading error:', error);
+        });
+
+        const quickFixes = {
+            provideCodeActions: (model, range, context) => this.providePrecheckFixes(model, context)
+        };
+        monaco.languages.registerCodeActionProvider('javascript', quickFixes);
+        monaco.languages.registerCodeActionProvider('typescript', quickFixes);
+
         this.editor.onDidChangeModelContent(() => {
-            this.validateScript();
+            this.precheckScript();
+            clearTimeout(this.validationTimer);
+            this.validationTimer = setTimeout(() => this.validateScript(), VALIDATION_PAUSE_MS);
         });
+        this.precheckScript();
+    }
+
+    precheckScript() {
+        this.precheckId++;
+        this.validationWorker.postMessage({
+            type: 'lint',
+            id: this.precheckId,
+            code: this.editor.getValue(),
+            language: this.language
+        });
+    }
+
+    showPrecheckMarkers(diagnostics) {
+        this.precheckDiagnostics = diagnostics;
+
+        monaco.editor.setModelMarkers(this.editor.getModel(), PRECHECK_MARKER_OWNER, diagnostics.map(diagnostic => ({
+            severity: monaco.MarkerSeverity.Error,
+            startLineNumber: diagnostic.startLineNumber,
+            startColumn: diagnostic.startColumn,
+            endLineNumber: diagnostic.endLineNumber,
+            endColumn: diagnostic.endColumn,
+            message: diagnostic.message,
+            code: diagnostic.rule,
+            source: PRECHECK_SOURCE
+        })));
+    }
+
+    /**
+     * Quick fixes the pre-check attached to the markers in context
+     */
+    providePrecheckFixes(model, context) {
+        if (model !== this.editor.getModel()) {
+            return { actions: [], dispose() {} };
+        }
+
+        const actions = [];
+        for (const marker of context.markers) {
+            if (marker.source !== PRECHECK_SOURCE) continue;
+
+            const diagnostic = this.precheckDiagnostics.find(candidate => candidate.fix
+                && candidate.startLineNumber === marker.startLineNumber
+                && candidate.startColumn === marker.startColumn
+                && candidate.message === marker.message);
+            if (!diagnostic) continue;
+
+            actions.push({
+                title: diagnostic.fix.title,
+                kind: 'quickfix',
+                diagnostics: [marker],
+                isPreferred: true,
+                edit: {
+                    edits: [{
+                        resource: model.uri,
+                        textEdit: { range: diagnostic.fix.range, text: diagnostic.fix.text },
+                        versionId: model.getVersionId()
+                    }]
+                }
+            });
+        }
+
+        return { actions, dispose() {} };
     }
 
     initializeDiffViewer() {
@@ -175,6 +468,14 @@ class ScriptEditor {
             testButton.addEventListener('click', () => this.testScript());
         }
 
+        // Replay buttons next to recorded executions in the history
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-replay-execution]');
+            if (button) {
+                this.replayExecution(button.dataset.replayExecution);
+            }
+        });
+
         // Version dropdown
         const versionSelect = document.getElementById('version-select');
         if (versionSelect) {
@@ -192,22 +493,39 @@ class ScriptEditor {
         }
     }
 
+    /**
+     * Server validation. Starting one cancels the request in flight, and an
+     * answer for a buffer that has changed since is dropped, so a slow
+     * response never overwrites a newer one.
+     */
     validateScript() {
-        if (!this.editor) return;
+        if (!this.editor) return Promise.resolve();
+
+        clearTimeout(this.validationTimer);
+        if (this.validationRequest) {
+            this.validationRequest.abort();
+        }
+        const request = new AbortController();
+        this.validationRequest = request;
 
+        const model = this.editor.getModel();
+        const versionId = model.getVersionId();
         const code = this.editor.getValue();
         
         // AST validation via API
-        fetch('/api/scripts/validate', {
+        return fetch('/api/scripts/validate', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').getAttribute('content')
             },
-            body: JSON.stringify({ code })
+            body: JSON.stringify({ code, language: this.language }),
+            signal: request.signal
         })
         .then(response => response.json())
         .then(data => {
+            if (model.getVersionId() !== versionId) return;
+
             if (data.errors && data.errors.length > 0) {
                 const markers = data.errors.map(error => ({
                     severity: monaco.MarkerSeverity.Error,
@@ -218,13 +536,19 @@ class ScriptEditor {
                     message: error.message
                 }));
                 
-                monaco.editor.setModelMarkers(this.editor.getModel(), 'validation', markers);
+                monaco.editor.setModelMarkers(model, 'validation', markers);
             } else {
-                monaco.editor.setModelMarkers(this.editor.getModel(), 'validation', []);
+                monaco.editor.setModelMarkers(model, 'validation', []);
             }
         })
         .catch(error => {
+            if (error.name === 'AbortError') return;
             console.error('Validation error:', error);
+        })
+        .finally(() => {
+            if (this.validationRequest === request) {
+                this.validationRequest = null;
+            }
         });
     }
 
@@ -234,7 +558,9 @@ class ScriptEditor {
         const code = this.editor.getValue();
         const scriptId = document.getElementById('script-id')?.value;
         
-        fetch(`/api/scripts/${scriptId || ''}`, {
+        // Validated first, so the markers match what was saved
+        this.validateScript()
+        .then(() => fetch(`/api/scripts/${scriptId || ''}`, {
             method: scriptId ? 'PUT' : 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -245,7 +571,7 @@ class ScriptEditor {
                 name: document.getElementById('script-name')?.value,
                 description: document.getElementById('script-description')?.value
             })
-        })
+        }))
         .then(response => response.json())
         .then(data => {
             if (data.success) {
@@ -267,31 +593,159 @@ class ScriptEditor {
         if (!this.editor) return;
 
         const code = this.editor.getValue();
-        
-        this.showNotification('Testing script...', 'info');
+        const scriptId = document.getElementById('script-id')?.value;
+        if (!scriptId) {
+            this.showNotification('Save the script before testing it', 'error');
+            return;
+        }
+
+        const fixtures = this.readTestFixtures();
+        if (fixtures === null) return;
+
+        // Only one test run streams into the panel at a time
+        if (this.testRun) {
+            this.testRun.abort();
+        }
+        const testRun = new AbortController();
+        this.testRun = testRun;
+        this.testExecutionId = null;
+        const breakpoints = [...this.breakpoints];
+
+        this.showTestResults('start', {});
         
         fetch('/api/scripts/test', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
                 'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').getAttribute('content')
             },
-            body: JSON.stringify({ code })
+            body: JSON.stringify({
+                script_id: scriptId,
+                code,
+                language: this.language,
+                ...(fixtures.length > 0 ? { fixtures } : {}),
+                ...(breakpoints.length > 0 ? { breakpoints } : {})
+            }),
+            signal: testRun.signal
         })
-        .then(response => response.json())
-        .then(data => {
-            if (data.success) {
-                this.showTestResults(data.result);
-            } else {
-                this.showNotification(data.message || 'Script test failed', 'error');
+        .then(response => {
+            if (!response.ok) {
+                return response.json().then(data => {
+                    this.showTestResults('error', { message: data.message || 'Script test failed' });
+                });
             }
+
+            return this.readEventStream(response, (event, data) => this.showTestResults(event, data));
         })
         .catch(error => {
+            if (error.name === 'AbortError') return;
             console.error('Test error:', error);
-            this.showNotification('Error testing script', 'error');
+            this.showTestResults('error', { message: 'Error testing script' });
+        })
+        .finally(() => {
+            if (this.testRun === testRun) {
+                this.testRun = null;
+                this.testExecutionId = null;
+                this.showDebugLine(null);
+            }
+        });
+    }
+
+    /**
+     * Replay a recorded execution against the code in the editor, without touching Laravel data
+     */
+    replayExecution(executionLogId) {
+        if (!this.editor) return;
+
+        if (this.testRun) {
+            this.testRun.abort();
+            this.testRun = null;
+        }
+
+        this.showTestResults('start', {});
+
+        fetch(`/api/scripts/executions/${executionLogId}/replay`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').getAttribute('content')
+            },
+            body: JSON.stringify({ code: this.editor.getValue() })
+        })
+        .then(response => response.json().then(data => ({ ok: response.ok, data })))
+        .then(({ ok, data }) => {
+            if (!ok) {
+                this.showTestResults('error', { message: data.message || 'Replay failed' });
+                return;
+            }
+
+            for (const entry of data.output || []) {
+                this.showTestResults('log', entry);
+            }
+            this.showTestResults('result', data);
+        })
+        .catch(error => {
+            console.error('Replay error:', error);
+            this.showTestResults('error', { message: 'Error replaying execution' });
         });
     }
 
+    /**
+     * Read dry-run fixtures from the optional #test-fixtures field; null when they are invalid
+     */
+    readTestFixtures() {
+        const source = document.getElementById('test-fixtures')?.value.trim();
+        if (!source) return [];
+
+        try {
+            const fixtures = JSON.parse(source);
+            if (!Array.isArray(fixtures)) {
+                throw new Error('Fixtures must be an array');
+            }
+            return fixtures;
+        } catch (error) {
+            this.showNotification(`Invalid test fixtures: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Parse a text/event-stream response, calling onEvent(event, data) for each JSON event
+     */
+    async readEventStream(response, onEvent) {
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += value;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                let event = 'message';
+                let data = '';
+                for (const line of frame.split('\n')) {
+                    if (line.startsWith('event:')) {
+                        event = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        data += line.slice(5).trimStart();
+                    }
+                }
+
+                // Comment-only frames are heartbeats
+                if (data) {
+                    onEvent(event, JSON.parse(data));
+                }
+            }
+        }
+    }
+
     loadVersion(versionId) {
         fetch(`/api/scripts/versions/${versionId}`)
         .then(response => response.json())
@@ -318,16 +772,222 @@ class ScriptEditor {
         });
     }
 
-    showTestResults(result) {
+    /**
+     * Render one event of a streaming test run in the test-results panel
+     */
+    showTestResults(event, data) {
         const resultsContainer = document.getElementById('test-results');
         if (!resultsContainer) return;
 
-        resultsContainer.innerHTML = `
-            <div class="test-results">
-                <h4>Test Results</h4>
-                <pre>${JSON.stringify(result, null, 2)}</pre>
-            </div>
-        `;
+        if (event === 'start') {
+            resultsContainer.innerHTML = `
+                <div class="test-results">
+                    <h4>Test Results <span class="badge bg-info test-status">Running…</span></h4>
+                    <div class="test-debugger d-none mb-2">
+                        <div class="mb-1">
+                            <button type="button" class="btn btn-sm btn-primary" data-debug-action="continue">Continue</button>
+                            <button type="button" class="btn btn-sm btn-outline-primary" data-debug-action="step">Step</button>
+                            <span class="test-debug-line small ms-2"></span>
+                        </div>
+                        <table class="table table-sm small font-monospace mb-0"><tbody class="test-locals"></tbody></table>
+                    </div>
+                    <ol class="test-output list-unstyled small font-monospace"></ol>
+                    <pre class="test-result d-none"></pre>
+                    <div class="test-dry-run d-none">
+                        <h5>Side effects <small class="text-muted">(not performed)</small></h5>
+                        <table class="table table-sm small font-monospace mb-1"><tbody class="test-side-effects"></tbody></table>
+                        <p class="test-dry-run-summary small text-muted mb-0"></p>
+                    </div>
+                    <div class="test-replay d-none">
+                        <h5>Replay <small class="test-replay-summary text-muted"></small></h5>
+                        <ol class="test-divergences small"></ol>
+                    </div>
+                </div>
+            `;
+            resultsContainer.querySelectorAll('[data-debug-action]').forEach(button => {
+                button.addEventListener('click', () => this.sendDebugCommand(button.dataset.debugAction));
+            });
+            this.showErrorMarker(null);
+            return;
+        }
+
+        const status = resultsContainer.querySelector('.test-status');
+        const output = resultsContainer.querySelector('.test-output');
+        const resultBlock = resultsContainer.querySelector('.test-result');
+        const debugPanel = resultsContainer.querySelector('.test-debugger');
+        if (!status || !output || !resultBlock || !debugPanel) return;
+
+        const appendLine = (text, className) => {
+            const line = document.createElement('li');
+            line.className = className;
+            line.textContent = text;
+            output.appendChild(line);
+            line.scrollIntoView({ block: 'nearest' });
+        };
+
+        switch (event) {
+            case 'started':
+                this.testExecutionId = data.execution_id;
+                break;
+            case 'debug_ready':
+                appendLine('Debugger attached', 'test-debug text-muted');
+                break;
+            case 'paused': {
+                status.className = 'badge test-status bg-warning text-dark';
+                status.textContent = `Paused at line ${data.line}`;
+                debugPanel.querySelector('.test-debug-line').textContent = `Line ${data.line}`;
+
+                const locals = debugPanel.querySelector('.test-locals');
+                locals.innerHTML = '';
+                for (const [name, value] of Object.entries(data.locals)) {
+                    const row = locals.insertRow();
+                    row.insertCell().textContent = name;
+                    row.insertCell().textContent = value;
+                }
+
+                debugPanel.classList.remove('d-none');
+                this.showDebugLine(data.line);
+                break;
+            }
+            case 'resumed':
+                status.className = 'badge bg-info test-status';
+                status.textContent = 'Running…';
+                debugPanel.classList.add('d-none');
+                this.showDebugLine(null);
+                break;
+            case 'log':
+                appendLine(
+                    `[${data.level}] ${data.message}${data.context !== undefined ? ' ' + JSON.stringify(data.context) : ''}`,
+                    `test-log test-log-${data.level} test-log-${data.source}`
+                );
+                break;
+            case 'api_call':
+                appendLine(`→ ${data.api}`, 'test-api-call text-muted');
+                break;
+            case 'side_effect':
+                appendLine(`✎ ${data.api} recorded, not performed`, 'test-side-effect text-warning');
+                break;
+            case 'api_result':
+                appendLine(
+                    data.ok
+                        ? `← ${data.api} (${data.duration_ms} ms)`
+                        : `← ${data.api} failed: ${data.error} (${data.duration_ms} ms)`,
+                    data.ok ? 'test-api-result text-muted' : 'test-api-result text-danger'
+                );
+                break;
+            case 'result':
+                debugPanel.classList.add('d-none');
+                this.showDebugLine(null);
+                status.className = `badge test-status ${data.success ? 'bg-success' : 'bg-danger'}`;
+                status.textContent = data.success
+                    ? `Completed in ${Math.round(data.execution_time)} ms`
+                    : data.status;
+                resultBlock.textContent = data.success
+                    ? JSON.stringify(data.result, null, 2)
+                    : data.error_details?.stack || data.error;
+                resultBlock.classList.remove('d-none');
+                this.showErrorMarker(data.success ? null : data.error_details);
+                if (data.dry_run) {
+                    this.showDryRunReport(resultsContainer, data.dry_run);
+                }
+                if (data.replay) {
+                    this.showReplayReport(resultsContainer, data.replay);
+                }
+                break;
+            case 'error':
+                debugPanel.classList.add('d-none');
+                this.showDebugLine(null);
+                status.className = 'badge test-status bg-danger';
+                status.textContent = 'Failed';
+                resultBlock.textContent = data.message;
+                resultBlock.classList.remove('d-none');
+                break;
+        }
+    }
+
+    /**
+     * Mark the line a test run failed on; cleared when the next run starts
+     */
+    showErrorMarker(details) {
+        const model = this.editor?.getModel();
+        if (!model) return;
+
+        if (!details || !details.line || details.line > model.getLineCount()) {
+            monaco.editor.setModelMarkers(model, 'execution', []);
+            return;
+        }
+
+        monaco.editor.setModelMarkers(model, 'execution', [{
+            severity: monaco.MarkerSeverity.Error,
+            startLineNumber: details.line,
+            startColumn: details.column || model.getLineFirstNonWhitespaceColumn(details.line) || 1,
+            endLineNumber: details.line,
+            endColumn: model.getLineMaxColumn(details.line),
+            message: `${details.name}: ${details.message}`
+        }]);
+        this.editor.revealLineInCenterIfOutsideViewport(details.line);
+    }
+
+    /**
+     * List the side effects a dry run recorded instead of performing
+     */
+    showDryRunReport(resultsContainer, report) {
+        const panel = resultsContainer.querySelector('.test-dry-run');
+        if (!panel) return;
+
+        const rows = panel.querySelector('.test-side-effects');
+        rows.innerHTML = '';
+        for (const effect of report.side_effects) {
+            const row = rows.insertRow();
+            row.insertCell().textContent = effect.sequence;
+            row.insertCell().textContent = effect.api;
+            row.insertCell().textContent = JSON.stringify(effect.params);
+            row.insertCell().textContent = effect.from_fixture ? JSON.stringify(effect.result) : '—';
+        }
+
+        const summary = [
+            `${report.side_effects.length + report.dropped_side_effects} side effect(s)`,
+            `${report.fixture_reads.length} read(s) answered by fixtures`,
+        ];
+        if (report.dropped_side_effects > 0) {
+            summary.push(`${report.dropped_side_effects} not listed`);
+        }
+        if (report.unknown_fixtures.length > 0) {
+            summary.push(`unknown fixture APIs: ${report.unknown_fixtures.join(', ')}`);
+        }
+        panel.querySelector('.test-dry-run-summary').textContent = summary.join(' · ');
+        panel.classList.remove('d-none');
+    }
+
+    /**
+     * List where a replay diverged from the recorded execution, first divergence first
+     */
+    showReplayReport(resultsContainer, report) {
+        const panel = resultsContainer.querySelector('.test-replay');
+        if (!panel) return;
+
+        const count = report.divergences.length + report.dropped_divergences;
+        panel.querySelector('.test-replay-summary').textContent = count === 0
+            ? `matches the recording (${report.replayed_calls} calls replayed)`
+            : `${count} divergence(s), ${report.replayed_calls} of ${report.recorded_calls} recorded calls replayed`;
+
+        const list = panel.querySelector('.test-divergences');
+        list.innerHTML = '';
+        for (const divergence of report.divergences) {
+            const item = document.createElement('li');
+            item.className = 'text-warning';
+            item.textContent = divergence.message;
+
+            if (divergence.expected !== undefined || divergence.actual !== undefined) {
+                const details = document.createElement('pre');
+                details.className = 'small text-muted mb-1';
+                details.textContent = `expected: ${JSON.stringify(divergence.expected)}\nactual:   ${JSON.stringify(divergence.actual)}`;
+                item.appendChild(details);
+            }
+            list.appendChild(item);
+        }
+
+        panel.classList.remove('d-none');
     }
 
     showNotification(message, type) {
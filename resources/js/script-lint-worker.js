@@ -0,0 +1,225 @@
+/**
+ * Local security pre-check for the script editor, run in a Web Worker so
+ * parsing never blocks typing.
+ *
+ * Applies the forbidden function and global rules that the server's
+ * AstSecurityAnalyzer enforces (the editor fetches them from
+ * /api/scripts/security-rules, so both read the same lists) and reports
+ * syntax errors. The server stays authoritative; this only makes the common
+ * mistakes visible while typing.
+ *
+ * Messages in:  { type: 'rules', rules } and { type: 'lint', id, code, language }
+ * Messages out: { id, diagnostics }, positions 1-based as in Monaco
+ */
+import { parse } from 'acorn';
+
+// Global objects; the quick fix for window.x and the like is plain x
+const GLOBAL_OBJECTS = new Set(['window', 'global', 'globalThis', 'self']);
+
+const HINTS = {
+    eval: 'parse data with JSON.parse instead',
+    Function: 'write the function directly instead',
+    fetch: 'use api.http.get or api.http.post instead',
+    XMLHttpRequest: 'use api.http.get or api.http.post instead',
+    setTimeout: 'use await api.utils.sleep(seconds) instead',
+    setInterval: 'loop with await api.utils.sleep(seconds) instead',
+    require: 'import an approved @lib library instead',
+};
+
+let forbidden = new Set();
+
+function rangeOf(node) {
+    return {
+        startLineNumber: node.loc.start.line,
+        startColumn: node.loc.start.column + 1,
+        endLineNumber: node.loc.end.line,
+        endColumn: node.loc.end.column + 1
+    };
+}
+
+function diagnostic(node, rule, message, fix = null) {
+    return { ...rangeOf(node), rule, message, fix };
+}
+
+/**
+ * Visit every node with its parent
+ */
+function walk(node, parent, visit) {
+    visit(node, parent);
+
+    for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(child => child && typeof child.type === 'string' && walk(child, node, visit));
+        } else if (value && typeof value.type === 'string') {
+            walk(value, node, visit);
+        }
+    }
+}
+
+function collectBindings(pattern, names) {
+    if (!pattern) return;
+
+    switch (pattern.type) {
+        case 'Identifier':
+            names.add(pattern.name);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(property => collectBindings(property.type === 'RestElement' ? property : property.value, names));
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => collectBindings(element, names));
+            break;
+        case 'RestElement':
+            collectBindings(pattern.argument, names);
+            break;
+        case 'AssignmentPattern':
+            collectBindings(pattern.left, names);
+            break;
+    }
+}
+
+/**
+ * Every name the script declares anywhere. Scopes are not tracked: a script
+ * that declares its own `url` anywhere is trusted to mean that one.
+ */
+function declaredNames(program) {
+    const names = new Set();
+
+    walk(program, null, node => {
+        switch (node.type) {
+            case 'VariableDeclarator':
+                collectBindings(node.id, names);
+                break;
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                collectBindings(node.id, names);
+                node.params.forEach(param => collectBindings(param, names));
+                break;
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                collectBindings(node.id, names);
+                break;
+            case 'CatchClause':
+                collectBindings(node.param, names);
+                break;
+            case 'ImportSpecifier':
+            case 'ImportDefaultSpecifier':
+            case 'ImportNamespaceSpecifier':
+                collectBindings(node.local, names);
+                break;
+        }
+    });
+
+    return names;
+}
+
+/**
+ * Whether the identifier reads a variable, rather than naming a property or label
+ */
+function isReference(node, parent) {
+    if (!parent) return true;
+
+    switch (parent.type) {
+        case 'MemberExpression':
+            return parent.object === node || parent.computed;
+        case 'Property':
+        case 'MethodDefinition':
+        case 'PropertyDefinition':
+            return parent.value === node || parent.computed;
+        case 'LabeledStatement':
+        case 'BreakStatement':
+        case 'ContinueStatement':
+        case 'MetaProperty':
+        case 'ImportSpecifier':
+        case 'ExportSpecifier':
+            return false;
+        default:
+            return true;
+    }
+}
+
+function isConstructorKey(member) {
+    return member.computed
+        ? member.property.type === 'Literal' && member.property.value === 'constructor'
+        : member.property.name === 'constructor';
+}
+
+/**
+ * The quick fix for a forbidden name, if there is an obvious one
+ */
+function fixFor(node, parent) {
+    // window.x, globalThis.x: the sandbox has no global object to reach through
+    if (GLOBAL_OBJECTS.has(node.name) && parent.type === 'MemberExpression' && parent.object === node && !parent.computed) {
+        return { title: `Remove ${node.name}.`, range: rangeOf(parent), text: parent.property.name };
+    }
+    if (node.name === 'eval' && parent.type === 'CallExpression' && parent.callee === node) {
+        return { title: 'Replace eval with JSON.parse', range: rangeOf(node), text: 'JSON.parse' };
+    }
+    return null;
+}
+
+function checkRules(program) {
+    const declared = declaredNames(program);
+    const diagnostics = [];
+
+    walk(program, null, (node, parent) => {
+        if (node.type === 'Identifier' && forbidden.has(node.name) && !declared.has(node.name) && isReference(node, parent)) {
+            const hint = HINTS[node.name];
+            const message = `${node.name} is not available to scripts${hint ? `; ${hint}` : ''}`;
+            diagnostics.push(diagnostic(node, 'forbidden-global', message, fixFor(node, parent)));
+        } else if (node.type === 'ImportExpression') {
+            diagnostics.push(diagnostic(node, 'dynamic-import', 'Dynamic import() is not available to scripts; use a static import of an approved @lib library'));
+        } else if (node.type === 'MemberExpression' && isConstructorKey(node)
+            && (node.computed || (parent.type === 'CallExpression' && parent.callee === node))) {
+            // x.constructor(...) and x['constructor'] climb to the function constructor
+            diagnostics.push(diagnostic(node.property, 'constructor-access', 'Calling or indexing .constructor is not allowed in scripts'));
+        }
+    });
+
+    return diagnostics;
+}
+
+function lint(code, language) {
+    let program;
+    try {
+        program = parse(code, {
+            ecmaVersion: 'latest',
+            sourceType: 'module',
+            // The sandbox runs the script as the body of an async function
+            allowAwaitOutsideFunction: true,
+            allowReturnOutsideFunction: true,
+            locations: true
+        });
+    } catch (error) {
+        // TypeScript syntax is not JavaScript; Monaco's TypeScript service reports real errors there
+        if (language === 'typescript' || !error.loc) return [];
+
+        const { line, column } = error.loc;
+        return [{
+            startLineNumber: line,
+            startColumn: column + 1,
+            endLineNumber: line,
+            endColumn: column + 2,
+            rule: 'syntax',
+            message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+            fix: null
+        }];
+    }
+
+    return checkRules(program);
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    if (message.type === 'rules') {
+        forbidden = new Set(message.rules.forbidden_functions || []);
+        return;
+    }
+
+    if (message.type === 'lint') {
+        self.postMessage({ id: message.id, diagnostics: lint(message.code, message.language) });
+    }
+});
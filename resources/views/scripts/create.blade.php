@@ -39,6 +39,7 @@
                         <label for="language" class="form-label">Language</label>
                         <select class="form-select @error('language') is-invalid @enderror" id="language" name="language">
                             <option value="javascript" {{ old('language') == 'javascript' ? 'selected' : '' }}>JavaScript</option>
+                            <option value="typescript" {{ old('language') == 'typescript' ? 'selected' : '' }}>TypeScript</option>
                         </select>
                         @error('language')
                             <div class="invalid-feedback">{{ $message }}</div>
@@ -195,7 +196,9 @@
                                     Make PUT request<br><br>
                                     
                                     <strong>api.http.delete(url, headers)</strong><br>
-                                    Make DELETE request
+                                    Make DELETE request<br><br>
+                                    
+                                    Each resolves to <code>{ status, headers, body, json() }</code>
                                 </small>
                             </div>
                         </div>
@@ -388,8 +391,8 @@ return {
         name: 'HTTP Request',
         description: 'Make HTTP request to external API',
         code: `// HTTP Request Script
-const response = api.http.get('https://jsonplaceholder.typicode.com/posts/1');
-const data = JSON.parse(response);
+const response = await api.http.get('https://jsonplaceholder.typicode.com/posts/1');
+const data = response.json();
 
 api.log.info('Retrieved post: ' + data.title);
 
@@ -476,7 +479,7 @@ function validateScript() {
             'Content-Type': 'application/json',
             'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').getAttribute('content')
         },
-        body: JSON.stringify({ code: code })
+        body: JSON.stringify({ code: code, language: document.getElementById('language').value })
     })
     .then(response => response.json())
     .then(data => {
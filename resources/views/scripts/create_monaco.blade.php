@@ -39,6 +39,7 @@
                         <label for="language" class="form-label">Language</label>
                         <select class="form-select @error('language') is-invalid @enderror" id="language" name="language">
                             <option value="javascript" {{ old('language') == 'javascript' ? 'selected' : '' }}>JavaScript</option>
+                            <option value="typescript" {{ old('language') == 'typescript' ? 'selected' : '' }}>TypeScript</option>
                         </select>
                         @error('language')
                             <div class="invalid-feedback">{{ $message }}</div>
@@ -175,7 +176,10 @@
                                     Insert record into table<br><br>
                                     
                                     <strong>api.database.update(table, data, conditions)</strong><br>
-                                    Update records in table
+                                    Update records in table<br><br>
+                                    
+                                    <strong>api.database.transaction(callback)</strong><br>
+                                    Apply the callback's writes atomically; rolls back if it throws
                                 </small>
                             </div>
                         </div>
@@ -200,7 +204,9 @@
                                     Make PUT request<br><br>
                                     
                                     <strong>api.http.delete(url, headers)</strong><br>
-                                    Make DELETE request
+                                    Make DELETE request<br><br>
+                                    
+                                    Each resolves to <code>{ status, headers, body, json() }</code>
                                 </small>
                             </div>
                         </div>
@@ -246,7 +252,44 @@
                                     Hash string with SHA-256<br><br>
                                     
                                     <strong>api.utils.parseJson(json)</strong><br>
-                                    Parse JSON string safely
+                                    Parse JSON string safely<br><br>
+                                    
+                                    <strong>api.utils.toJson(data)</strong><br>
+                                    Serialize a value to JSON<br><br>
+                                    
+                                    <strong>api.utils.base64Encode(value) / base64Decode(value)</strong><br>
+                                    Base64 encode or decode a UTF-8 string<br><br>
+                                    
+                                    <strong>api.utils.randomString(length)</strong><br>
+                                    Random alphanumeric string (max 100)<br><br>
+                                    
+                                    <strong>await api.utils.sleep(seconds)</strong><br>
+                                    Pause execution (max 5 seconds)
+                                </small>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="accordion-item">
+                        <h2 class="accordion-header">
+                            <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#validateApi">
+                                Validation API
+                            </button>
+                        </h2>
+                        <div id="validateApi" class="accordion-collapse collapse" data-bs-parent="#apiAccordion">
+                            <div class="accordion-body">
+                                <small>
+                                    <strong>await api.validate.validate(data, rules)</strong><br>
+                                    Apply Laravel validation rules; returns { valid, errors }<br><br>
+                                    
+                                    <strong>api.validate.isEmail(email)</strong><br>
+                                    Check an email address<br><br>
+                                    
+                                    <strong>api.validate.isUrl(url)</strong><br>
+                                    Check an absolute URL<br><br>
+                                    
+                                    <strong>api.validate.sanitize(input)</strong><br>
+                                    Strip tags and HTML-escape a string
                                 </small>
                             </div>
                         </div>
@@ -302,7 +345,11 @@ document.addEventListener('DOMContentLoaded', function() {
     scriptEditor = new ScriptEditor('monacoEditor', {
         value: document.getElementById('code').value || '',
         theme: 'vs-dark',
-        language: 'javascript'
+        language: document.getElementById('language').value
+    });
+
+    document.getElementById('language').addEventListener('change', function() {
+        scriptEditor.setLanguage(this.value);
     });
 
     // Sync editor content with textarea
@@ -348,7 +395,7 @@ return {
         description: 'Make HTTP request to external API',
         code: `// HTTP Request Script
 const response = await api.http.get('https://jsonplaceholder.typicode.com/posts/1');
-const data = JSON.parse(response);
+const data = response.json();
 
 api.log.info(\`Retrieved post: \${data.title}\`);
 
@@ -452,7 +499,7 @@ function validateScript() {
             'Content-Type': 'application/json',
             'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]').getAttribute('content')
         },
-        body: JSON.stringify({ code: code })
+        body: JSON.stringify({ code: code, language: document.getElementById('language').value })
     })
     .then(response => response.json())
     .then(data => {
@@ -55,6 +55,7 @@
                 <select name="language" class="form-select">
                     <option value="">All Languages</option>
                     <option value="javascript" {{ request('language') == 'javascript' ? 'selected' : '' }}>JavaScript</option>
+                    <option value="typescript" {{ request('language') == 'typescript' ? 'selected' : '' }}>TypeScript</option>
                 </select>
             </div>
             <div class="col-md-2">
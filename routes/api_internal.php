@@ -1,6 +1,7 @@
 <?php
 
 use App\Http\Controllers\Api\ScriptExecutorCallbackController;
+use App\Http\Middleware\VerifySidecarSignature;
 use Illuminate\Support\Facades\Route;
 
 /*
@@ -13,9 +14,14 @@ use Illuminate\Support\Facades\Route;
 |
 */
 
-Route::prefix('internal')->group(function () {
+Route::prefix('internal')->middleware(VerifySidecarSignature::class)->group(function () {
     // Script executor callback endpoint
     Route::post('/script-executor/callback', [ScriptExecutorCallbackController::class, 'handleCallback'])
         ->name('api.internal.script-executor.callback')
         ->middleware(['throttle:1000,1']); // High rate limit for internal calls
+
+    // Ordered batch of callbacks coalesced by the executor
+    Route::post('/script-executor/callback/batch', [ScriptExecutorCallbackController::class, 'handleBatchCallback'])
+        ->name('api.internal.script-executor.callback.batch')
+        ->middleware(['throttle:1000,1']);
 });
\ No newline at end of file
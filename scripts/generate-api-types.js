@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * Generate every typed view of the sandbox API from resources/scripting/api-manifest.json:
+ *
+ *  - docker/deno/api_types.ts       ApiContext interface and call bindings for the Deno executor
+ *  - resources/js/api-definitions.js declaration source for the Monaco editors
+ *
+ * The PHP callback gateway reads the manifest directly (App\Services\Scripting\ScriptApiManifest).
+ *
+ * Usage: node scripts/generate-api-types.js [--check]
+ *   --check  exit non-zero instead of writing when a generated file is stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'resources/scripting/api-manifest.json');
+const DENO_OUTPUT = path.join(ROOT, 'docker/deno/api_types.ts');
+const EDITOR_OUTPUT = path.join(ROOT, 'resources/js/api-definitions.js');
+const TRANSPORTS = ['local', 'host'];
+const HEADER = '// Generated by scripts/generate-api-types.js from resources/scripting/api-manifest.json.\n'
+    + '// Do not edit by hand; run `npm run generate:api` instead.\n';
+
+function loadManifest() {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+    for (const [name, namespace] of Object.entries(manifest.namespaces || {})) {
+        if (!TRANSPORTS.includes(namespace.transport)) {
+            throw new Error(`Namespace "${name}" must declare transport "local" or "host"`);
+        }
+        for (const [methodName, method] of Object.entries(namespace.methods)) {
+            if (method.transport !== undefined && !TRANSPORTS.includes(method.transport)) {
+                throw new Error(`Method "${name}.${methodName}" has an invalid transport override`);
+            }
+            if (method.side_effect && transportOf(namespace, method) !== 'host') {
+                throw new Error(`Method "${name}.${methodName}" has side effects, so it must run on the host`);
+            }
+        }
+    }
+    for (const [name, fn] of Object.entries(manifest.functions || {})) {
+        if (fn.transport !== 'local') {
+            throw new Error(`Top-level function "${name}" must be local`);
+        }
+    }
+
+    return manifest;
+}
+
+// Methods may override their namespace's transport, e.g. validate.validate runs on the host
+function transportOf(namespace, method) {
+    return method.transport || namespace.transport;
+}
+
+function signature(method) {
+    const params = method.params
+        .map(param => `${param.name}${param.optional ? '?' : ''}: ${param.type}`)
+        .join(', ');
+    return `(${params}) => ${method.returns}`;
+}
+
+function docComment(description, indent) {
+    return description ? `${indent}/** ${description} */\n` : '';
+}
+
+/**
+ * Render the object type of `api`, one member per line
+ */
+function renderApiType(manifest, indent, step) {
+    let out = '';
+
+    for (const [name, namespace] of Object.entries(manifest.namespaces)) {
+        out += docComment(namespace.description, indent);
+        out += `${indent}${name}: {\n`;
+        for (const [methodName, method] of Object.entries(namespace.methods)) {
+            out += docComment(method.description, indent + step);
+            out += `${indent}${step}${methodName}: ${signature(method)};\n`;
+        }
+        out += `${indent}};\n`;
+    }
+
+    for (const [name, fn] of Object.entries(manifest.functions || {})) {
+        out += docComment(fn.description, indent);
+        out += `${indent}${name}: ${signature(fn)};\n`;
+    }
+
+    return out;
+}
+
+function collectBindings(manifest) {
+    const bindings = [];
+
+    for (const [name, namespace] of Object.entries(manifest.namespaces)) {
+        for (const [methodName, method] of Object.entries(namespace.methods)) {
+            bindings.push({
+                namespace: name,
+                method: methodName,
+                params: method.params.map(param => param.name),
+                transport: transportOf(namespace, method),
+                sideEffect: Boolean(method.side_effect),
+            });
+        }
+    }
+
+    for (const [name, fn] of Object.entries(manifest.functions || {})) {
+        bindings.push({
+            namespace: null,
+            method: name,
+            params: fn.params.map(param => param.name),
+            transport: fn.transport,
+            sideEffect: false,
+        });
+    }
+
+    return bindings;
+}
+
+/**
+ * The subset of ApiContext the sandbox implements itself, as a TypeScript type
+ */
+function renderLocalApiType(manifest) {
+    const members = [];
+
+    for (const [name, namespace] of Object.entries(manifest.namespaces)) {
+        const methods = Object.entries(namespace.methods);
+        const local = methods
+            .filter(([, method]) => transportOf(namespace, method) === 'local')
+            .map(([methodName]) => methodName);
+
+        if (local.length === methods.length) {
+            members.push(`  ${name}: ApiContext['${name}'];`);
+        } else if (local.length > 0) {
+            members.push(`  ${name}: Pick<ApiContext['${name}'], ${local.map(methodName => `'${methodName}'`).join(' | ')}>;`);
+        }
+    }
+    for (const name of Object.keys(manifest.functions || {})) {
+        members.push(`  ${name}: ApiContext['${name}'];`);
+    }
+
+    return `{\n${members.join('\n')}\n}`;
+}
+
+/**
+ * Ambient declarations of the script globals, shared by Monaco and the sidecar's TypeScript checker
+ */
+function renderScriptDeclarations(manifest) {
+    return `declare const api: {\n${renderApiType(manifest, '    ', '    ')}};\n`
+        + 'declare const ctx: Readonly<Record<string, any>>;\n';
+}
+
+function templateLiteral(text) {
+    return '`' + text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${') + '`';
+}
+
+function renderDenoTypes(manifest) {
+    const quote = value => (value === null ? 'null' : `'${value}'`);
+    const bindings = collectBindings(manifest)
+        .map(binding => `  { namespace: ${quote(binding.namespace)}, method: ${quote(binding.method)}, `
+            + `params: [${binding.params.map(quote).join(', ')}], transport: ${quote(binding.transport)}, `
+            + `sideEffect: ${binding.sideEffect} },`)
+        .join('\n');
+
+    return `${HEADER}
+export interface ApiContext {
+${renderApiType(manifest, '  ', '  ')}}
+
+// Members implemented inside the sandbox itself; everything else is forwarded to Laravel
+export type LocalApi = ${renderLocalApiType(manifest)};
+
+export interface ApiBinding {
+  // null for top-level functions such as getScriptInfo
+  namespace: string | null;
+  method: string;
+  // Positional argument names, in call order
+  params: string[];
+  transport: 'local' | 'host';
+  // Writes or reaches outside the application; recorded instead of performed in dry runs
+  sideEffect: boolean;
+}
+
+export const API_VERSION = ${manifest.version};
+
+export const API_BINDINGS: ApiBinding[] = [
+${bindings}
+];
+
+// Declarations TypeScript scripts are checked against
+export const API_DECLARATIONS = ${templateLiteral(renderScriptDeclarations(manifest))};
+`;
+}
+
+function renderEditorDefinitions(manifest) {
+    return `${HEADER}
+// Declarations for the sandbox \`api\` and \`ctx\` globals, shared by every Monaco editor instance
+export const API_DEFINITIONS = ${templateLiteral(renderScriptDeclarations(manifest))};
+
+export const API_DEFINITIONS_URI = 'ts:filename/api.d.ts';
+`;
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const manifest = loadManifest();
+    const outputs = [
+        [DENO_OUTPUT, renderDenoTypes(manifest)],
+        [EDITOR_OUTPUT, renderEditorDefinitions(manifest)],
+    ];
+
+    let stale = false;
+    for (const [file, contents] of outputs) {
+        const relative = path.relative(ROOT, file);
+        const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+        if (current === contents) {
+            continue;
+        }
+        if (check) {
+            console.error(`${relative} is out of date with the API manifest`);
+            stale = true;
+            continue;
+        }
+        fs.writeFileSync(file, contents);
+        console.log(`Wrote ${relative}`);
+    }
+
+    if (stale) {
+        console.error('Run `npm run generate:api` and commit the result.');
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,97 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Middleware\VerifySidecarSignature;
+use App\Models\Client;
+use App\Models\Script;
+use App\Models\ScriptExecutionLog;
+use App\Services\Scripting\ScriptStorageService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Mockery;
+use Tests\TestCase;
+
+class ScriptExecutorCallbackControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected ScriptExecutionLog $execution;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        // Signatures are covered by SidecarRequestSignerTest
+        $this->withoutMiddleware(VerifySidecarSignature::class);
+
+        $client = Client::factory()->create();
+        $script = Script::factory()->create(['client_id' => $client->id]);
+        $this->execution = ScriptExecutionLog::factory()->create([
+            'script_id' => $script->id,
+            'client_id' => $client->id,
+            'status' => 'running',
+        ]);
+    }
+
+    public function test_batch_results_follow_call_order_and_failures_stay_isolated()
+    {
+        $storage = Mockery::mock(ScriptStorageService::class);
+        $storage->shouldReceive('set')->with(Mockery::any(), 'counter', 1, null)->once()->ordered()->andReturn(true);
+        $storage->shouldReceive('get')->with(Mockery::any(), 'missing')->once()->ordered()
+            ->andThrow(new \RuntimeException('Storage key "missing" is not readable'));
+        $storage->shouldReceive('get')->with(Mockery::any(), 'counter')->once()->ordered()->andReturn(1);
+        $this->app->instance(ScriptStorageService::class, $storage);
+
+        $response = $this->postJson(route('api.internal.script-executor.callback.batch'), [
+            'execution_id' => (string) $this->execution->id,
+            'calls' => [
+                ['type' => 'storage', 'method' => 'set', 'params' => ['key' => 'counter', 'value' => 1]],
+                ['type' => 'storage', 'method' => 'get', 'params' => ['key' => 'missing']],
+                ['type' => 'storage', 'method' => 'drop', 'params' => []],
+                ['type' => 'storage', 'method' => 'get', 'params' => ['key' => 'counter']],
+            ],
+        ]);
+
+        $response->assertStatus(200)->assertExactJson([
+            'success' => true,
+            'results' => [
+                ['success' => true, 'result' => true],
+                ['success' => false, 'error' => 'Storage key "missing" is not readable'],
+                ['success' => false, 'error' => 'Unknown API method: storage.drop'],
+                ['success' => true, 'result' => 1],
+            ],
+        ]);
+    }
+
+    public function test_batch_for_an_execution_that_is_no_longer_running_runs_no_calls()
+    {
+        $storage = Mockery::mock(ScriptStorageService::class);
+        $storage->shouldNotReceive('set');
+        $this->app->instance(ScriptStorageService::class, $storage);
+        $this->execution->update(['status' => 'completed']);
+
+        $this->postJson(route('api.internal.script-executor.callback.batch'), [
+            'execution_id' => (string) $this->execution->id,
+            'calls' => [
+                ['type' => 'storage', 'method' => 'set', 'params' => ['key' => 'counter', 'value' => 1]],
+            ],
+        ])->assertStatus(404);
+    }
+
+    public function test_batch_larger_than_the_limit_is_rejected()
+    {
+        config(['scripting.deno.callback_batching.max_batch_size' => 2]);
+        $call = ['type' => 'storage', 'method' => 'get', 'params' => ['key' => 'counter']];
+
+        $this->postJson(route('api.internal.script-executor.callback.batch'), [
+            'execution_id' => (string) $this->execution->id,
+            'calls' => [$call, $call, $call],
+        ])->assertStatus(400)->assertJson(['success' => false]);
+    }
+
+    protected function tearDown(): void
+    {
+        Mockery::close();
+        parent::tearDown();
+    }
+}
@@ -0,0 +1,58 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Models\Script;
+use App\Services\DenoScriptingService;
+use Tests\TestCase;
+
+class DenoScriptingServiceTest extends TestCase
+{
+    protected DenoScriptingService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        // scriptHash() reads nothing from the service's collaborators
+        $this->service = (new \ReflectionClass(DenoScriptingService::class))->newInstanceWithoutConstructor();
+    }
+
+    public function test_script_hash_matches_the_sidecar()
+    {
+        // Shared with docker/deno/tests/compile_cache_test.ts
+        $fixture = json_decode(file_get_contents(base_path('tests/fixtures/compile-cache-hash.json')), true);
+
+        $script = new Script([
+            'client_id' => $fixture['client_id'],
+            'language' => $fixture['language'],
+            'code' => $fixture['code'],
+        ]);
+
+        $this->assertEquals($fixture['script_hash'], $this->scriptHash($script, $fixture['modules']));
+    }
+
+    public function test_same_named_libraries_of_two_clients_never_share_a_cache_entry()
+    {
+        $code = "import { sum } from '@lib/x';\nreturn sum(1, 2);";
+        $scriptA = new Script(['client_id' => 1, 'language' => 'javascript', 'code' => $code]);
+        $scriptB = new Script(['client_id' => 2, 'language' => 'javascript', 'code' => $code]);
+
+        $libraryA = ['@lib/x' => ['version' => '1', 'code' => 'export const sum = (a, b) => a + b;']];
+        $libraryB = ['@lib/x' => ['version' => '1', 'code' => 'export const sum = () => globalThis.leaked;']];
+
+        $this->assertNotEquals($this->scriptHash($scriptA, $libraryA), $this->scriptHash($scriptB, $libraryB));
+        // Even byte-identical libraries are cached per client
+        $this->assertNotEquals($this->scriptHash($scriptA, $libraryA), $this->scriptHash($scriptB, $libraryA));
+        // A library republished under the same version is a new entry
+        $this->assertNotEquals($this->scriptHash($scriptA, $libraryA), $this->scriptHash($scriptA, $libraryB));
+    }
+
+    protected function scriptHash(Script $script, array $modules): string
+    {
+        $method = new \ReflectionMethod(DenoScriptingService::class, 'scriptHash');
+        $method->setAccessible(true);
+
+        return $method->invoke($this->service, $script, $modules);
+    }
+}
@@ -0,0 +1,192 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Exceptions\ApiAccessDeniedException;
+use App\Models\Client;
+use App\Models\Script;
+use App\Models\ScriptExecutionLog;
+use App\Services\Scripting\ScriptSecretService;
+use App\Services\Security\SecretManager;
+use Tests\TestCase;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Mockery;
+
+class ScriptSecretServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    // Slashes and quotes are escaped when the value appears inside JSON text
+    protected const SECRET = 'sk_live/4f"9a';
+
+    protected ScriptSecretService $secrets;
+    protected SecretManager $secretManager;
+    protected Client $client;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->secretManager = Mockery::mock(SecretManager::class)->makePartial();
+        $this->secretManager->shouldReceive('secretExists')
+            ->andReturnUsing(fn (Client $client, string $name) => $name === 'stripe_key');
+        $this->secretManager->shouldReceive('getSecret')
+            ->andReturnUsing(fn (Client $client, string $name) => $name === 'stripe_key' ? self::SECRET : null);
+
+        $this->secrets = new ScriptSecretService($this->secretManager);
+        $this->client = Client::factory()->create();
+    }
+
+    public function test_handle_resolves_only_in_the_execution_it_was_issued_to()
+    {
+        $script = $this->scriptAllowing(['stripe_key']);
+        $execution = $this->executionOf($script);
+        $other = $this->executionOf($script);
+
+        $handle = $this->secrets->handle($script, $execution, 'stripe_key');
+        $this->assertStringNotContainsString(self::SECRET, $handle);
+
+        $resolved = [];
+        $headers = $this->secrets->resolveHandles(['Authorization' => "Bearer {$handle}"], $script, $execution, $resolved);
+        $this->assertEquals(['Authorization' => 'Bearer ' . self::SECRET], $headers);
+        $this->assertEquals(['stripe_key' => self::SECRET], $resolved);
+
+        $this->expectException(ApiAccessDeniedException::class);
+        $this->secrets->resolveHandles(['Authorization' => "Bearer {$handle}"], $script, $other, $resolved);
+    }
+
+    public function test_forged_handles_are_rejected()
+    {
+        $script = $this->scriptAllowing(['stripe_key']);
+        $execution = $this->executionOf($script);
+        $resolved = [];
+
+        $this->expectException(ApiAccessDeniedException::class);
+        $this->secrets->resolveHandles('{{secret:stripe_key:' . str_repeat('0', 32) . '}}', $script, $execution, $resolved);
+    }
+
+    public function test_a_signature_cannot_be_moved_to_another_name()
+    {
+        $script = $this->scriptAllowing(['*']);
+        $execution = $this->executionOf($script);
+        $handle = $this->secrets->handle($script, $execution, 'stripe_key');
+        $resolved = [];
+
+        $this->expectException(ApiAccessDeniedException::class);
+        $this->secrets->resolveHandles(str_replace('stripe_key', 'github_token', $handle), $script, $execution, $resolved);
+    }
+
+    public function test_handles_are_not_issued_for_unknown_or_invalid_names()
+    {
+        $script = $this->scriptAllowing(['*']);
+        $execution = $this->executionOf($script);
+
+        foreach (['github_token', 'bad name', '../stripe_key'] as $name) {
+            try {
+                $this->secrets->handle($script, $execution, $name);
+                $this->fail("A handle was issued for {$name}");
+            } catch (\InvalidArgumentException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+
+    public function test_handles_are_only_issued_for_names_on_the_allow_list()
+    {
+        $listed = $this->scriptAllowing(['stripe_key']);
+        $this->assertMatchesRegularExpression(
+            ScriptSecretService::HANDLE_PATTERN,
+            $this->secrets->handle($listed, $this->executionOf($listed), 'stripe_key')
+        );
+
+        $wildcard = $this->scriptAllowing(['*']);
+        $this->assertMatchesRegularExpression(
+            ScriptSecretService::HANDLE_PATTERN,
+            $this->secrets->handle($wildcard, $this->executionOf($wildcard), 'stripe_key')
+        );
+
+        foreach ([$this->scriptAllowing(['other_key']), $this->scriptAllowing(null)] as $script) {
+            try {
+                $this->secrets->handle($script, $this->executionOf($script), 'stripe_key');
+                $this->fail('A handle was issued for a secret the script does not list');
+            } catch (ApiAccessDeniedException $e) {
+                $this->assertStringContainsString('stripe_key', $e->getMessage());
+            }
+        }
+    }
+
+    public function test_output_and_error_are_redacted_of_issued_secrets()
+    {
+        $script = $this->scriptAllowing(['stripe_key']);
+        $execution = $this->executionOf($script);
+        $this->secrets->handle($script, $execution, 'stripe_key');
+
+        $response = $this->secrets->redactExecution($execution, [
+            'success' => false,
+            'result' => ['echo' => 'key=' . self::SECRET],
+            'output' => [['level' => 'info', 'message' => 'Using ' . self::SECRET, 'context' => ['key' => self::SECRET]]],
+            'error' => 'Request failed for ' . self::SECRET,
+            'memory_used' => 1024,
+        ]);
+
+        $this->assertEquals([
+            'success' => false,
+            'result' => ['echo' => 'key=[secret:stripe_key]'],
+            'output' => [['level' => 'info', 'message' => 'Using [secret:stripe_key]', 'context' => ['key' => '[secret:stripe_key]']]],
+            'error' => 'Request failed for [secret:stripe_key]',
+            'memory_used' => 1024,
+        ], $response);
+    }
+
+    public function test_stream_events_and_recordings_are_redacted_including_json_text()
+    {
+        $script = $this->scriptAllowing(['stripe_key']);
+        $execution = $this->executionOf($script);
+        $this->secrets->handle($script, $execution, 'stripe_key');
+
+        $event = $this->secrets->redactExecution($execution, ['id' => 1, 'api' => 'log.info', 'message' => self::SECRET]);
+        $this->assertEquals('[secret:stripe_key]', $event['message']);
+
+        // A recorded HTTP body holds the value JSON-encoded, with its slash and quote escaped
+        $body = json_encode(['token' => self::SECRET]);
+        $recording = $this->secrets->redactExecution($execution, [
+            'recording' => ['calls' => [['api' => 'http.post', 'result' => ['status' => 200, 'body' => $body]]]],
+        ]);
+
+        $redactedBody = $recording['recording']['calls'][0]['result']['body'];
+        $this->assertEquals('{"token":"[secret:stripe_key]"}', $redactedBody);
+        $this->assertStringNotContainsString(substr(json_encode(self::SECRET), 1, -1), $redactedBody);
+    }
+
+    public function test_nothing_is_redacted_once_the_execution_is_forgotten()
+    {
+        $script = $this->scriptAllowing(['stripe_key']);
+        $execution = $this->executionOf($script);
+        $this->secrets->handle($script, $execution, 'stripe_key');
+        $this->secrets->forget($execution);
+
+        $this->assertEquals(['output' => self::SECRET], $this->secrets->redactExecution($execution, ['output' => self::SECRET]));
+    }
+
+    protected function scriptAllowing(?array $secrets): Script
+    {
+        return Script::factory()->create([
+            'client_id' => $this->client->id,
+            'configuration' => $secrets === null ? [] : ['permissions' => ['secrets' => $secrets]],
+        ]);
+    }
+
+    protected function executionOf(Script $script): ScriptExecutionLog
+    {
+        return ScriptExecutionLog::factory()->create([
+            'script_id' => $script->id,
+            'client_id' => $script->client_id,
+        ]);
+    }
+
+    protected function tearDown(): void
+    {
+        Mockery::close();
+        parent::tearDown();
+    }
+}
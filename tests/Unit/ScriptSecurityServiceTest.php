@@ -244,6 +244,59 @@ class ScriptSecurityServiceTest extends TestCase
         $this->assertFalse($result);
     }
 
+    public function test_cannot_access_forbidden_domain_or_method()
+    {
+        $client = Client::factory()->create([
+            'settings' => [
+                'permissions' => ['http.access'],
+                'http' => [
+                    'allowed_domains' => ['*.example.com'],
+                    'forbidden_domains' => ['admin.example.com'],
+                    'allowed_methods' => ['GET'],
+                ],
+            ]
+        ]);
+        $script = Script::factory()->create([
+            'client_id' => $client->id,
+            'configuration' => ['permissions' => ['http' => true]]
+        ]);
+
+        $this->assertFalse($this->securityService->canAccessUrl($script, 'https://admin.example.com/users'));
+        $this->assertFalse($this->securityService->canAccessUrl($script, 'https://api.example.com/data', 'POST'));
+        $this->assertFalse($this->securityService->canAccessUrl($script, 'https://evilexample.com/data'));
+    }
+
+    public function test_client_allowed_domains_replace_the_configured_list()
+    {
+        config(['scripting.http.allowed_domains' => ['api.example.com']]);
+
+        $client = Client::factory()->create([
+            'settings' => [
+                'permissions' => ['http.access'],
+                'http' => ['allowed_domains' => ['partner.example.org']],
+            ]
+        ]);
+        $script = Script::factory()->create([
+            'client_id' => $client->id,
+            'configuration' => ['permissions' => ['http' => true]]
+        ]);
+
+        $this->assertEquals(['partner.example.org'], $this->securityService->httpPolicy($script)['allowed_domains']);
+        $this->assertTrue($this->securityService->canAccessUrl($script, 'https://partner.example.org/orders'));
+        $this->assertFalse($this->securityService->canAccessUrl($script, 'https://api.example.com/data'));
+    }
+
+    public function test_private_and_embedded_private_addresses_are_not_public()
+    {
+        foreach (['127.0.0.1', '10.0.0.1', '100.64.0.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1', '64:ff9b::a00:1', 'not-an-address'] as $address) {
+            $this->assertFalse($this->securityService->isPublicAddress($address), $address);
+        }
+
+        foreach (['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'] as $address) {
+            $this->assertTrue($this->securityService->isPublicAddress($address), $address);
+        }
+    }
+
     public function test_can_dispatch_event_with_permissions()
     {
         $client = Client::factory()->create([
@@ -0,0 +1,126 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Models\Client;
+use App\Models\Script;
+use App\Models\ScriptStorageEntry;
+use App\Services\Scripting\ScriptStorageService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ScriptStorageServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected ScriptStorageService $storage;
+    protected Script $script;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config([
+            'scripting.storage.max_value_size' => 20,
+            'scripting.storage.max_keys_per_script' => 2,
+            'scripting.storage.max_bytes_per_client' => 30,
+            'scripting.storage.default_ttl' => null,
+            'scripting.storage.max_ttl' => 3600,
+        ]);
+        $this->storage = new ScriptStorageService();
+
+        $client = Client::factory()->create();
+        $this->script = Script::factory()->create(['client_id' => $client->id]);
+    }
+
+    public function test_values_larger_than_the_limit_are_rejected()
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Storage value is 22 bytes; the limit is 20 bytes');
+
+        $this->storage->set($this->script, 'note', str_repeat('x', 20));
+    }
+
+    public function test_key_quota_counts_live_keys_only()
+    {
+        $this->storage->set($this->script, 'a', 1);
+        $this->storage->set($this->script, 'b', 2, 60);
+
+        // Overwriting a key does not take another slot
+        $this->storage->set($this->script, 'a', 3);
+
+        try {
+            $this->storage->set($this->script, 'c', 4);
+            $this->fail('A third key was stored');
+        } catch (\RuntimeException $e) {
+            $this->assertEquals('Storage quota exceeded: scripts may store at most 2 keys', $e->getMessage());
+        }
+
+        // Once "b" expires its slot is free again
+        $this->travel(61)->seconds();
+        $this->storage->set($this->script, 'c', 4);
+
+        $this->assertEquals(2, $this->storage->getUsage($this->script)['script_keys']);
+    }
+
+    public function test_client_byte_quota_spans_scripts_and_credits_replaced_values()
+    {
+        $other = Script::factory()->create(['client_id' => $this->script->client_id]);
+
+        $this->storage->set($this->script, 'a', str_repeat('x', 10)); // 12 bytes
+        $this->storage->set($other, 'a', str_repeat('y', 10));        // 24 bytes in total
+
+        // Replacing a 12 byte value with 16 bytes stays within 30
+        $this->storage->set($this->script, 'a', str_repeat('x', 14));
+
+        $this->expectException(\RuntimeException::class);
+        $this->expectExceptionMessage('Storage quota exceeded: client storage is limited to 30 bytes');
+        $this->storage->set($other, 'b', 'zz');
+    }
+
+    public function test_entries_expire_after_their_ttl()
+    {
+        $this->storage->set($this->script, 'session', ['user' => 7], 60);
+        $this->assertEquals(['user' => 7], $this->storage->get($this->script, 'session'));
+
+        $this->travel(61)->seconds();
+
+        $this->assertNull($this->storage->get($this->script, 'session'));
+        $this->assertFalse($this->storage->delete($this->script, 'session'));
+        $this->assertEquals(0, ScriptStorageEntry::count());
+    }
+
+    public function test_ttls_are_capped_and_default_to_the_configured_value()
+    {
+        $this->storage->set($this->script, 'capped', 1, 7 * 24 * 3600);
+        $this->storage->set($this->script, 'forever', 2);
+
+        $capped = ScriptStorageEntry::where('key', 'capped')->first();
+        $this->assertEqualsWithDelta(now()->addHour()->timestamp, $capped->expires_at->timestamp, 2);
+        $this->assertNull(ScriptStorageEntry::where('key', 'forever')->first()->expires_at);
+
+        config(['scripting.storage.default_ttl' => 300]);
+        $storage = new ScriptStorageService();
+        $storage->set($this->script, 'forever', 3);
+
+        $this->assertEqualsWithDelta(
+            now()->addMinutes(5)->timestamp,
+            ScriptStorageEntry::where('key', 'forever')->first()->expires_at->timestamp,
+            2
+        );
+
+        $this->expectExceptionMessage('Storage TTL must be a positive number of seconds');
+        $storage->set($this->script, 'never', 4, 0);
+    }
+
+    public function test_pruning_removes_only_expired_entries()
+    {
+        $this->storage->set($this->script, 'short', 1, 10);
+        $this->storage->set($this->script, 'long', 2, 600);
+
+        $this->travel(11)->seconds();
+
+        $this->assertEquals(1, $this->storage->pruneExpired());
+        $this->assertEquals(['long'], ScriptStorageEntry::pluck('key')->all());
+    }
+}
@@ -0,0 +1,132 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Models\Client;
+use App\Models\Script;
+use App\Models\ScriptExecutionLog;
+use App\Services\Scripting\ScriptTransactionService;
+use Illuminate\Database\QueryException;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+use Tests\TestCase;
+
+class ScriptTransactionServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected ScriptTransactionService $transactions;
+    protected ScriptExecutionLog $execution;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config(['scripting.database.max_transaction_operations' => 3]);
+        $this->transactions = new ScriptTransactionService();
+
+        $client = Client::factory()->create();
+        $script = Script::factory()->create(['client_id' => $client->id]);
+        $this->execution = ScriptExecutionLog::factory()->create([
+            'script_id' => $script->id,
+            'client_id' => $client->id,
+            'status' => 'running',
+        ]);
+
+        Schema::create('transaction_test_orders', function (Blueprint $table) {
+            $table->id();
+            $table->string('reference')->unique();
+        });
+    }
+
+    public function test_writes_are_journaled_until_commit()
+    {
+        $this->assertFalse($this->transactions->isOpen($this->execution));
+        $this->assertEquals(['open' => true], $this->transactions->begin($this->execution));
+        $this->assertTrue($this->transactions->isOpen($this->execution));
+
+        $this->assertEquals(['queued' => true, 'operation' => 1], $this->transactions->record($this->execution, 'insert', ['reference' => 'A-1']));
+        $this->assertEquals(['queued' => true, 'operation' => 2], $this->transactions->record($this->execution, 'insert', ['reference' => 'A-2']));
+
+        // Nothing reaches the database before the commit
+        $this->assertEquals(0, DB::table('transaction_test_orders')->count());
+
+        $result = $this->transactions->commit($this->execution, fn (string $method, array $params) => $this->write($method, $params));
+
+        $this->assertEquals(['committed' => true, 'results' => [true, true]], $result);
+        $this->assertEquals(['A-1', 'A-2'], DB::table('transaction_test_orders')->orderBy('id')->pluck('reference')->all());
+        $this->assertFalse($this->transactions->isOpen($this->execution));
+    }
+
+    public function test_journal_is_bounded_and_requires_an_open_transaction()
+    {
+        try {
+            $this->transactions->record($this->execution, 'insert', ['reference' => 'A-1']);
+            $this->fail('A write was journaled without an open transaction');
+        } catch (\RuntimeException $e) {
+            $this->assertEquals('No transaction is open for this execution', $e->getMessage());
+        }
+
+        $this->transactions->begin($this->execution);
+        try {
+            $this->transactions->begin($this->execution);
+            $this->fail('A second transaction was opened');
+        } catch (\RuntimeException $e) {
+            $this->assertEquals('A transaction is already open for this execution', $e->getMessage());
+        }
+
+        foreach (['A-1', 'A-2', 'A-3'] as $reference) {
+            $this->transactions->record($this->execution, 'insert', ['reference' => $reference]);
+        }
+
+        $this->expectExceptionMessage('A transaction may contain at most 3 write operations');
+        $this->transactions->record($this->execution, 'insert', ['reference' => 'A-4']);
+    }
+
+    public function test_a_failing_write_rolls_back_the_whole_commit()
+    {
+        $this->transactions->begin($this->execution);
+        $this->transactions->record($this->execution, 'insert', ['reference' => 'A-1']);
+        // Violates the unique index after the first write has been applied
+        $this->transactions->record($this->execution, 'insert', ['reference' => 'A-1']);
+
+        try {
+            $this->transactions->commit($this->execution, fn (string $method, array $params) => $this->write($method, $params));
+            $this->fail('The commit succeeded despite a failing write');
+        } catch (QueryException $e) {
+            // Expected
+        }
+
+        $this->assertEquals(0, DB::table('transaction_test_orders')->count());
+        // The journal is spent; the script has to begin again
+        $this->assertFalse($this->transactions->isOpen($this->execution));
+    }
+
+    public function test_rollback_discards_the_journal()
+    {
+        $this->assertEquals(['rolled_back' => false], $this->transactions->rollback($this->execution));
+
+        $this->transactions->begin($this->execution);
+        $this->transactions->record($this->execution, 'insert', ['reference' => 'A-1']);
+        $this->transactions->record($this->execution, 'insert', ['reference' => 'A-2']);
+
+        $this->assertEquals(
+            ['rolled_back' => true, 'discarded_operations' => 2],
+            $this->transactions->rollback($this->execution)
+        );
+        $this->assertFalse($this->transactions->isOpen($this->execution));
+        $this->assertEquals(0, DB::table('transaction_test_orders')->count());
+
+        // A rollback sent again, e.g. by both the executor and Laravel's own cleanup, is harmless
+        $this->assertEquals(['rolled_back' => false], $this->transactions->rollback($this->execution));
+    }
+
+    protected function write(string $method, array $params): bool
+    {
+        $this->assertEquals('insert', $method);
+
+        return DB::table('transaction_test_orders')->insert($params);
+    }
+}
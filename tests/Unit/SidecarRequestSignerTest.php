@@ -0,0 +1,136 @@
+<?php
+
+namespace Tests\Unit;
+
+use App\Http\Middleware\VerifySidecarSignature;
+use App\Services\Scripting\SidecarRequestSigner;
+use Illuminate\Http\Request;
+use Tests\TestCase;
+
+class SidecarRequestSignerTest extends TestCase
+{
+    protected const PATH = '/api/internal/script-executor/callback';
+    protected const BODY = '{"type":"log","method":"info","params":{"message":"hi"},"execution_id":"42"}';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config([
+            'scripting.deno.signing.keys' => 'k1:first-secret',
+            'scripting.deno.signing.current_key' => null,
+            'scripting.deno.signing.max_skew' => 300,
+        ]);
+    }
+
+    public function test_signature_matches_the_sidecar()
+    {
+        // Shared with docker/deno/tests/request_signing_test.ts
+        $fixture = json_decode(file_get_contents(base_path('tests/fixtures/sidecar-signature.json')), true);
+
+        $canonical = implode("\n", [$fixture['method'], $fixture['path'], $fixture['timestamp'], $fixture['nonce'], hash('sha256', $fixture['body'])]);
+        $this->assertEquals($fixture['canonical'], $canonical);
+
+        // The fixture's timestamp is long past; only the signature is under test here
+        config([
+            'scripting.deno.signing.keys' => "{$fixture['key_id']}:{$fixture['secret']}",
+            'scripting.deno.signing.max_skew' => 1000000000,
+        ]);
+        $request = $this->request([
+            'X-Key-Id' => $fixture['key_id'],
+            'X-Timestamp' => $fixture['timestamp'],
+            'X-Nonce' => $fixture['nonce'],
+            'X-Signature' => $fixture['signature'],
+        ], $fixture['body'], $fixture['path']);
+
+        $this->assertNull((new SidecarRequestSigner())->verify($request));
+    }
+
+    public function test_unsigned_callback_is_rejected_with_401()
+    {
+        $middleware = new VerifySidecarSignature(new SidecarRequestSigner());
+
+        $response = $middleware->handle($this->request([]), fn () => response()->json(['success' => true]));
+
+        $this->assertEquals(401, $response->getStatusCode());
+        $this->assertFalse($response->getData(true)['success']);
+        $this->assertStringContainsString('not signed', $response->getData(true)['error']);
+    }
+
+    public function test_signed_callback_passes_the_middleware()
+    {
+        $signer = new SidecarRequestSigner();
+        $middleware = new VerifySidecarSignature($signer);
+
+        $response = $middleware->handle($this->signedRequest($signer), fn () => response()->json(['success' => true]));
+
+        $this->assertEquals(200, $response->getStatusCode());
+    }
+
+    public function test_stale_timestamp_is_rejected()
+    {
+        $signer = new SidecarRequestSigner();
+        $headers = $signer->headers('POST', self::PATH, self::BODY);
+        $headers['X-Timestamp'] = (string) (time() - 301);
+
+        $this->assertEquals('Signature timestamp is outside the allowed window', $signer->verify($this->request($headers)));
+    }
+
+    public function test_replayed_nonce_is_rejected()
+    {
+        $signer = new SidecarRequestSigner();
+        $headers = $signer->headers('POST', self::PATH, self::BODY);
+
+        $this->assertNull($signer->verify($this->request($headers)));
+        $this->assertEquals('Nonce has already been used', $signer->verify($this->request($headers)));
+    }
+
+    public function test_unknown_key_and_tampered_body_are_rejected()
+    {
+        $signer = new SidecarRequestSigner();
+        $headers = $signer->headers('POST', self::PATH, self::BODY);
+
+        $this->assertEquals('Unknown signing key: k9', $signer->verify($this->request(['X-Key-Id' => 'k9'] + $headers)));
+        $this->assertEquals('Invalid signature', $signer->verify($this->request($headers, str_replace('hi', 'bye', self::BODY))));
+    }
+
+    public function test_keys_rotate_without_rejecting_either_key()
+    {
+        $before = new SidecarRequestSigner();
+        $oldRequest = $this->signedRequest($before);
+
+        // The new key is added on both sides and becomes current; the old one is still accepted
+        config([
+            'scripting.deno.signing.keys' => 'k1:first-secret,k2:second-secret',
+            'scripting.deno.signing.current_key' => 'k2',
+        ]);
+        $after = new SidecarRequestSigner();
+        $newRequest = $this->signedRequest($after);
+
+        $this->assertEquals('k2', $newRequest->header('X-Key-Id'));
+        $this->assertNull($after->verify($oldRequest));
+        $this->assertNull($after->verify($newRequest));
+
+        // Once the old key is removed, requests still signed with it are rejected
+        config([
+            'scripting.deno.signing.keys' => 'k2:second-secret',
+            'scripting.deno.signing.current_key' => null,
+        ]);
+        $this->assertEquals('Unknown signing key: k1', (new SidecarRequestSigner())->verify($this->signedRequest($before)));
+    }
+
+    protected function signedRequest(SidecarRequestSigner $signer): Request
+    {
+        return $this->request($signer->headers('POST', self::PATH, self::BODY));
+    }
+
+    protected function request(array $headers, string $body = self::BODY, string $path = self::PATH): Request
+    {
+        $server = ['CONTENT_TYPE' => 'application/json'];
+        foreach ($headers as $name => $value) {
+            $server['HTTP_' . strtoupper(str_replace('-', '_', $name))] = $value;
+        }
+
+        return Request::create($path, 'POST', [], [], [], $server, $body);
+    }
+}